@@ -1,11 +1,57 @@
 // Combined CSV API - Handles all CSV processing and upload operations
 import { createClient } from '@supabase/supabase-js';
+import { createHash } from 'crypto';
+import { googleFetch, googleErrorResponse, gridPropertiesFor, SHEETS_CELL_LIMIT } from '../lib/google-client.js';
+import { googleTokenFor, serviceAccountPlanResponse } from '../lib/google-auth.js';
+import { createFormulaGuard, formulaPolicyError, unescapeFormula } from '../lib/formula-guard.js';
+import {
+    formattingRequests,
+    conditionalFormatRequests,
+    conditionalFormatsError,
+    resolveFormatOptions,
+    uploadFormatOptions,
+    saveFormatPreset,
+    listFormatPresets,
+    deleteFormatPreset
+} from '../lib/sheet-formatting.js';
+import { buildXlsx, dateSerial, XLSX_CONTENT_TYPE, XLSX_MAX_ROWS } from '../lib/xlsx-writer.js';
+import { detectWorkbookFormat, openWorkbook, WORKBOOK_FORMATS } from '../lib/workbook-reader.js';
+import { jsonToRows, JSON_FORMATS } from '../lib/json-records.js';
+import { compileColumnMapping } from '../lib/column-mapping.js';
+import { createCSVTokenizer, CSV_CHUNK_SIZE, detectDelimiter } from '../lib/csv-tokenizer.js';
+import {
+    classifyValue,
+    columnLetter,
+    createColumnTypeTracker,
+    inferColumnType,
+    normalizeColumnName,
+    NULL_TOKENS,
+    numericValue
+} from '../lib/columns.js';
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_SERVICE_KEY
 );
 
+// Content is tokenized in CSV_CHUNK_SIZE slices and uploaded in row batches
+// of this size, so no path has to hold a full copy of a large file's rows
+const SHEETS_BATCH_ROWS = 5000;
+
+// Each write request is also kept under this many bytes of row data; Google
+// recommends staying below 2 MB per request
+const SHEETS_MAX_REQUEST_BYTES = 2 * 1024 * 1024;
+
+// export-xlsx builds the workbook in memory; splitting by a column stops at
+// this many sheets
+const XLSX_MAX_SPLIT_SHEETS = 100;
+
+// Developer metadata key marking the conditional format rules an upload added
+const CONDITIONAL_FORMATS_METADATA_KEY = 'csvWizardConditionalFormats';
+
+// Actions that call Google with a single token from the request body
+const GOOGLE_TOKEN_ACTIONS = ['complete-upload', 'undo-upload', 'create-sheet'];
+
 // CSV Processing Functions
 function parseCSVContent(csvContent, options = {}) {
     try {
@@ -17,28 +63,66 @@ function parseCSVContent(csvContent, options = {}) {
         const maxPreviewRows = isPreview ? 10 : Infinity;
 
         let finalDelimiter = delimiter;
-        if (delimiter === 'auto') {
-            finalDelimiter = detectDelimiter(csvContent);
+        let delimiterDetection = null;
+        let fixedWidth = null;
+        let tokenizer;
+        if (options.format === 'fixed-width') {
+            const error = fixedWidthOptionsError(options.fixedWidth);
+            if (error) {
+                throw new Error(error);
+            }
+            fixedWidth = resolveFixedWidthColumns(csvContent.slice(0, CSV_CHUNK_SIZE), options.fixedWidth);
+            finalDelimiter = null;
+            tokenizer = createFixedWidthTokenizer({
+                columns: fixedWidth.columns,
+                trimWhitespace,
+                skipEmptyRows
+            });
+        } else {
+            if (delimiter === 'auto') {
+                delimiterDetection = detectDelimiter(csvContent.slice(0, CSV_CHUNK_SIZE), options.quoteChar);
+                finalDelimiter = delimiterDetection.delimiter;
+            }
+            
+            tokenizer = createCSVTokenizer({
+                delimiter: finalDelimiter,
+                quoteChar: options.quoteChar,
+                escapeChar: options.escapeChar,
+                trimWhitespace,
+                skipEmptyRows
+            });
         }
+        const sanitizer = options.sanitize ? createContentSanitizer({ preserveWidth: Boolean(fixedWidth) }) : null;
 
-        let lines = csvContent.split('\n');
-        if (trimWhitespace) {
-            lines = lines.map(line => line.trim());
+        // Read the content slice by slice - a preview stops as soon as it has
+        // enough rows instead of tokenizing the entire file
+        const rows = [];
+        let consumedLength = 0;
+        for (const chunk of chunkString(csvContent)) {
+            consumedLength += chunk.length;
+            appendRows(rows, tokenizer.write(sanitizer ? sanitizer.write(chunk) : chunk));
+            if (isPreview && rows.length > maxPreviewRows) {
+                break;
+            }
         }
-        if (skipEmptyRows) {
-            lines = lines.filter(line => line.length > 0);
+
+        const readAll = consumedLength >= csvContent.length;
+        if (readAll) {
+            if (sanitizer) {
+                appendRows(rows, tokenizer.write(sanitizer.end()));
+            }
+            appendRows(rows, tokenizer.end());
         }
 
-        // For preview, only process first few rows
-        const processLines = isPreview ? lines.slice(0, maxPreviewRows + 1) : lines;
-        const allRowCount = lines.length;
+        // When the preview stopped early, extrapolate the row count from the
+        // share of the content that was read
+        const allRowCount = readAll
+            ? rows.length
+            : Math.round(rows.length * csvContent.length / consumedLength);
 
-        const rows = [];
-        for (let i = 0; i < processLines.length; i++) {
-            const parsedRow = parseCSVLine(processLines[i], finalDelimiter);
-            if (parsedRow.length > 0) {
-                rows.push(parsedRow);
-            }
+        // For preview, only keep the first few rows
+        if (isPreview && rows.length > maxPreviewRows + 1) {
+            rows.length = maxPreviewRows + 1;
         }
 
         let headers = null;
@@ -104,11 +188,14 @@ function parseCSVContent(csvContent, options = {}) {
             sheetData: sheetData, // Headers + data combined (for Google Sheets upload)
             totalRows: dataRows.length,
             delimiter: finalDelimiter,
+            delimiterDetection: delimiterDetection,
+            fixedWidth: fixedWidth,
             metadata: {
                 originalRowCount: allRowCount,
                 columnCount: headers ? headers.length : (dataRows[0] ? dataRows[0].length : 0),
                 hasHeaders: headerHandling === 'use',
-                previewRowCount: isPreview ? dataRows.length : undefined
+                previewRowCount: isPreview ? dataRows.length : undefined,
+                rowCountEstimated: !readAll
             }
         };
 
@@ -124,659 +211,3945 @@ function parseCSVContent(csvContent, options = {}) {
     }
 }
 
-function detectDelimiter(csvContent) {
-    const delimiters = [',', ';', '\t', '|'];
-    const firstLine = csvContent.split('\n')[0];
-    
-    let bestDelimiter = ',';
-    let maxCount = 0;
+// ===== FIXED-WIDTH =====
+
+// processingOptions.format 'fixed-width' reads each line as columns at fixed
+// character positions instead of splitting on a delimiter.
+// processingOptions.fixedWidth.columns lists them as { start, end } - 0-based,
+// end exclusive and optional on the last column. Without columns they are
+// inferred from the sample: a new column starts after every run of positions
+// that are blank on all sampled lines.
+function fixedWidthOptionsError(fixedWidth) {
+    const columns = fixedWidth?.columns;
+    if (columns === undefined || columns === null) {
+        return null;
+    }
+    if (!Array.isArray(columns) || columns.length === 0) {
+        return 'fixedWidth.columns must be a non-empty array of { start, end }';
+    }
+    for (const [index, column] of columns.entries()) {
+        const end = column?.end;
+        if (!Number.isInteger(column?.start) || column.start < 0) {
+            return `fixedWidth.columns[${index}]: start must be a position of 0 or more`;
+        }
+        if (end !== undefined && end !== null && (!Number.isInteger(end) || end <= column.start)) {
+            return `fixedWidth.columns[${index}]: end must be a position after start`;
+        }
+        if ((end === undefined || end === null) && index < columns.length - 1) {
+            return `fixedWidth.columns[${index}]: only the last column may leave out end`;
+        }
+    }
+    return null;
+}
+
+// The columns to read with: the caller's, or inferred from the sample
+function resolveFixedWidthColumns(sample, fixedWidth) {
+    if (fixedWidth?.columns) {
+        return {
+            columns: fixedWidth.columns.map(({ start, end }) => ({ start, end: end ?? null })),
+            inferred: false
+        };
+    }
+    return {
+        columns: inferFixedWidthColumns(sample),
+        inferred: true
+    };
+}
+
+function inferFixedWidthColumns(sample) {
+    const lines = sample.split(/\r\n|\n|\r/);
+    // The last line may be cut off mid-way when the sample is a slice
+    if (lines.length > 1 && sample.length >= CSV_CHUNK_SIZE) {
+        lines.pop();
+    }
+    const sampled = lines.filter(line => line.trim() !== '').slice(0, DELIMITER_SAMPLE_ROWS);
+    const width = sampled.reduce((max, line) => Math.max(max, line.length), 0);
     
-    for (const delimiter of delimiters) {
-        const regex = new RegExp('\\' + delimiter, 'g');
-        const matches = firstLine.match(regex);
-        const count = matches ? matches.length : 0;
-        if (count > maxCount) {
-            maxCount = count;
-            bestDelimiter = delimiter;
+    const isBlank = (position) => sampled.every(line => position >= line.length || line[position] === ' ' || line[position] === '\t');
+    const starts = [];
+    for (let position = 0; position < width; position++) {
+        if (!isBlank(position) && (position === 0 || isBlank(position - 1))) {
+            starts.push(position);
         }
     }
+    if (starts.length === 0) {
+        return [{ start: 0, end: null }];
+    }
+    
+    // Each column runs up to the next one, so right-aligned values keep their
+    // padding inside their own column; the first also takes any indentation
+    return starts.map((start, index) => ({
+        start: index === 0 ? 0 : start,
+        end: starts[index + 1] ?? null
+    }));
+}
+
+// Same write()/end() interface as the CSV tokenizer. Lines end on LF, CRLF or
+// a lone CR; lines that are only whitespace count as empty rows.
+function createFixedWidthTokenizer(options = {}) {
+    const columns = options.columns;
+    const trimWhitespace = options.trimWhitespace !== false;
+    const skipEmptyRows = options.skipEmptyRows !== false;
+    let pending = '';
+    
+    const toRows = (lines) => {
+        const rows = [];
+        for (const line of lines) {
+            if (line.trim() === '') {
+                if (!skipEmptyRows) {
+                    rows.push(['']);
+                }
+                continue;
+            }
+            rows.push(columns.map(({ start, end }) => {
+                const field = line.slice(start, end ?? undefined);
+                return trimWhitespace ? field.trim() : field;
+            }));
+        }
+        return rows;
+    };
     
-    return bestDelimiter;
+    return {
+        write(chunk) {
+            const text = pending + chunk;
+            // A trailing CR may be the first half of a CRLF
+            const complete = text.endsWith('\r') ? text.slice(0, -1) : text;
+            const lines = complete.split(/\r\n|\n|\r/);
+            pending = lines.pop() + text.slice(complete.length);
+            return toRows(lines);
+        },
+        end() {
+            const rest = pending.replace(/\r$/, '');
+            pending = '';
+            return rest === '' ? [] : toRows([rest]);
+        }
+    };
+}
+
+// Push without spreading - spreading a large batch overflows the call stack
+function appendRows(target, rows) {
+    for (const row of rows) {
+        target.push(row);
+    }
+    return target;
+}
+
+function* chunkString(content, size = CSV_CHUNK_SIZE) {
+    for (let i = 0; i < content.length; i += size) {
+        yield content.slice(i, i + size);
+    }
+}
+
+// Line-by-line version of the content sanitizer so it can run on streamed
+// chunks: removes accidentally appended file:// URLs and standalone URL lines,
+// and drops lines that are left empty by the removal. With preserveWidth the
+// URLs are blanked with spaces instead, so fixed-width columns don't shift.
+function createContentSanitizer({ preserveWidth = false } = {}) {
+    let partialLine = '';
+
+    const cleanLine = (line) => {
+        let cleaned = line.replace(/file:\/\/\/[^\s\n\r,]*/g, url => preserveWidth ? ' '.repeat(url.length) : '');
+        if (/^https?:\/\/[^\s\n\r,]*\r?$/.test(cleaned)) {
+            cleaned = '';
+        }
+        if (cleaned !== line && cleaned.trim() === '') {
+            return null;
+        }
+        return cleaned;
+    };
+
+    return {
+        write(chunk) {
+            const lines = (partialLine + chunk).split('\n');
+            partialLine = lines.pop();
+            let output = '';
+            for (const line of lines) {
+                const cleaned = cleanLine(line);
+                if (cleaned !== null) {
+                    output += cleaned + '\n';
+                }
+            }
+            return output;
+        },
+        end() {
+            const cleaned = cleanLine(partialLine);
+            partialLine = '';
+            return cleaned === null ? '' : cleaned;
+        }
+    };
 }
 
-function parseCSVLine(line, delimiter) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+// Streaming counterpart of parseCSVContent for uploads. Reads an (async)
+// iterable of text chunks and yields row batches ready for the Sheets writer
+// - the header row (when used) is the first row of the first batch. Header
+// handling, delimiter detection and row counts match parseCSVContent; the
+// counters in `stats` fill in as the batches are consumed. Fixed-width
+// content (format 'fixed-width') is read the same way.
+function createCSVRowStream(chunks, options = {}) {
+    const headerHandling = options.headerHandling || 'use';
+    const batchSize = options.batchSize || SHEETS_BATCH_ROWS;
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
+    const stats = {
+        headers: null,
+        delimiter: null,
+        delimiterDetection: null,
+        fixedWidth: null,
+        totalRows: 0,
+        originalRowCount: 0,
+        columnCount: 0
+    };
+
+    async function* batches() {
+        const sanitizer = options.sanitize ? createContentSanitizer({ preserveWidth: options.format === 'fixed-width' }) : null;
+        let tokenizer = null;
+        let batch = [];
+        let isFirstRow = true;
+
+        const addRows = (rows) => {
+            for (const row of rows) {
+                stats.originalRowCount++;
+                if (isFirstRow) {
+                    isFirstRow = false;
+                    if (headerHandling === 'use') {
+                        stats.headers = row;
+                        stats.columnCount = row.length;
+                        batch.push(row);
+                        continue;
+                    }
+                    if (headerHandling === 'skip') {
+                        continue;
+                    }
+                }
+                if (stats.columnCount === 0) {
+                    stats.columnCount = row.length;
+                }
+                stats.totalRows++;
+                batch.push(row);
+            }
+        };
 
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                current += '"';
-                i++;
+        const startTokenizer = (sample) => {
+            if (options.format === 'fixed-width') {
+                stats.fixedWidth = resolveFixedWidthColumns(sample, options.fixedWidth);
+                tokenizer = createFixedWidthTokenizer({
+                    columns: stats.fixedWidth.columns,
+                    trimWhitespace: options.trimWhitespace,
+                    skipEmptyRows: options.skipEmptyRows
+                });
+                return;
+            }
+            const delimiter = options.delimiter || ',';
+            if (delimiter === 'auto') {
+                stats.delimiterDetection = detectDelimiter(sample, options.quoteChar);
+                stats.delimiter = stats.delimiterDetection.delimiter;
             } else {
-                inQuotes = !inQuotes;
+                stats.delimiter = delimiter;
             }
-        } else if (char === delimiter && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+            tokenizer = createCSVTokenizer({
+                delimiter: stats.delimiter,
+                quoteChar: options.quoteChar,
+                escapeChar: options.escapeChar,
+                trimWhitespace: options.trimWhitespace,
+                skipEmptyRows: options.skipEmptyRows
+            });
+        };
+
+        for await (const chunk of chunks) {
+            const text = sanitizer ? sanitizer.write(chunk) : chunk;
+            if (!tokenizer) {
+                if (text === '') {
+                    continue;
+                }
+                startTokenizer(text);
+            }
+            addRows(tokenizer.write(text));
+            if (batch.length >= batchSize) {
+                yield batch;
+                batch = [];
+            }
+        }
+
+        const rest = sanitizer ? sanitizer.end() : '';
+        if (!tokenizer) {
+            startTokenizer(rest);
+        }
+        addRows(tokenizer.write(rest));
+        addRows(tokenizer.end());
+        if (batch.length > 0) {
+            yield batch;
         }
     }
 
-    result.push(current.trim());
-    return result;
+    return {
+        batches: batches(),
+        stats
+    };
 }
 
-export default async function handler(req, res) {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
+// Normalize an in-memory row array or a stream of row batches into batches
+async function* toRowBatches(rows, batchSize = SHEETS_BATCH_ROWS) {
+    if (Array.isArray(rows)) {
+        for (let i = 0; i < rows.length; i += batchSize) {
+            yield rows.slice(i, i + batchSize);
+        }
         return;
     }
+    yield* rows;
+}
+
+// Split rows into write requests bounded by row count and payload size. A
+// single row larger than the limit still goes out on its own.
+function* sizeBoundedChunks(items, rowOf = item => item) {
+    let chunk = [];
+    let bytes = 0;
+    for (const item of items) {
+        const size = Buffer.byteLength(JSON.stringify(rowOf(item))) + 1;
+        if (chunk.length > 0 && (chunk.length >= SHEETS_BATCH_ROWS || bytes + size > SHEETS_MAX_REQUEST_BYTES)) {
+            yield chunk;
+            chunk = [];
+            bytes = 0;
+        }
+        chunk.push(item);
+        bytes += size;
+    }
+    if (chunk.length > 0) {
+        yield chunk;
+    }
+}
+
+// ===== CHARACTER ENCODING =====
+
+// processingOptions.format values. Workbooks are also recognized without one.
+const INPUT_FORMATS = ['csv', 'fixed-width', ...WORKBOOK_FORMATS, ...JSON_FORMATS];
+
+// Bytes inspected when guessing the encoding of a payload
+const ENCODING_SAMPLE_SIZE = 64 * 1024;
+
+// Read the request payload. Plain string payloads were already decoded by the
+// client and only lose a leading BOM; base64 payloads (contentEncoding:
+// 'base64') are kept as bytes and decoded from the requested encoding, or the
+// detected one when `encoding` is missing or 'auto'. Base64 .xlsx/.ods
+// workbooks are read as CSV text of one worksheet, and format 'json' or
+// 'ndjson' content as CSV text of its flattened records. Throws a RangeError
+// for an unknown encoding name and an Error for an unreadable workbook or
+// invalid JSON.
+function readCSVPayload(csvContent, options = {}) {
+    if (options.format && !INPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unsupported format: ${options.format}. Use ${INPUT_FORMATS.join(', ')}`);
+    }
+    // Checked here so a bad fixed-width layout is a 400 before any parsing
+    const fixedWidthError = options.format === 'fixed-width' ? fixedWidthOptionsError(options.fixedWidth) : null;
+    if (fixedWidthError) {
+        throw new Error(fixedWidthError);
+    }
+    if (JSON_FORMATS.includes(options.format)) {
+        return readJSONPayload(csvContent, options);
+    }
+    if (options.contentEncoding !== 'base64') {
+        const text = String(csvContent);
+        const hasBOM = text.charCodeAt(0) === 0xFEFF;
+        return {
+            text: hasBOM ? text.slice(1) : text,
+            bytes: null,
+            encoding: 'utf-8',
+            encodingSource: 'text'
+        };
+    }
+
+    const bytes = Buffer.from(String(csvContent), 'base64');
+    if (WORKBOOK_FORMATS.includes(options.format) || detectWorkbookFormat(bytes)) {
+        return readWorkbookPayload(bytes, options);
+    }
+    if (options.encoding && options.encoding !== 'auto') {
+        return {
+            text: null,
+            bytes,
+            encoding: new TextDecoder(options.encoding).encoding,
+            encodingSource: 'requested'
+        };
+    }
+
+    const detection = detectEncoding(bytes);
+    return {
+        text: null,
+        bytes,
+        encoding: detection.encoding,
+        encodingSource: detection.source
+    };
+}
+
+// ===== WORKBOOK INPUT =====
+
+// processingOptions.worksheet value that uploads every worksheet of a
+// workbook to a tab of its own (complete-upload); elsewhere it reads the first
+const ALL_WORKSHEETS = '*';
+
+// One worksheet of a workbook as a payload. `worksheet` is a name or a
+// 0-based index and defaults to the first.
+function readWorkbookPayload(bytes, options = {}) {
+    const workbook = openWorkbook(bytes);
+    if (options.format && options.format !== workbook.format) {
+        throw new Error(`Expected an .${options.format} workbook but got .${workbook.format}`);
+    }
     
-    if (req.method !== 'POST') {
-        return res.status(405).json({
-            success: false,
-            error: 'Method not allowed - use POST'
-        });
+    const index = worksheetIndex(workbook.sheetNames, options.worksheet);
+    return {
+        text: rowsToCSVText(workbook.readSheet(index), options),
+        bytes: null,
+        encoding: 'utf-8',
+        encodingSource: workbook.format,
+        workbook: {
+            format: workbook.format,
+            worksheet: workbook.sheetNames[index],
+            worksheets: workbook.sheetNames
+        }
+    };
+}
+
+// Worksheet names of a base64 workbook payload, or null for other payloads.
+// Throws when the requested worksheet isn't in it.
+function payloadWorksheets(content, options = {}) {
+    const bytes = Buffer.from(String(content), 'base64');
+    if (!WORKBOOK_FORMATS.includes(options.format) && !detectWorkbookFormat(bytes)) {
+        return null;
+    }
+    const workbook = openWorkbook(bytes);
+    worksheetIndex(workbook.sheetNames, options.worksheet);
+    return workbook.sheetNames;
+}
+
+function worksheetIndex(sheetNames, worksheet) {
+    if (sheetNames.length === 0) {
+        throw new Error('The workbook has no worksheets');
+    }
+    if (worksheet === undefined || worksheet === null || worksheet === '' || worksheet === ALL_WORKSHEETS) {
+        return 0;
     }
+    let index = Number.isInteger(worksheet) ? worksheet : sheetNames.indexOf(String(worksheet));
+    if (index < 0 && !Number.isInteger(worksheet)) {
+        index = sheetNames.findIndex(name => name.toLowerCase() === String(worksheet).toLowerCase());
+    }
+    if (index < 0 || index >= sheetNames.length) {
+        throw new Error(`Worksheet not found: ${worksheet}. The workbook has: ${sheetNames.join(', ')}`);
+    }
+    return index;
+}
+
+// Rows converted from another format, written out as CSV in the delimiter
+// and quoting the stream will read them with. Every cell is quoted so
+// delimiter detection only sees the delimiters.
+function rowsToCSVText(rows, options = {}) {
+    const delimiter = options.delimiter && options.delimiter !== 'auto' ? options.delimiter : ',';
+    const quoteChar = options.quoteChar || '"';
+    const escapeChar = options.escapeChar || quoteChar;
+    const escapePattern = new RegExp(`[${escapeRegExp(quoteChar + escapeChar)}]`, 'g');
+    const quote = (value) => value === ''
+        ? ''
+        : quoteChar + value.replace(escapePattern, char => escapeChar + char) + quoteChar;
     
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authorization header required'
-            });
+    return rows.map(row => row.map(quote).join(delimiter)).join('\n');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[\\\]^$.*+?()[{}|-]/g, '\\$&');
+}
+
+// ===== JSON INPUT =====
+
+// JSON or NDJSON content (text, or base64 in any supported encoding) as a
+// payload of CSV text, header row first. processingOptions.json holds the
+// flattening options - see lib/json-records.js.
+function readJSONPayload(content, options = {}) {
+    const source = readCSVPayload(content, { ...options, format: undefined });
+    const { rows, recordCount } = jsonToRows(csvPayloadToString(source), options.format, options.json || {});
+    return {
+        text: rowsToCSVText(rows, options),
+        bytes: null,
+        encoding: source.encoding,
+        encodingSource: source.encodingSource,
+        json: {
+            format: options.format,
+            recordCount,
+            columns: rows[0].length
         }
-        
-        const apiKey = authHeader.substring(7);
-        
-        // Verify API key
-        const { data: apiKeyData, error: apiKeyError } = await supabase
-            .from('api_keys')
-            .select('user_id, user_email')
-            .eq('api_key', apiKey)
-            .eq('is_active', true)
-            .single();
-        
-        if (apiKeyError || !apiKeyData) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid API key'
-            });
+    };
+}
+
+// Full payload as UTF-8 text - used by the preview
+function csvPayloadToString(payload) {
+    if (payload.text !== null) {
+        return payload.text;
+    }
+    // Decode in stream mode - Node's one-shot windows-1252 decode takes a
+    // Latin-1 shortcut and drops characters like € in 0x80-0x9F
+    const decoder = new TextDecoder(payload.encoding);
+    return decoder.decode(payload.bytes, { stream: true }) + decoder.decode();
+}
+
+// Payload as UTF-8 text chunks - used by the streaming upload paths, so a
+// large file is transcoded slice by slice
+function* csvPayloadChunks(payload) {
+    if (payload.text !== null) {
+        yield* chunkString(payload.text);
+        return;
+    }
+    const decoder = new TextDecoder(payload.encoding);
+    for (let i = 0; i < payload.bytes.length; i += CSV_CHUNK_SIZE) {
+        const text = decoder.decode(payload.bytes.subarray(i, i + CSV_CHUNK_SIZE), { stream: true });
+        if (text.length > 0) {
+            yield text;
         }
-        
-        // Route based on action parameter
-        const action = req.body?.action;
-        
-        if (!action) {
-            return res.status(400).json({
-                success: false,
-                error: 'Action parameter required'
-            });
+    }
+    const rest = decoder.decode();
+    if (rest.length > 0) {
+        yield rest;
+    }
+}
+
+// Guess the encoding of raw CSV bytes: BOM first, then UTF-16 by its zero
+// bytes, then strict UTF-8, then Shift-JIS by the shape of its multi-byte
+// characters, falling back to the single-byte Western encodings
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { encoding: 'utf-8', source: 'bom' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { encoding: 'utf-16le', source: 'bom' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { encoding: 'utf-16be', source: 'bom' };
+    }
+
+    let sample = bytes.subarray(0, ENCODING_SAMPLE_SIZE);
+
+    // UTF-16 text that is mostly ASCII has a zero in every other byte
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) {
+                evenZeros++;
+            } else {
+                oddZeros++;
+            }
         }
-        
-        console.log(`📄 CSV API - Action: ${action} for user: ${apiKeyData.user_email}`);
-        
-        switch (action) {
-            case 'process-csv':
-                return await handleProcessCSV(req, res, apiKeyData);
-            case 'complete-upload':
-                return await handleCompleteUpload(req, res, apiKeyData);
-            case 'create-sheet':
-                return await handleCreateSheetRedirect(req, res, apiKeyData);
-            case 'bulk-queue-create':
-                return await handleBulkQueueCreate(req, res, apiKeyData);
-            case 'bulk-queue-add-file':
-                return await handleBulkQueueAddFile(req, res, apiKeyData);
-            case 'bulk-queue-remove-file':
-                return await handleBulkQueueRemoveFile(req, res, apiKeyData);
-            case 'bulk-queue-list':
-                return await handleBulkQueueList(req, res, apiKeyData);
-            case 'bulk-queue-update-targets':
-                return await handleBulkQueueUpdateTargets(req, res, apiKeyData);
-            case 'bulk-queue-execute':
-                return await handleBulkQueueExecute(req, res, apiKeyData);
-            case 'fetch-content':
-                return await handleFetchContent(req, res, apiKeyData);
-            case 'process-client-queue':
-                return await handleProcessClientQueue(req, res, apiKeyData);
-            case 'check-headers':
-                return await handleCheckHeaders(req, res, apiKeyData);
-            default:
-                return res.status(400).json({
-                    success: false,
-                    error: `Unknown action: ${action}. Available actions: process-csv, complete-upload, create-sheet, bulk-queue-create, bulk-queue-add-file, bulk-queue-remove-file, bulk-queue-list, bulk-queue-update-targets, bulk-queue-execute, fetch-content, process-client-queue, check-headers`
-                });
+    }
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs > 0 && oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+        return { encoding: 'utf-16le', source: 'detected' };
+    }
+    if (pairs > 0 && evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+        return { encoding: 'utf-16be', source: 'detected' };
+    }
+
+    // Cut the sample after its last line break so no multi-byte character is
+    // split (the bytes may themselves be the first chunk of a stream)
+    const lastBreak = sample.lastIndexOf(0x0A);
+    if (lastBreak > 0) {
+        sample = sample.subarray(0, lastBreak + 1);
+    }
+
+    let hasHighBytes = false;
+    let hasC1Bytes = false;
+    for (const byte of sample) {
+        if (byte >= 0x80) {
+            hasHighBytes = true;
+            if (byte <= 0x9F) {
+                hasC1Bytes = true;
+            }
         }
-        
+    }
+    if (!hasHighBytes || decodesStrictly(sample, 'utf-8')) {
+        return { encoding: 'utf-8', source: 'detected' };
+    }
+
+    if (looksLikeShiftJIS(sample)) {
+        return { encoding: 'shift_jis', source: 'detected' };
+    }
+
+    // 0x80-0x9F are control codes in ISO-8859-1 but printable in Windows-1252
+    return { encoding: hasC1Bytes ? 'windows-1252' : 'iso-8859-1', source: 'detected' };
+}
+
+function decodesStrictly(bytes, encoding) {
+    try {
+        new TextDecoder(encoding, { fatal: true }).decode(bytes);
+        return true;
     } catch (error) {
-        console.error('CSV API error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error: ' + error.message
-        });
+        return false;
     }
 }
 
-// Handle CSV processing for preview
-async function handleProcessCSV(req, res, apiKeyData) {
-    const { csvContent, filename, processingOptions } = req.body;
-    
-    if (!csvContent) {
-        return res.status(400).json({
-            success: false,
-            error: 'CSV content is required'
-        });
+// Western single-byte text also decodes as Shift-JIS surprisingly often (an
+// accented letter followed by an ASCII letter is a valid double-byte pair), so
+// besides decoding cleanly the text has to contain kana, or its non-ASCII
+// characters have to come in runs the way Japanese words do
+function looksLikeShiftJIS(sample) {
+    let text;
+    try {
+        text = new TextDecoder('shift_jis', { fatal: true }).decode(sample);
+    } catch (error) {
+        return false;
     }
-    
-    console.log('🔄 Processing CSV for preview:', {
-        filename,
+
+    let nonAscii = 0;
+    let kana = 0;
+    let inRuns = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code < 0x80) {
+            continue;
+        }
+        nonAscii++;
+        if (code >= 0x3040 && code <= 0x30FF) {
+            kana++;
+        }
+        if (text.charCodeAt(i - 1) >= 0x80 || text.charCodeAt(i + 1) >= 0x80) {
+            inRuns++;
+        }
+    }
+
+    if (nonAscii === 0) {
+        return false;
+    }
+    return kana / nonAscii >= 0.1 || inRuns / nonAscii >= 0.6;
+}
+
+// ===== COLUMN PROFILING =====
+
+// Per-column bounds that keep profiling memory flat on large files
+const PROFILE_DISTINCT_LIMIT = 10000;
+const PROFILE_TOP_VALUES = 5;
+const PROFILE_SAMPLE_VALUES = 5;
+
+// Accumulates statistics for one column one value at a time
+function createColumnProfiler(index, name) {
+    const typeCounts = {};
+    const distinct = new Map();
+    let distinctCapped = false;
+    const sampleValues = [];
+    const samplesByType = {};
+    let emptyCount = 0;
+    let nullCount = 0;
+    let valueCount = 0;
+    let totalLength = 0;
+    let minLength = Infinity;
+    let maxLength = 0;
+    let minNumber = Infinity;
+    let maxNumber = -Infinity;
+    let minText = null;
+    let maxText = null;
+
+    return {
+        add(rawValue) {
+            const value = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+            if (value === '') {
+                emptyCount++;
+                return;
+            }
+            if (NULL_TOKENS.has(value.toLowerCase())) {
+                nullCount++;
+                return;
+            }
+
+            valueCount++;
+            totalLength += value.length;
+            minLength = Math.min(minLength, value.length);
+            maxLength = Math.max(maxLength, value.length);
+
+            const valueType = classifyValue(value);
+            typeCounts[valueType] = (typeCounts[valueType] || 0) + 1;
+
+            const number = numericValue(value, valueType);
+            if (number !== null) {
+                minNumber = Math.min(minNumber, number);
+                maxNumber = Math.max(maxNumber, number);
+            }
+            if (minText === null || value < minText) {
+                minText = value;
+            }
+            if (maxText === null || value > maxText) {
+                maxText = value;
+            }
+
+            if (distinct.has(value)) {
+                distinct.set(value, distinct.get(value) + 1);
+            } else if (distinct.size < PROFILE_DISTINCT_LIMIT) {
+                distinct.set(value, 1);
+                if (sampleValues.length < PROFILE_SAMPLE_VALUES) {
+                    sampleValues.push(value);
+                }
+            } else {
+                distinctCapped = true;
+            }
+
+            // Remember a few values of every type so the ones that don't fit
+            // can be shown once the dominant type is known
+            samplesByType[valueType] = samplesByType[valueType] || [];
+            if (samplesByType[valueType].length < PROFILE_SAMPLE_VALUES) {
+                samplesByType[valueType].push(value);
+            }
+        },
+
+        result(rowCount) {
+            const inferred = inferColumnType(typeCounts, valueCount);
+            const isNumeric = ['integer', 'number', 'percent', 'currency'].includes(inferred.type);
+            const topValues = [...distinct.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, PROFILE_TOP_VALUES)
+                .map(([value, count]) => ({ value, count }));
+
+            return {
+                index,
+                name,
+                inferredType: inferred.type,
+                typeConfidence: inferred.confidence,
+                typeCounts,
+                valueCount,
+                emptyCount: emptyCount + Math.max(0, rowCount - valueCount - emptyCount - nullCount),
+                nullCount,
+                distinctCount: distinct.size,
+                distinctCountCapped: distinctCapped,
+                min: valueCount === 0 ? null : (isNumeric ? minNumber : minText),
+                max: valueCount === 0 ? null : (isNumeric ? maxNumber : maxText),
+                minLength: valueCount === 0 ? null : minLength,
+                maxLength: valueCount === 0 ? null : maxLength,
+                avgLength: valueCount === 0 ? null : Math.round((totalLength / valueCount) * 100) / 100,
+                topValues,
+                sampleValues,
+                nonConformingSamples: Object.entries(samplesByType)
+                    .filter(([valueType]) => !typeMatches(valueType, inferred.type))
+                    .flatMap(([, values]) => values)
+                    .slice(0, PROFILE_SAMPLE_VALUES)
+            };
+        }
+    };
+}
+
+function typeMatches(valueType, columnType) {
+    return valueType === columnType ||
+        (columnType === 'number' && valueType === 'integer') ||
+        (columnType === 'datetime' && valueType === 'date');
+}
+
+// Profile every row of a CSV stream. Column names come from the header row
+// when headers are used, otherwise Column 1, Column 2, ...
+async function profileCSVStream(csvStream) {
+    const profilers = [];
+    let headers = null;
+    let rowCount = 0;
+
+    const profilerFor = (index) => {
+        if (!profilers[index]) {
+            profilers[index] = createColumnProfiler(index, headers?.[index] || `Column ${index + 1}`);
+        }
+        return profilers[index];
+    };
+
+    for await (const batch of csvStream.batches) {
+        for (const row of batch) {
+            if (headers === null && csvStream.stats.headers === row) {
+                headers = row;
+                continue;
+            }
+            rowCount++;
+            for (let i = 0; i < row.length; i++) {
+                profilerFor(i).add(row[i]);
+            }
+        }
+    }
+
+    // Header-only columns still get a (empty) profile
+    for (let i = 0; i < (headers?.length || 0); i++) {
+        profilerFor(i);
+    }
+
+    return {
+        headers,
+        rowCount,
+        columns: profilers.map(profiler => profiler.result(rowCount))
+    };
+}
+
+// ===== COLUMN MAPPING =====
+
+// Apply a column mapping to a CSV stream. The mapped header row replaces
+// stats.headers so everything downstream sees the reshaped columns.
+function mapCSVRowStream(csvStream, mapping) {
+    const stats = csvStream.stats;
+    let compiled = null;
+
+    async function* batches() {
+        for await (const batch of csvStream.batches) {
+            if (!compiled) {
+                compiled = compileColumnMapping(mapping, stats.headers);
+                if (compiled.errors.length > 0) {
+                    throw new Error('Invalid column mapping: ' + compiled.errors.join('; '));
+                }
+            }
+            yield batch.map(row => {
+                if (row === stats.headers) {
+                    stats.headers = compiled.headers;
+                    stats.columnCount = compiled.headers.length;
+                    return compiled.headers;
+                }
+                return compiled.mapRow(row);
+            });
+        }
+    }
+
+    return {
+        batches: batches(),
+        stats
+    };
+}
+
+// Compile a mapping against the header row only, so mistakes are reported
+// before a full pass over the file
+async function checkColumnMapping(csvStream, mapping) {
+    const first = await csvStream.batches.next();
+    await csvStream.batches.return();
+    if (first.done) {
+        return [];
+    }
+    return compileColumnMapping(mapping, csvStream.stats.headers).errors;
+}
+
+// ===== SCHEMA VALIDATION =====
+
+const VALIDATION_POLICIES = ['reject', 'skip', 'quarantine'];
+const DEFAULT_MAX_REPORTED_ERRORS = 500;
+
+// Value types a schema column can require, in terms of classifyValue()
+const SCHEMA_TYPES = {
+    string: null,
+    integer: ['integer'],
+    number: ['integer', 'number'],
+    boolean: ['boolean'],
+    date: ['date', 'datetime'],
+    datetime: ['date', 'datetime'],
+    email: ['email'],
+    url: ['url'],
+    percent: ['percent'],
+    currency: ['currency', 'integer', 'number']
+};
+
+// Rows of a CSV stream with their row number in the file (the header row is
+// row 1 when present) - both validation and upload passes number rows here so
+// the error report lines up with what gets skipped
+async function* numberedRows(csvStream, headerHandling = 'use') {
+    let rowNumber = headerHandling === 'skip' ? 1 : 0;
+    for await (const batch of csvStream.batches) {
+        for (const row of batch) {
+            rowNumber++;
+            yield {
+                row,
+                rowNumber,
+                isHeader: row === csvStream.stats.headers
+            };
+        }
+    }
+}
+
+// Check a schema definition and resolve each schema column to a CSV column
+// index, by header name (normalizeColumnName) or by explicit 0-based `index`
+function compileSchema(schema, headers) {
+    const headerIndex = new Map((headers || []).map((header, index) => [normalizeColumnName(header), index]));
+
+    const definitionErrors = [];
+    const headerErrors = [];
+    const columns = [];
+
+    if (!Array.isArray(schema?.columns)) {
+        definitionErrors.push('schema.columns must be an array');
+        return { columns, definitionErrors, headerErrors };
+    }
+
+    schema.columns.forEach((column, position) => {
+        const label = column.name ?? `#${column.index ?? position}`;
+
+        if (column.type && !(column.type in SCHEMA_TYPES)) {
+            definitionErrors.push(`Column ${label}: unknown type "${column.type}"`);
+        }
+
+        let pattern = null;
+        if (column.pattern) {
+            try {
+                pattern = new RegExp(column.pattern, column.patternFlags || '');
+            } catch (error) {
+                definitionErrors.push(`Column ${label}: invalid pattern - ${error.message}`);
+            }
+        }
+
+        let index = Number.isInteger(column.index) ? column.index : undefined;
+        if (column.name !== undefined && headerIndex.has(normalizeColumnName(column.name))) {
+            index = headerIndex.get(normalizeColumnName(column.name));
+        }
+
+        if (index === undefined) {
+            if (column.required) {
+                headerErrors.push({
+                    row: 1,
+                    column: label,
+                    rule: 'required',
+                    value: null,
+                    message: `Required column "${label}" is missing`
+                });
+            }
+            return;
+        }
+
+        columns.push({
+            ...column,
+            label,
+            index,
+            pattern,
+            allowedValues: Array.isArray(column.allowedValues)
+                ? new Set(column.allowedValues.map(value => String(value)))
+                : null,
+            seen: column.unique ? new Set() : null
+        });
+    });
+
+    return { columns, definitionErrors, headerErrors };
+}
+
+// Rule violations of one cell against its compiled schema column
+function validateCell(rawValue, column) {
+    const value = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+    const violations = [];
+    const violation = (rule, message) => violations.push({ rule, message });
+
+    if (value === '' || NULL_TOKENS.has(value.toLowerCase())) {
+        if (column.nullable === false) {
+            violation('nullable', 'Value is required');
+        }
+        return violations;
+    }
+
+    const valueType = classifyValue(value);
+    const acceptedTypes = column.type ? SCHEMA_TYPES[column.type] : null;
+    if (acceptedTypes && !acceptedTypes.includes(valueType)) {
+        violation('type', `Expected ${column.type}`);
+    }
+
+    if (column.pattern && !column.pattern.test(value)) {
+        violation('pattern', `Does not match ${column.pattern}`);
+    }
+
+    if (column.allowedValues) {
+        const candidate = column.caseInsensitive ? value.toLowerCase() : value;
+        const allowed = column.caseInsensitive
+            ? [...column.allowedValues].some(option => option.toLowerCase() === candidate)
+            : column.allowedValues.has(candidate);
+        if (!allowed) {
+            violation('allowedValues', 'Not one of the allowed values');
+        }
+    }
+
+    if (column.min !== undefined || column.max !== undefined) {
+        const comparable = schemaComparable(value, valueType, column.type);
+        const min = column.min !== undefined ? schemaComparable(String(column.min), classifyValue(String(column.min)), column.type) : null;
+        const max = column.max !== undefined ? schemaComparable(String(column.max), classifyValue(String(column.max)), column.type) : null;
+        if (comparable !== null && min !== null && comparable < min) {
+            violation('min', `Less than ${column.min}`);
+        }
+        if (comparable !== null && max !== null && comparable > max) {
+            violation('max', `Greater than ${column.max}`);
+        }
+    }
+
+    if (column.minLength !== undefined && value.length < column.minLength) {
+        violation('minLength', `Shorter than ${column.minLength} characters`);
+    }
+    if (column.maxLength !== undefined && value.length > column.maxLength) {
+        violation('maxLength', `Longer than ${column.maxLength} characters`);
+    }
+
+    if (column.seen) {
+        if (column.seen.has(value)) {
+            violation('unique', 'Duplicate value');
+        } else {
+            column.seen.add(value);
+        }
+    }
+
+    return violations;
+}
+
+// min/max compare numbers numerically and dates chronologically
+function schemaComparable(value, valueType, columnType) {
+    if (columnType === 'date' || columnType === 'datetime' || valueType === 'date' || valueType === 'datetime') {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+    return numericValue(value, valueType);
+}
+
+// Validation pass over the whole file, run before anything is written.
+// Reports up to `maxErrors` errors (row, column, rule, offending value) and
+// remembers which rows failed so the upload pass can skip or quarantine them.
+async function validateCSVStream(csvStream, schema, headerHandling = 'use') {
+    const maxErrors = schema.maxErrors || DEFAULT_MAX_REPORTED_ERRORS;
+    const errors = [];
+    const invalidRows = new Map();
+    let compiled = null;
+    let errorCount = 0;
+    let rowCount = 0;
+
+    for await (const { row, rowNumber, isHeader } of numberedRows(csvStream, headerHandling)) {
+        if (!compiled) {
+            compiled = compileSchema(schema, csvStream.stats.headers);
+            if (compiled.definitionErrors.length > 0 || compiled.headerErrors.length > 0) {
+                break;
+            }
+        }
+        if (isHeader) {
+            continue;
+        }
+
+        rowCount++;
+        const rowMessages = [];
+        for (const column of compiled.columns) {
+            for (const { rule, message } of validateCell(row[column.index], column)) {
+                errorCount++;
+                rowMessages.push(`${column.label}: ${message}`);
+                if (errors.length < maxErrors) {
+                    errors.push({
+                        row: rowNumber,
+                        column: column.label,
+                        rule,
+                        value: row[column.index] ?? null,
+                        message
+                    });
+                }
+            }
+        }
+        if (rowMessages.length > 0) {
+            invalidRows.set(rowNumber, rowMessages.join('; '));
+        }
+    }
+
+    compiled = compiled || compileSchema(schema, csvStream.stats.headers);
+
+    return {
+        valid: compiled.definitionErrors.length === 0 && compiled.headerErrors.length === 0 && errorCount === 0,
+        definitionErrors: compiled.definitionErrors,
+        headerErrors: compiled.headerErrors,
+        rowCount,
+        invalidRowCount: invalidRows.size,
+        errorCount: errorCount + compiled.headerErrors.length,
+        errors: [...compiled.headerErrors, ...errors],
+        errorsTruncated: errorCount > errors.length,
+        invalidRows
+    };
+}
+
+// Upload pass: keep the batch shape while leaving out the rows the validation
+// pass flagged, handing each of them to onInvalid (for the quarantine tab)
+async function* withoutInvalidRows(csvStream, invalidRows, headerHandling, onInvalid) {
+    let kept = [];
+    for await (const { row, rowNumber } of numberedRows(csvStream, headerHandling)) {
+        if (invalidRows.has(rowNumber)) {
+            onInvalid?.(row, rowNumber, invalidRows.get(rowNumber));
+        } else {
+            kept.push(row);
+        }
+        if (kept.length >= SHEETS_BATCH_ROWS) {
+            yield kept;
+            kept = [];
+        }
+    }
+    if (kept.length > 0) {
+        yield kept;
+    }
+}
+
+// Validation report as returned to the client (without the row lookup)
+function summarizeValidation(validation, policy) {
+    const { invalidRows, ...report } = validation;
+    return {
+        policy,
+        ...report
+    };
+}
+
+// ===== HEADER ALIGNMENT =====
+
+const UNKNOWN_COLUMN_POLICIES = ['reject', 'ignore', 'append'];
+
+// Match incoming headers to the target header row. Returns, for every target
+// column, the incoming column index that feeds it (-1 for a blank cell).
+function planColumnAlignment(targetHeaders, incomingHeaders, unknownColumns = 'reject') {
+    const targetIndex = new Map();
+    targetHeaders.forEach((header, index) => {
+        const key = normalizeColumnName(header);
+        if (key && !targetIndex.has(key)) {
+            targetIndex.set(key, index);
+        }
+    });
+
+    const sources = new Array(targetHeaders.length).fill(-1);
+    const matched = [];
+    const unknown = [];
+
+    incomingHeaders.forEach((header, index) => {
+        const target = targetIndex.get(normalizeColumnName(header));
+        if (target !== undefined && sources[target] === -1) {
+            sources[target] = index;
+            matched.push(header);
+        } else {
+            unknown.push({ header, index });
+        }
+    });
+
+    const added = unknownColumns === 'append' ? unknown : [];
+    for (const column of added) {
+        sources.push(column.index);
+    }
+
+    return {
+        sources,
+        report: {
+            targetHadHeaders: true,
+            unknownColumns,
+            matched,
+            missing: targetHeaders.filter((header, index) => sources[index] === -1 && String(header ?? '').trim() !== ''),
+            unknown: unknown.map(column => column.header),
+            added: added.map(column => column.header),
+            ignored: unknownColumns === 'ignore' ? unknown.map(column => column.header) : []
+        }
+    };
+}
+
+// Read the first row of a tab, without trailing blank cells
+async function readHeaderRow(spreadsheetId, sheetName, googleToken) {
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!1:1`,
+        { headers: { 'Authorization': `Bearer ${googleToken}` } }
+    );
+
+    if (!response.ok) {
+        throw new Error(`Failed to read target headers: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return trimTrailingBlanks(data.values?.[0] || []);
+}
+
+// Every value row of a range or tab (Google leaves out trailing blank rows
+// and cells). With `formulas`, formula cells come back as their formula.
+async function readSheetValues(spreadsheetId, range, googleToken, valueRenderOption = 'FORMATTED_VALUE') {
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}?valueRenderOption=${valueRenderOption}`,
+        { headers: { 'Authorization': `Bearer ${googleToken}` } }
+    );
+
+    if (!response.ok) {
+        throw new Error(`Failed to read target rows: ${response.status}`);
+    }
+    return (await response.json()).values || [];
+}
+
+// A cell as Sheets stores it after a USER_ENTERED write, so file text can be
+// compared with an UNFORMATTED_VALUE read: "00123", "1,000", "$3", "12.5%"
+// and ISO dates become numbers, true/false booleans. Other dates are left as
+// text - their day/month order depends on the spreadsheet's locale.
+function sheetCellValue(value) {
+    if (typeof value === 'number') {
+        return Number(value.toPrecision(15));
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value ?? '').trim();
+    if (text === '') {
+        return '';
+    }
+    
+    let number = null;
+    switch (classifyValue(text)) {
+        case 'boolean':
+            return /^(true|false)$/i.test(text) ? text.toLowerCase() === 'true' : text;
+        case 'integer':
+        case 'number':
+        case 'currency':
+            number = numericValue(text, 'number');
+            break;
+        case 'percent':
+            number = numericValue(text, 'percent') / 100;
+            break;
+        case 'date':
+        case 'datetime':
+            number = dateSerial(text);
+            break;
+    }
+    return number === null ? text : Number(number.toPrecision(15));
+}
+
+function trimTrailingBlanks(row) {
+    let length = row.length;
+    while (length > 0 && String(row[length - 1] ?? '').trim() === '') {
+        length--;
+    }
+    return row.slice(0, length);
+}
+
+// Work out how incoming rows line up with the target's header row. When new
+// columns are appended their header cells are written first. `alignRow` is
+// null when the tab has no header row yet - the incoming header row is then
+// written as-is. `sources` maps each target column to its incoming index.
+// With a `dryRunPlan`, the header write is recorded there instead.
+async function prepareColumnAlignment(spreadsheetId, sheetName, targetHeaders, incomingHeaders, unknownColumns, googleToken, grid = null, dryRunPlan = null) {
+    if (targetHeaders.length === 0) {
+        return {
+            alignRow: null,
+            report: {
+                targetHadHeaders: false,
+                unknownColumns,
+                matched: [],
+                missing: [],
+                unknown: [],
+                added: [...incomingHeaders],
+                ignored: []
+            }
+        };
+    }
+
+    const plan = planColumnAlignment(targetHeaders, incomingHeaders, unknownColumns);
+
+    if (unknownColumns === 'reject' && plan.report.unknown.length > 0) {
+        return {
+            error: 'Columns not found in the target tab: ' + plan.report.unknown.join(', '),
+            report: plan.report
+        };
+    }
+
+    if (plan.report.added.length > 0 && dryRunPlan) {
+        await ensureGridSize(spreadsheetId, grid, 0, plan.sources.length, googleToken, dryRunPlan);
+        planChange(dryRunPlan, {
+            action: 'write-headers',
+            range: `${sheetName}!${columnLetter(targetHeaders.length + 1)}1:${columnLetter(plan.sources.length)}1`,
+            values: plan.report.added
+        });
+    } else if (plan.report.added.length > 0) {
+        await ensureGridSize(spreadsheetId, grid, 0, plan.sources.length, googleToken);
+        const start = columnLetter(targetHeaders.length + 1);
+        const headerResponse = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!${start}1?valueInputOption=RAW`,
+            {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${googleToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    values: [plan.report.added],
+                    majorDimension: 'ROWS'
+                })
+            }
+        );
+
+        if (!headerResponse.ok) {
+            const errorText = await headerResponse.text();
+            throw new Error(`Failed to add header cells: ${headerResponse.status} - ${errorText}`);
+        }
+        console.log(`➕ Added ${plan.report.added.length} new header cells to "${sheetName}"`);
+    }
+
+    return {
+        alignRow: (row) => plan.sources.map(index => index === -1 ? '' : (row[index] ?? '')),
+        sources: plan.sources,
+        report: plan.report
+    };
+}
+
+// ===== DEDUPLICATION =====
+
+// Fingerprint a row (or just its key cells) so repeated uploads can be
+// recognised. Cells are compared as the sheet stores them (sheetCellValue),
+// trailing blanks ignored, so file text matches an unformatted read.
+function rowFingerprint(row, keyIndexes) {
+    const cells = keyIndexes
+        ? keyIndexes.map(index => row[index])
+        : trimTrailingBlanks(row);
+    const normalized = cells.map(cell => String(sheetCellValue(cell)));
+    if (normalized.every(value => value === '')) {
+        return null;
+    }
+    return createHash('sha1').update(normalized.join('\u0000')).digest('base64');
+}
+
+// Build a filter that drops rows already in the target tab or earlier in the
+// same file. `dedupe` is `true` (whole rows) or `{ keyColumns: [...] }`; key
+// columns are looked up in the tab's header row, or in incomingHeaders (the
+// file's header row, null when it has none) when the tab is empty. Without a
+// header row (hasHeaders = false) the tab's first row is data too and key
+// columns are given as 0-based positions. Pass compareTarget = false when the
+// tab is about to be replaced.
+async function prepareDeduplication(spreadsheetId, sheetName, dedupe, incomingHeaders, hasHeaders, compareTarget, googleToken) {
+    const targetRows = compareTarget ? await readSheetValues(spreadsheetId, sheetName, googleToken, 'UNFORMATTED_VALUE') : [];
+    
+    const keyColumns = Array.isArray(dedupe?.keyColumns) && dedupe.keyColumns.length > 0 ? dedupe.keyColumns : null;
+    let keyIndexes = null;
+    if (keyColumns) {
+        const headers = !hasHeaders ? [] : targetRows.length > 0 ? targetRows[0] : (incomingHeaders || []);
+        keyIndexes = keyColumns.map(key => Number.isInteger(key) && key >= 0
+            ? key
+            : headers.findIndex(header => normalizeColumnName(header) === normalizeColumnName(key)));
+        if (keyIndexes.includes(-1)) {
+            return {
+                error: 'Dedupe key columns not found: ' + keyColumns.filter((key, i) => keyIndexes[i] === -1).join(', ')
+            };
+        }
+    }
+    
+    // Incoming rows are fingerprinted before the formula guard, so cells it
+    // escaped on an earlier upload are compared without their '
+    const existing = new Set();
+    for (const row of targetRows) {
+        const fingerprint = rowFingerprint(row.map(unescapeFormula), keyIndexes);
+        if (fingerprint !== null) {
+            existing.add(fingerprint);
+        }
+    }
+    
+    const seen = new Set();
+    const report = {
+        keyColumns: keyColumns || 'row',
+        targetRowsCompared: targetRows.length,
+        dropped: 0,
+        droppedExisting: 0,
+        droppedInFile: 0
+    };
+    
+    return {
+        report,
+        keep: (row) => {
+            const fingerprint = rowFingerprint(row, keyIndexes);
+            if (fingerprint === null) {
+                return true;
+            }
+            if (existing.has(fingerprint)) {
+                report.droppedExisting++;
+            } else if (seen.has(fingerprint)) {
+                report.droppedInFile++;
+            } else {
+                seen.add(fingerprint);
+                return true;
+            }
+            report.dropped++;
+            return false;
+        }
+    };
+}
+
+// ===== UPLOAD SNAPSHOTS =====
+
+// Replace and upsert snapshots hold the whole tab, so tabs with more cells
+// than this aren't snapshotted and those uploads can't be undone
+const SNAPSHOT_MAX_CELLS = 200000;
+
+// Record what an upload is about to change, in csv_upload_snapshots against
+// its csv_uploads record. Replace and upsert rewrite rows in place, so the
+// whole tab is kept (formulas included) along with its grid size; an append
+// only adds rows, so the span is noted once it's known (sealUploadSnapshot).
+// Failures only cost the ability to undo, so they're logged, not thrown.
+async function saveUploadSnapshot(uploadId, userId, spreadsheetId, sheetName, uploadOptions, googleToken) {
+    try {
+        const grid = await getSheetGrid(spreadsheetId, sheetName, googleToken);
+        if (!grid) {
+            return;
+        }
+        
+        let kind;
+        let snapshot;
+        if (uploadOptions?.mode === 'replace' || uploadOptions?.mode === 'upsert') {
+            const { values, formulas } = await readUserEnteredValues(spreadsheetId, sheetName, googleToken);
+            const cellCount = values.reduce((count, row) => count + row.length, 0);
+            if (cellCount > SNAPSHOT_MAX_CELLS) {
+                console.log(`⚠️ "${sheetName}" has ${cellCount} cells, too many to snapshot - undo unavailable`);
+                return;
+            }
+            kind = 'values';
+            snapshot = {
+                values,
+                formulas,
+                grid: { rowCount: grid.rowCount, columnCount: grid.columnCount }
+            };
+        } else {
+            // Alignment may add header cells to row 1
+            const headerRow = await readSheetValues(spreadsheetId, `${sheetName}!1:1`, googleToken, 'FORMULA');
+            kind = 'append';
+            snapshot = { headerRow: headerRow[0] || [] };
+        }
+        
+        const { error } = await supabase
+            .from('csv_upload_snapshots')
+            .insert({
+                upload_id: uploadId,
+                user_id: userId,
+                spreadsheet_id: spreadsheetId,
+                sheet_name: sheetName,
+                kind,
+                snapshot,
+                created_at: new Date().toISOString()
+            });
+        
+        if (error) {
+            console.error('Failed to save upload snapshot:', error);
+        }
+    } catch (error) {
+        console.log('⚠️ Snapshot failed (undo unavailable):', error.message);
+    }
+}
+
+// After a successful upload, note the ranges it changed and fingerprint what
+// it left there - undo refuses to run once they've been edited. Returns
+// whether the upload can be undone.
+async function sealUploadSnapshot(uploadId, uploadResult, googleToken) {
+    try {
+        const { data: record } = await supabase
+            .from('csv_upload_snapshots')
+            .select('*')
+            .eq('upload_id', uploadId)
+            .single();
+        
+        if (!record) {
+            return false;
+        }
+        
+        const snapshot = record.snapshot;
+        snapshot.ranges = [];
+        if (record.kind === 'values') {
+            snapshot.ranges.push(record.sheet_name);
+        } else {
+            if (uploadResult.rowsUploaded > 0) {
+                snapshot.ranges.push(uploadResult.updatedRange);
+            }
+            const alignment = uploadResult.columnAlignment;
+            if (alignment?.targetHadHeaders && alignment.added.length > 0) {
+                const first = snapshot.headerRow.length + 1;
+                snapshot.addedHeaderRange = `${record.sheet_name}!${columnLetter(first)}1:${columnLetter(first + alignment.added.length - 1)}1`;
+                snapshot.ranges.push(snapshot.addedHeaderRange);
+            }
+        }
+        snapshot.afterHash = await fingerprintRanges(record.spreadsheet_id, snapshot.ranges, googleToken);
+        
+        const { error } = await supabase
+            .from('csv_upload_snapshots')
+            .update({ snapshot })
+            .eq('upload_id', uploadId);
+        
+        if (error) {
+            console.error('Failed to seal upload snapshot:', error);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.log('⚠️ Snapshot seal failed (undo unavailable):', error.message);
+        return false;
+    }
+}
+
+// A tab's cells as they were entered. Formulas come back apart from text, so
+// text that merely starts with = (an escaped or literal cell) stays text on
+// restore: `values` holds everything else, with '' where a formula sits, and
+// `formulas` lists { row, column, formula } (0-based).
+async function readUserEnteredValues(spreadsheetId, sheetName, googleToken) {
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?ranges=${encodeURIComponent(sheetName)}&fields=sheets.data.rowData.values.userEnteredValue`,
+        { headers: { 'Authorization': `Bearer ${googleToken}` } }
+    );
+    
+    if (!response.ok) {
+        throw new Error(`Failed to read target rows: ${response.status}`);
+    }
+    
+    const rowData = (await response.json()).sheets?.[0]?.data?.[0]?.rowData || [];
+    const formulas = [];
+    const values = rowData.map((row, rowIndex) => trimTrailingBlanks((row.values || []).map((cell, column) => {
+        const entered = cell.userEnteredValue || {};
+        if (entered.formulaValue !== undefined) {
+            formulas.push({ row: rowIndex, column, formula: entered.formulaValue });
+            return '';
+        }
+        return entered.stringValue ?? entered.numberValue ?? entered.boolValue ?? '';
+    })));
+    return { values, formulas };
+}
+
+async function fingerprintRanges(spreadsheetId, ranges, googleToken) {
+    const hash = createHash('sha1');
+    for (const range of ranges) {
+        hash.update(JSON.stringify(await readSheetValues(spreadsheetId, range, googleToken, 'FORMULA')));
+    }
+    return hash.digest('hex');
+}
+
+// Put a tab back the way a snapshot found it. Values are written RAW so text
+// like "00123" or "=A1" stays text; only the snapshot's real formulas are
+// re-entered so they evaluate.
+async function restoreSheetValues(spreadsheetId, sheetName, grid, snapshot, googleToken) {
+    await clearSheetTab(spreadsheetId, sheetName, grid, false, googleToken);
+    
+    const values = snapshot.values;
+    const formulaRows = (snapshot.formulas || []).reduce((max, formula) => Math.max(max, formula.row + 1), 0);
+    const width = (snapshot.formulas || []).reduce((max, formula) => Math.max(max, formula.column + 1), values.reduce((max, row) => Math.max(max, row.length), 0));
+    await ensureGridSize(spreadsheetId, grid, Math.max(values.length, formulaRows), width, googleToken);
+    
+    const formulas = (snapshot.formulas || []).map(({ row, column, formula }) => ({
+        range: `${sheetName}!${columnLetter(column + 1)}${row + 1}`,
+        values: [[formula]]
+    }));
+    
+    let rowNumber = 1;
+    for (const chunk of sizeBoundedChunks(values)) {
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!A${rowNumber}?valueInputOption=RAW`,
+            {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${googleToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ values: chunk, majorDimension: 'ROWS' })
+            }
+        );
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to restore rows: ${response.status} - ${errorText}`);
+        }
+        rowNumber += chunk.length;
+    }
+    
+    for (const chunk of sizeBoundedChunks(formulas, formula => formula.values[0])) {
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values:batchUpdate`,
+            {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${googleToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ valueInputOption: 'USER_ENTERED', data: chunk })
+            }
+        );
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to restore formulas: ${response.status} - ${errorText}`);
+        }
+    }
+    
+    await resizeGrid(spreadsheetId, grid, snapshot.grid.rowCount, snapshot.grid.columnCount, googleToken);
+    return { rowsRestored: values.length };
+}
+
+// Delete the rows an append added, and clear any header cells it added
+async function removeAppendedRows(spreadsheetId, sheetName, grid, snapshot, googleToken) {
+    const requests = [];
+    let rowsRemoved = 0;
+    
+    const appendedRange = snapshot.ranges.find(range => range !== snapshot.addedHeaderRange);
+    if (appendedRange) {
+        const [first, last] = appendedRange.split('!').pop().split(':').map(cell => Number(cell.match(/\d+/)?.[0]));
+        const lastRow = last || first;
+        requests.push({
+            deleteDimension: {
+                range: { sheetId: grid.sheetId, dimension: 'ROWS', startIndex: first - 1, endIndex: lastRow }
+            }
+        });
+        rowsRemoved = lastRow - first + 1;
+    }
+    
+    if (snapshot.addedHeaderRange) {
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${snapshot.addedHeaderRange}:clear`,
+            {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${googleToken}` }
+            }
+        );
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to clear added header cells: ${response.status} - ${errorText}`);
+        }
+    }
+    
+    if (requests.length > 0) {
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+            {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${googleToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ requests })
+            }
+        );
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to delete appended rows: ${response.status} - ${errorText}`);
+        }
+    }
+    
+    console.log(`↩️ Removed ${rowsRemoved} appended rows from "${sheetName}"`);
+    return { rowsRemoved };
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed - use POST'
+        });
+    }
+    
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authorization header required'
+            });
+        }
+        
+        const apiKey = authHeader.substring(7);
+        
+        // Verify API key
+        const { data: apiKeyData, error: apiKeyError } = await supabase
+            .from('api_keys')
+            .select('user_id, user_email')
+            .eq('api_key', apiKey)
+            .eq('is_active', true)
+            .single();
+        
+        if (apiKeyError || !apiKeyData) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid API key'
+            });
+        }
+        
+        // Route based on action parameter
+        const action = req.body?.action;
+        
+        if (!action) {
+            return res.status(400).json({
+                success: false,
+                error: 'Action parameter required'
+            });
+        }
+        
+        console.log(`📄 CSV API - Action: ${action} for user: ${apiKeyData.user_email}`);
+        
+        // A selected serviceAccountId, or without a client token the account
+        // connected through /api/google-auth, supplies the Google token. Bulk
+        // actions and resume-upload mint their own.
+        if (GOOGLE_TOKEN_ACTIONS.includes(action)) {
+            const planResponse = await serviceAccountPlanResponse(supabase, apiKeyData.user_id, req.body.serviceAccountId);
+            if (planResponse) {
+                return res.status(planResponse.status).json(planResponse.body);
+            }
+            try {
+                req.body.googleToken = await googleTokenFor(supabase, apiKeyData.user_id, req.body);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        }
+        
+        switch (action) {
+            case 'process-csv':
+                return await handleProcessCSV(req, res, apiKeyData);
+            case 'profile-csv':
+                return await handleProfileCSV(req, res, apiKeyData);
+            case 'export-xlsx':
+                return await handleExportXlsx(req, res, apiKeyData);
+            case 'complete-upload':
+                return await handleCompleteUpload(req, res, apiKeyData);
+            case 'resume-upload':
+                return await handleResumeUpload(req, res, apiKeyData);
+            case 'undo-upload':
+                return await handleUndoUpload(req, res, apiKeyData);
+            case 'create-sheet':
+                return await handleCreateSheetRedirect(req, res, apiKeyData);
+            case 'bulk-queue-create':
+                return await handleBulkQueueCreate(req, res, apiKeyData);
+            case 'bulk-queue-add-file':
+                return await handleBulkQueueAddFile(req, res, apiKeyData);
+            case 'bulk-queue-remove-file':
+                return await handleBulkQueueRemoveFile(req, res, apiKeyData);
+            case 'bulk-queue-list':
+                return await handleBulkQueueList(req, res, apiKeyData);
+            case 'bulk-queue-update-targets':
+                return await handleBulkQueueUpdateTargets(req, res, apiKeyData);
+            case 'bulk-queue-execute':
+                return await handleBulkQueueExecute(req, res, apiKeyData);
+            case 'fetch-content':
+                return await handleFetchContent(req, res, apiKeyData);
+            case 'process-client-queue':
+                return await handleProcessClientQueue(req, res, apiKeyData);
+            case 'check-headers':
+                return await handleCheckHeaders(req, res, apiKeyData);
+            case 'save-format-preset':
+                return await handleSaveFormatPreset(req, res, apiKeyData);
+            case 'list-format-presets':
+                return await handleListFormatPresets(req, res, apiKeyData);
+            case 'delete-format-preset':
+                return await handleDeleteFormatPreset(req, res, apiKeyData);
+            default:
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown action: ${action}. Available actions: process-csv, profile-csv, export-xlsx, complete-upload, resume-upload, undo-upload, create-sheet, bulk-queue-create, bulk-queue-add-file, bulk-queue-remove-file, bulk-queue-list, bulk-queue-update-targets, bulk-queue-execute, fetch-content, process-client-queue, check-headers, save-format-preset, list-format-presets, delete-format-preset`
+                });
+        }
+        
+    } catch (error) {
+        console.error('CSV API error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error: ' + error.message
+        });
+    }
+}
+
+// Handle CSV processing for preview
+async function handleProcessCSV(req, res, apiKeyData) {
+    const { csvContent, filename, processingOptions, columnMapping } = req.body;
+    
+    if (!csvContent) {
+        return res.status(400).json({
+            success: false,
+            error: 'CSV content is required'
+        });
+    }
+    
+    console.log('🔄 Processing CSV for preview:', {
+        filename,
+        size: csvContent.length,
+        user: apiKeyData.user_email
+    });
+    
+    // Debug processing options
+    console.log('===== CSV PROCESSING DEBUG (PREVIEW) =====');
+    console.log('Processing options received:', processingOptions);
+    console.log('Header handling:', processingOptions?.headerHandling);
+    console.log('========================================');
+    
+    // Transcode base64 payloads to UTF-8 before parsing
+    let payload;
+    try {
+        payload = readCSVPayload(csvContent, processingOptions);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error instanceof RangeError ? 'Unsupported encoding: ' + processingOptions?.encoding : error.message
+        });
+    }
+    
+    console.log(`🔤 CSV encoding: ${payload.encoding} (${payload.encodingSource})`);
+    
+    // Process CSV for preview (limited rows)
+    // SECURITY: the sanitizer strips any file URLs or unwanted data while reading
+    const result = parseCSVContent(csvPayloadToString(payload), {
+        ...processingOptions,
+        isPreview: true,
+        sanitize: true
+    });
+    
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    
+    result.metadata.encoding = payload.encoding;
+    result.metadata.encodingSource = payload.encodingSource;
+    result.metadata.workbook = payload.workbook;
+    result.metadata.json = payload.json;
+    
+    // Preview the rows as they would be uploaded with this column mapping
+    let sourceHeaders;
+    if (columnMapping) {
+        const mapping = compileColumnMapping(columnMapping, result.headers);
+        if (mapping.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid column mapping: ' + mapping.errors.join('; ')
+            });
+        }
+        
+        sourceHeaders = result.headers;
+        result.headers = mapping.headers;
+        result.rows = result.rows.map(mapping.mapRow);
+        result.metadata.columnCount = mapping.headers ? mapping.headers.length : (result.rows[0]?.length || 0);
+    }
+    
+    // Log the processing activity
+    await supabase
+        .from('csv_uploads')
+        .insert({
+            user_id: apiKeyData.user_id,
+            filename: filename || 'unknown.csv',
+            file_size: csvContent.length,
+            status: 'processed',
+            rows_uploaded: 0,
+            metadata: {
+                ...result.metadata,
+                action: 'preview'
+            },
+            created_at: new Date().toISOString()
+        });
+    
+    return res.json({
+        success: true,
+        message: 'CSV processed successfully',
+        filename: filename || 'unknown.csv',
+        headers: result.headers,
+        sourceHeaders,
+        previewRows: result.rows,
+        totalRows: result.totalRows,
+        delimiter: result.delimiter,
+        delimiterDetection: result.delimiterDetection,
+        fixedWidth: result.fixedWidth,
+        metadata: result.metadata,
+        processing: {
+            timestamp: new Date().toISOString(),
+            readyForUpload: true
+        }
+    });
+}
+
+// Handle column profiling over the whole file
+async function handleProfileCSV(req, res, apiKeyData) {
+    const { csvContent, filename, processingOptions } = req.body;
+    
+    if (!csvContent) {
+        return res.status(400).json({
+            success: false,
+            error: 'CSV content is required'
+        });
+    }
+    
+    console.log('🔬 Profiling CSV:', {
+        filename,
         size: csvContent.length,
         user: apiKeyData.user_email
     });
     
-    // Debug processing options
-    console.log('===== CSV PROCESSING DEBUG (PREVIEW) =====');
-    console.log('Processing options received:', processingOptions);
-    console.log('Header handling:', processingOptions?.headerHandling);
-    console.log('========================================');
+    // Transcode base64 payloads to UTF-8 before parsing
+    let payload;
+    try {
+        payload = readCSVPayload(csvContent, processingOptions);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error instanceof RangeError ? 'Unsupported encoding: ' + processingOptions?.encoding : error.message
+        });
+    }
+    
+    // Same parser and options as the upload, streamed so every row is profiled
+    // SECURITY: the sanitizer strips any file URLs or unwanted data while reading
+    const csvStream = createCSVRowStream(csvPayloadChunks(payload), {
+        ...processingOptions,
+        sanitize: true
+    });
+    const profile = await profileCSVStream(csvStream);
+    
+    const metadata = {
+        originalRowCount: csvStream.stats.originalRowCount,
+        columnCount: profile.columns.length,
+        hasHeaders: (processingOptions?.headerHandling || 'use') === 'use',
+        encoding: payload.encoding,
+        encodingSource: payload.encodingSource,
+        workbook: payload.workbook,
+        json: payload.json
+    };
+    
+    // Log the profiling activity
+    await supabase
+        .from('csv_uploads')
+        .insert({
+            user_id: apiKeyData.user_id,
+            filename: filename || 'unknown.csv',
+            file_size: csvContent.length,
+            status: 'processed',
+            rows_uploaded: 0,
+            metadata: {
+                ...metadata,
+                action: 'profile'
+            },
+            created_at: new Date().toISOString()
+        });
+    
+    return res.json({
+        success: true,
+        message: 'CSV profiled successfully',
+        filename: filename || 'unknown.csv',
+        headers: profile.headers,
+        totalRows: profile.rowCount,
+        delimiter: csvStream.stats.delimiter,
+        delimiterDetection: csvStream.stats.delimiterDetection,
+        fixedWidth: csvStream.stats.fixedWidth,
+        columns: profile.columns,
+        metadata
+    });
+}
+
+// Handle export to Excel - the same parsing, sanitizing, column mapping and
+// schema checks as complete-upload, returned as a .xlsx download instead of
+// written to a sheet. exportOptions: { splitBy, sheetName, responseFormat }
+// where splitBy (a column name or index) puts each distinct value on its own
+// sheet and responseFormat 'base64' returns JSON instead of the file.
+async function handleExportXlsx(req, res, apiKeyData) {
+    const { data: usage, error: usageError } = await supabase
+        .from('user_usage')
+        .select('*')
+        .eq('user_id', apiKeyData.user_id)
+        .single();
+        
+    if (usageError || !usage) {
+        return res.status(401).json({
+            success: false,
+            error: 'User usage data not found'
+        });
+    }
+    
+    if (usage.plan === 'trial' && new Date() > new Date(usage.trial_ends_at)) {
+        console.log('❌ Trial expired for user:', apiKeyData.user_email);
+        return res.status(402).json({
+            success: false,
+            error: 'Trial expired',
+            needsUpgrade: true,
+            trialStatus: {
+                isExpired: true,
+                daysRemaining: 0,
+                endDate: usage.trial_ends_at
+            }
+        });
+    }
+    
+    const { csvContent, filename, processingOptions, schema, columnMapping, exportOptions = {} } = req.body;
+    
+    if (!csvContent) {
+        return res.status(400).json({
+            success: false,
+            error: 'CSV content is required'
+        });
+    }
+    
+    const splitBy = exportOptions.splitBy;
+    if (splitBy !== undefined && splitBy !== null && typeof splitBy !== 'string' && !Number.isInteger(splitBy)) {
+        return res.status(400).json({
+            success: false,
+            error: 'exportOptions.splitBy must be a column name or index'
+        });
+    }
+    
+    console.log('📗 Exporting CSV to XLSX:', {
+        filename,
+        splitBy,
+        user: apiKeyData.user_email,
+        csvSize: csvContent.length
+    });
+    
+    // Transcode base64 payloads to UTF-8 before parsing
+    let payload;
+    try {
+        payload = readCSVPayload(csvContent, processingOptions);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error instanceof RangeError ? 'Unsupported encoding: ' + processingOptions?.encoding : error.message
+        });
+    }
+    
+    // SECURITY: the sanitizer strips any file URLs or unwanted data while reading
+    const streamOptions = {
+        ...processingOptions,
+        sanitize: true
+    };
+    const headerHandling = processingOptions?.headerHandling || 'use';
+    
+    const openCSVStream = () => {
+        const stream = createCSVRowStream(csvPayloadChunks(payload), streamOptions);
+        return columnMapping ? mapCSVRowStream(stream, columnMapping) : stream;
+    };
+    
+    if (columnMapping) {
+        const mappingErrors = await checkColumnMapping(
+            createCSVRowStream(csvPayloadChunks(payload), streamOptions),
+            columnMapping
+        );
+        if (mappingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid column mapping: ' + mappingErrors.join('; ')
+            });
+        }
+    }
+    
+    let validation = null;
+    const validationPolicy = schema?.policy || 'reject';
+    
+    if (schema) {
+        if (!VALIDATION_POLICIES.includes(validationPolicy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid schema policy: ${validationPolicy}. Use ${VALIDATION_POLICIES.join(', ')}`
+            });
+        }
+        
+        validation = await validateCSVStream(openCSVStream(), schema, headerHandling);
+        
+        if (validation.definitionErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid schema: ' + validation.definitionErrors.join('; '),
+                validation: summarizeValidation(validation, validationPolicy)
+            });
+        }
+        
+        if (validation.headerErrors.length > 0 || (!validation.valid && validationPolicy === 'reject')) {
+            return res.status(400).json({
+                success: false,
+                error: `Schema validation failed: ${validation.errorCount} errors in ${validation.invalidRowCount} rows`,
+                validation: summarizeValidation(validation, validationPolicy)
+            });
+        }
+    }
+    
+    const csvStream = openCSVStream();
+    const quarantinedRows = [];
+    const rowBatches = validation && validation.invalidRowCount > 0
+        ? withoutInvalidRows(csvStream, validation.invalidRows, headerHandling, (row, rowNumber, message) => {
+            if (validationPolicy === 'quarantine') {
+                const width = Math.max(row.length, csvStream.stats.headers?.length || 0);
+                const padded = row.concat(new Array(width - row.length).fill(''));
+                quarantinedRows.push([...padded, `Row ${rowNumber}: ${message}`]);
+            }
+        })
+        : csvStream.batches;
+    
+    // Group the rows by their splitBy value (or keep them together), and
+    // infer the column types from all of them so every sheet agrees
+    const baseName = exportOptions.sheetName || 'Sheet1';
+    const groups = new Map();
+    const columnTypes = createColumnTypeTracker();
+    let headers = null;
+    let splitIndex = -1;
+    let rowCount = 0;
+    
+    for await (const batch of rowBatches) {
+        for (const row of batch) {
+            if (row === csvStream.stats.headers) {
+                headers = row;
+                columnTypes.setHeaders(row);
+                continue;
+            }
+            
+            if (splitBy !== undefined && splitBy !== null && splitIndex < 0) {
+                splitIndex = Number.isInteger(splitBy)
+                    ? splitBy
+                    : (headers || []).findIndex(header => normalizeColumnName(header) === normalizeColumnName(splitBy));
+                if (splitIndex < 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `splitBy column not found: ${splitBy}`
+                    });
+                }
+            }
+            
+            const key = splitIndex >= 0 ? (String(row[splitIndex] ?? '').trim() || '(blank)') : baseName;
+            if (!groups.has(key)) {
+                if (groups.size >= XLSX_MAX_SPLIT_SHEETS) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `splitBy produces more than ${XLSX_MAX_SPLIT_SHEETS} sheets`
+                    });
+                }
+                groups.set(key, []);
+            }
+            groups.get(key).push(row);
+            columnTypes.add(row);
+            rowCount++;
+        }
+    }
+    
+    const columnCount = Math.max(headers?.length || 0, csvStream.stats.columnCount || 0);
+    const headerRow = headers || Array.from({ length: columnCount }, (_, index) => `Column ${columnLetter(index + 1)}`);
+    const columns = columnTypes.columns(columnCount);
+    
+    // Groups past Excel's row limit carry on in numbered sheets
+    const sheets = [];
+    const perSheet = XLSX_MAX_ROWS - 1;
+    for (const [name, rows] of groups) {
+        for (let start = 0; start === 0 || start < rows.length; start += perSheet) {
+            sheets.push({
+                name: start === 0 ? name : `${name} (${Math.floor(start / perSheet) + 1})`,
+                rows: [headerRow, ...rows.slice(start, start + perSheet)],
+                columns
+            });
+        }
+    }
+    if (sheets.length === 0) {
+        sheets.push({ name: baseName, rows: [headerRow], columns });
+    }
+    if (quarantinedRows.length > 0) {
+        sheets.push({ name: 'Quarantine', rows: [[...headerRow, 'Error'], ...quarantinedRows] });
+    }
+    
+    const workbook = buildXlsx(sheets);
+    const exportFilename = (filename || 'export.csv').replace(/\.[^.]*$/, '') + '.xlsx';
+    
+    console.log(`✅ Built XLSX: ${rowCount} rows in ${sheets.length} sheets (${workbook.content.length} bytes)`);
+    
+    // Log the export activity
+    await supabase
+        .from('csv_uploads')
+        .insert({
+            user_id: apiKeyData.user_id,
+            filename: filename || 'unknown.csv',
+            file_size: csvContent.length,
+            status: 'processed',
+            rows_uploaded: 0,
+            metadata: {
+                action: 'export_xlsx',
+                rowCount,
+                sheetCount: sheets.length,
+                splitBy,
+                quarantinedRows: quarantinedRows.length
+            },
+            created_at: new Date().toISOString()
+        });
+    
+    if (exportOptions.responseFormat === 'base64') {
+        return res.json({
+            success: true,
+            filename: exportFilename,
+            contentType: XLSX_CONTENT_TYPE,
+            content: workbook.content.toString('base64'),
+            totalRows: rowCount,
+            sheets: sheets.map((sheet, index) => ({ name: workbook.sheetNames[index], rows: sheet.rows.length - 1 })),
+            validation: validation ? summarizeValidation(validation, validationPolicy) : undefined
+        });
+    }
+    
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename.replace(/["\\\r\n]/g, '_')}"`);
+    res.setHeader('Content-Length', workbook.content.length);
+    return res.status(200).send(workbook.content);
+}
+
+// Handle complete upload
+// `resume` is set by resume-upload: the existing upload record, whose
+// checkpoint says how far the earlier attempt got
+async function handleCompleteUpload(req, res, apiKeyData, resume = null) {
+    // Check trial status first
+    const { data: usage, error: usageError } = await supabase
+        .from('user_usage')
+        .select('*')
+        .eq('user_id', apiKeyData.user_id)
+        .single();
+        
+    if (usageError || !usage) {
+        return res.status(401).json({
+            success: false,
+            error: 'User usage data not found'
+        });
+    }
+    
+    // Check trial expiration
+    const now = new Date();
+    const trialEnd = new Date(usage.trial_ends_at);
+    const isTrialActive = now <= trialEnd;
+    const daysRemaining = Math.max(0, Math.ceil((trialEnd - now) / (1000 * 60 * 60 * 24)));
+    
+    if (!isTrialActive && usage.plan === 'trial') {
+        console.log('❌ Trial expired for user:', apiKeyData.user_email);
+        return res.status(402).json({
+            success: false,
+            error: 'Trial expired',
+            needsUpgrade: true,
+            trialStatus: {
+                isExpired: true,
+                daysRemaining: 0,
+                endDate: usage.trial_ends_at
+            }
+        });
+    }
+    
+    // Plan-based feature validation for enterprise features
+    const { data: userPlan, error: planError } = await supabase
+        .from('user_usage')
+        .select('plan')
+        .eq('user_id', apiKeyData.user_id)
+        .single();
+
+    if (planError) {
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to verify user plan'
+        });
+    }
+
+    const isEnterprisePlan = userPlan.plan === 'enterprise';
+
+    // Check for enterprise-only features in the request
+    const enterpriseFeatures = [];
+
+    // Check for pattern matching feature
+    if (req.body.filePattern && req.body.filePattern.trim() !== '') {
+        if (!isEnterprisePlan) {
+            enterpriseFeatures.push('Smart Pattern Matching');
+        }
+    }
+
+    // Check for scheduling features
+    if (req.body.scheduleOptions && (
+        req.body.scheduleOptions.frequency !== 'none' || 
+        req.body.scheduleOptions.enabled === true
+    )) {
+        if (!isEnterprisePlan) {
+            enterpriseFeatures.push('Scheduled Upload');
+        }
+    }
+
+    // Check for advanced processing options
+    if (req.body.processingOptions && req.body.processingOptions.advancedOptions === true) {
+        if (!isEnterprisePlan) {
+            enterpriseFeatures.push('Advanced Processing Options');
+        }
+    }
+
+    // Check for service account authentication
+    if (req.body.serviceAccountId && !isEnterprisePlan) {
+        enterpriseFeatures.push('Service Account Authentication');
+    }
+
+    // Block request if non-enterprise user is trying to use enterprise features
+    if (enterpriseFeatures.length > 0) {
+        console.log(`❌ Enterprise features blocked for user: ${apiKeyData.user_email}, Plan: ${userPlan.plan}`);
+        return res.status(403).json({
+            success: false,
+            error: 'Enterprise features required',
+            blockedFeatures: enterpriseFeatures,
+            userPlan: userPlan.plan,
+            upgradeRequired: true,
+            message: `The following features require an Enterprise plan: ${enterpriseFeatures.join(', ')}`
+        });
+    }
+
+    console.log(`✅ Plan validation passed for user: ${apiKeyData.user_email}, Plan: ${userPlan.plan}`);
+    
+    const { 
+        csvContent, 
+        filename, 
+        spreadsheetId, 
+        sheetName, 
+        processingOptions, 
+        uploadOptions, 
+        googleToken,
+        schema,
+        columnMapping,
+        serviceAccountId,
+        dryRun
+    } = req.body;
+    
+    if (!csvContent || !spreadsheetId || !googleToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'CSV content, spreadsheet ID, and Google token (or a connected Google account) are required'
+        });
+    }
+    
+    console.log('🔄 Processing complete upload:', {
+        filename,
+        spreadsheetId,
+        sheetName,
+        user: apiKeyData.user_email,
+        csvSize: csvContent.length
+    });
+    
+    // Debug processing options for upload
+    console.log('===== CSV PROCESSING DEBUG (UPLOAD) =====');
+    console.log('Processing options received:', processingOptions);
+    console.log('Header handling:', processingOptions?.headerHandling);
+    console.log('======================================');
+    
+    // Transcode base64 payloads to UTF-8 before parsing
+    let payload;
+    try {
+        payload = readCSVPayload(csvContent, processingOptions);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error instanceof RangeError ? 'Unsupported encoding: ' + processingOptions?.encoding : error.message
+        });
+    }
+    
+    if (payload.workbook && processingOptions?.worksheet === ALL_WORKSHEETS && !resume) {
+        return await uploadAllWorksheets(req, res, apiKeyData, payload.workbook.worksheets);
+    }
+    
+    // SECURITY: the sanitizer strips any file URLs or unwanted data while reading
+    const streamOptions = {
+        ...processingOptions,
+        sanitize: true
+    };
+    const headerHandling = processingOptions?.headerHandling || 'use';
+    const targetSheetName = sheetName || 'Sheet1';
+    
+    // Aligning columns by name (and upserting, which always does) needs a
+    // header row to match on
+    const isUpsert = uploadOptions?.mode === 'upsert';
+    if (isUpsert && (!Array.isArray(uploadOptions.keyColumns) || uploadOptions.keyColumns.length === 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Upsert mode requires uploadOptions.keyColumns'
+        });
+    }
+    if (uploadOptions?.alignColumns || isUpsert) {
+        if (headerHandling !== 'use') {
+            return res.status(400).json({
+                success: false,
+                error: `${isUpsert ? 'Upsert mode' : 'alignColumns'} requires headerHandling "use"`
+            });
+        }
+        if (uploadOptions.unknownColumns && !UNKNOWN_COLUMN_POLICIES.includes(uploadOptions.unknownColumns)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid unknownColumns policy: ${uploadOptions.unknownColumns}. Use ${UNKNOWN_COLUMN_POLICIES.join(', ')}`
+            });
+        }
+    }
+    
+    // Cells that would become formulas are escaped unless the caller picks
+    // another policy
+    const policyError = formulaPolicyError(uploadOptions?.formulaPolicy);
+    if (policyError) {
+        return res.status(400).json({
+            success: false,
+            error: policyError
+        });
+    }
+    
+    const conditionalError = conditionalFormatsError(uploadOptions?.conditionalFormats);
+    if (conditionalError) {
+        return res.status(400).json({
+            success: false,
+            error: conditionalError
+        });
+    }
+    
+    // A saved formatPreset and the upload's own autoFormat options settle
+    // into one set of format options up front
+    let writeOptions;
+    try {
+        writeOptions = {
+            ...uploadOptions,
+            autoFormat: await uploadFormatOptions(supabase, apiKeyData.user_id, uploadOptions?.autoFormat, uploadOptions?.formatPreset),
+            // Whether the first row is the file's header rather than data
+            hasHeaders: headerHandling === 'use'
+        };
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    // Column mapping reshapes rows as they are read, so the schema and the
+    // sheet both see the mapped columns
+    const openCSVStream = () => {
+        const stream = createCSVRowStream(csvPayloadChunks(payload), streamOptions);
+        return columnMapping ? mapCSVRowStream(stream, columnMapping) : stream;
+    };
+    
+    if (columnMapping) {
+        const mappingErrors = await checkColumnMapping(
+            createCSVRowStream(csvPayloadChunks(payload), streamOptions),
+            columnMapping
+        );
+        if (mappingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid column mapping: ' + mappingErrors.join('; ')
+            });
+        }
+    }
+    
+    // Validate every row against the schema before anything is written
+    let validation = null;
+    const validationPolicy = schema?.policy || 'reject';
+    
+    // A dry run goes through the same steps against the live sheet, records
+    // the changes instead of making them and reports them here - including
+    // whether the real upload would fail
+    const dryRunPlan = dryRun ? [] : null;
+    const sendDryRun = (result, quarantine = undefined) => res.json({
+        success: true,
+        dryRun: true,
+        wouldSucceed: Boolean(result.success),
+        error: result.success ? undefined : result.error,
+        plan: {
+            spreadsheetId,
+            sheetName: targetSheetName,
+            mode: uploadOptions?.mode || 'append',
+            targetRange: result.updatedRange || null,
+            rowsToWrite: result.rowsUploaded || 0,
+            cellsToWrite: result.updatedCells || 0,
+            changes: dryRunPlan
+        },
+        columnAlignment: result.columnAlignment,
+        upsert: result.upsert,
+        dedupe: result.dedupe,
+        formulas: result.formulas,
+        conditionalFormats: result.conditionalFormats,
+        validation: validation ? {
+            ...summarizeValidation(validation, validationPolicy),
+            quarantine
+        } : undefined
+    });
+    
+    if (schema) {
+        if (!VALIDATION_POLICIES.includes(validationPolicy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid schema policy: ${validationPolicy}. Use ${VALIDATION_POLICIES.join(', ')}`
+            });
+        }
+        
+        validation = await validateCSVStream(
+            openCSVStream(),
+            schema,
+            headerHandling
+        );
+        console.log(`🧪 Schema validation: ${validation.errorCount} errors in ${validation.invalidRowCount}/${validation.rowCount} rows`);
+        
+        if (validation.definitionErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid schema: ' + validation.definitionErrors.join('; '),
+                validation: summarizeValidation(validation, validationPolicy)
+            });
+        }
+        
+        if (validation.headerErrors.length > 0 || (!validation.valid && validationPolicy === 'reject')) {
+            const error = `Schema validation failed: ${validation.errorCount} errors in ${validation.invalidRowCount} rows`;
+            if (dryRun) {
+                return sendDryRun({ success: false, error });
+            }
+            return res.status(400).json({
+                success: false,
+                error,
+                validation: summarizeValidation(validation, validationPolicy)
+            });
+        }
+    }
+    
+    // Stream the CSV into Google Sheets in row batches instead of building the
+    // full row array first. Replace mode opens the input twice: once to read
+    // it through before the tab is cleared, once to write it.
+    let csvStream = null;
+    const quarantinedRows = [];
+    const openRowBatches = () => {
+        csvStream = openCSVStream();
+        quarantinedRows.length = 0;
+        return validation && validation.invalidRowCount > 0
+            ? withoutInvalidRows(csvStream, validation.invalidRows, headerHandling, (row, rowNumber, message) => {
+                if (validationPolicy === 'quarantine') {
+                    // Pad short rows so the error message lands in its own column
+                    const width = Math.max(row.length, csvStream.stats.headers?.length || 0);
+                    const padded = row.concat(new Array(width - row.length).fill(''));
+                    quarantinedRows.push([...padded, `Row ${rowNumber}: ${message}`]);
+                }
+            })
+            : csvStream.batches;
+    };
     
-    // SECURITY: Sanitize CSV content to remove any file URLs or unwanted data
-    let sanitizedContent = csvContent;
-    if (typeof csvContent === 'string') {
-        // Remove any file:// URLs that might have been accidentally appended
-        sanitizedContent = csvContent.replace(/file:\/\/\/[^\s\n\r,]*/g, '');
-        // Remove any other suspicious URL patterns
-        sanitizedContent = sanitizedContent.replace(/^https?:\/\/[^\s\n\r,]*$/gm, '');
-        // Clean up any empty lines that may have been left
-        sanitizedContent = sanitizedContent.replace(/\n\s*\n/g, '\n').trim();
+    // Record the upload before writing, so a failed or timed-out run leaves
+    // a checkpoint behind for resume-upload
+    const recordMetadata = resume ? { ...resume.upload.metadata } : {
+        action: 'complete_upload',
+        request: { spreadsheetId, sheetName, processingOptions, uploadOptions, schema, columnMapping, serviceAccountId },
+        contentHash: createHash('sha1').update(csvContent).digest('hex'),
+        checkpoint: null
+    };
+    let uploadId = resume?.upload.id || null;
+    if (!uploadId && !dryRun) {
+        const { data: record, error: recordError } = await supabase
+            .from('csv_uploads')
+            .insert({
+                user_id: apiKeyData.user_id,
+                filename: filename || 'unknown.csv',
+                file_size: csvContent.length,
+                sheet_name: targetSheetName,
+                upload_type: uploadOptions?.mode || 'append',
+                status: 'uploading',
+                rows_uploaded: 0,
+                spreadsheet_id: spreadsheetId,
+                metadata: recordMetadata,
+                created_at: new Date().toISOString()
+            })
+            .select('id')
+            .single();
+        
+        if (recordError) {
+            console.error('Failed to create upload record:', recordError);
+        } else {
+            uploadId = record.id;
+        }
     }
     
-    // Process CSV for preview (limited rows) using sanitized content
-    const result = parseCSVContent(sanitizedContent, {
-        ...processingOptions,
-        isPreview: true
+    // Snapshot what the upload is about to change, for undo-upload. A resumed
+    // upload already has one from before its first attempt.
+    if (uploadId && !resume) {
+        await saveUploadSnapshot(uploadId, apiKeyData.user_id, spreadsheetId, targetSheetName, uploadOptions, googleToken);
+    }
+    
+    const saveCheckpoint = async (checkpoint, status = 'uploading') => {
+        if (!uploadId || !checkpoint) {
+            return;
+        }
+        recordMetadata.checkpoint = { ...checkpoint, updatedAt: new Date().toISOString() };
+        const { error } = await supabase
+            .from('csv_uploads')
+            .update({
+                status,
+                rows_uploaded: checkpoint.rowsUploaded,
+                metadata: recordMetadata
+            })
+            .eq('id', uploadId);
+        
+        if (error) {
+            console.error('Failed to save upload checkpoint:', error);
+        }
+    };
+    
+    // Upserts are idempotent, so a resumed one simply runs again from the top
+    const uploadResult = await uploadToGoogleSheets(
+        spreadsheetId,
+        targetSheetName,
+        openRowBatches,
+        writeOptions,
+        googleToken,
+        {
+            resumeFrom: isUpsert ? null : recordMetadata.checkpoint,
+            onCommit: saveCheckpoint
+        },
+        dryRunPlan
+    );
+    
+    if (dryRun && !uploadResult.authExpired && !uploadResult.notFound && !uploadResult.noData) {
+        return sendDryRun(uploadResult, quarantinedRows.length > 0 ? {
+            sheetName: schema.quarantineSheetName || `${targetSheetName} Quarantine`,
+            rowsToWrite: quarantinedRows.length
+        } : undefined);
+    }
+    
+    if (!uploadResult.success) {
+        recordMetadata.error = uploadResult.error;
+        await saveCheckpoint(uploadResult.checkpoint || recordMetadata.checkpoint || { inputRows: 0, rowsUploaded: 0, columnCount: 0 }, 'failed');
+        
+        if (uploadResult.authExpired) {
+            return res.status(401).json({
+                success: false,
+                error: 'Google authentication expired',
+                needsReauth: true,
+                uploadId
+            });
+        }
+        
+        if (uploadResult.notFound) {
+            const mapped = googleErrorResponse(404);
+            return res.status(mapped.status).json(mapped.body);
+        }
+        
+        if (uploadResult.noData) {
+            return res.status(400).json({
+                success: false,
+                error: 'No data found in CSV file'
+            });
+        }
+        
+        return res.status(400).json({
+            success: false,
+            error: 'Upload failed: ' + uploadResult.error,
+            rowsUploaded: uploadResult.rowsUploaded || 0,
+            columnAlignment: uploadResult.columnAlignment,
+            uploadId,
+            resumable: Boolean(uploadId)
+        });
+    }
+    
+    const csvStats = csvStream.stats;
+    console.log(`📊 Parsed ${csvStats.originalRowCount} rows from CSV (delimiter: ${JSON.stringify(csvStats.delimiter)})`);
+    
+    // Route rows that failed validation to the quarantine tab
+    let quarantine = null;
+    if (quarantinedRows.length > 0) {
+        quarantine = await writeQuarantineRows(
+            spreadsheetId,
+            schema.quarantineSheetName || `${targetSheetName} Quarantine`,
+            csvStats.headers,
+            quarantinedRows,
+            googleToken
+        );
+    }
+    
+    console.log(`✅ Upload successful: ${uploadResult.rowsUploaded} rows`);
+    
+    const undoAvailable = uploadId ? await sealUploadSnapshot(uploadId, uploadResult, googleToken) : false;
+    
+    // Update usage counters
+    await supabase.rpc('increment_usage', { 
+        p_user_id: apiKeyData.user_id 
+    });
+    
+    // Mark the upload record complete (or log it now if it couldn't be
+    // created up front)
+    const uploadRecord = {
+        user_id: apiKeyData.user_id,
+        filename: filename || 'unknown.csv',
+        file_size: csvContent.length,
+        sheet_name: sheetName || 'Sheet1',
+        sheet_url: uploadResult.spreadsheetUrl,
+        upload_type: uploadOptions?.mode || 'append',
+        status: 'success',
+        rows_uploaded: uploadResult.rowsUploaded,
+        spreadsheet_id: spreadsheetId,
+        metadata: {
+            ...recordMetadata,
+            error: undefined,
+            resumed: resume ? true : undefined,
+            originalRowCount: csvStats.originalRowCount,
+            columnCount: csvStats.columnCount,
+            hasHeaders: (processingOptions?.headerHandling || 'use') === 'use',
+            encoding: payload.encoding,
+            encodingSource: payload.encodingSource,
+            action: 'complete_upload',
+            processingOptions,
+            uploadOptions,
+            columnMapping,
+            upsert: uploadResult.upsert,
+            duplicatesDropped: uploadResult.dedupe?.dropped,
+            formulas: uploadResult.formulas,
+            validation: validation ? {
+                policy: validationPolicy,
+                errorCount: validation.errorCount,
+                invalidRowCount: validation.invalidRowCount,
+                quarantinedRows: quarantine?.rowsWritten || 0
+            } : undefined
+        }
+    };
+    
+    const { error: logError } = uploadId
+        ? await supabase.from('csv_uploads').update(uploadRecord).eq('id', uploadId)
+        : await supabase.from('csv_uploads').insert({ ...uploadRecord, created_at: new Date().toISOString() });
+    
+    if (logError) {
+        console.error('Failed to log upload:', logError);
+    }
+    
+    // Return updated trial status
+    const updatedDaysRemaining = Math.max(0, Math.ceil((trialEnd - now) / (1000 * 60 * 60 * 24)));
+    
+    return res.json({
+        success: true,
+        message: 'CSV uploaded successfully',
+        upload: {
+            id: uploadId,
+            filename: filename || 'unknown.csv',
+            rowsUploaded: uploadResult.rowsUploaded,
+            columnsUploaded: csvStats.headers?.length || 0,
+            spreadsheetId: spreadsheetId,
+            spreadsheetUrl: uploadResult.spreadsheetUrl,
+            sheetName: sheetName || 'Sheet1',
+            undoAvailable
+        },
+        columnAlignment: uploadResult.columnAlignment,
+        upsert: uploadResult.upsert,
+        dedupe: uploadResult.dedupe,
+        formulas: uploadResult.formulas,
+        conditionalFormats: uploadResult.conditionalFormats,
+        validation: validation ? {
+            ...summarizeValidation(validation, validationPolicy),
+            quarantine
+        } : undefined,
+        trialStatus: {
+            isActive: isTrialActive,
+            daysRemaining: updatedDaysRemaining,
+            uploadsRemaining: usage.uploads_today || 0
+        }
+    });
+}
+
+// Upload each worksheet of a workbook to the tab of the same name, adding
+// missing tabs first (a dry run only plans the tabs that already exist).
+// Every worksheet is its own complete-upload with its own upload record.
+async function uploadAllWorksheets(req, res, apiKeyData, worksheets) {
+    const { spreadsheetId, googleToken, processingOptions, dryRun } = req.body;
+    const results = [];
+    
+    for (const worksheet of worksheets) {
+        let result = null;
+        if (!dryRun) {
+            try {
+                await ensureSheetTab(spreadsheetId, worksheet, googleToken);
+            } catch (error) {
+                results.push({ worksheet, success: false, error: error.message });
+                continue;
+            }
+        }
+        
+        const worksheetReq = {
+            body: {
+                ...req.body,
+                sheetName: worksheet,
+                processingOptions: { ...processingOptions, worksheet }
+            }
+        };
+        const worksheetRes = {
+            json: (data) => { result = data; },
+            status: (code) => ({
+                json: (data) => { result = { status: code, ...data }; }
+            })
+        };
+        
+        console.log(`📑 Uploading worksheet "${worksheet}" (${results.length + 1}/${worksheets.length})`);
+        await handleCompleteUpload(worksheetReq, worksheetRes, apiKeyData);
+        results.push({ worksheet, ...result });
+    }
+    
+    const failed = results.filter(result => !result.success);
+    if (failed.length === worksheets.length) {
+        return res.status(400).json({
+            success: false,
+            error: `No worksheets were uploaded: ${failed[0].error}`,
+            worksheets: results
+        });
+    }
+    
+    return res.json({
+        success: failed.length === 0,
+        error: failed.length > 0 ? `${failed.length} of ${worksheets.length} worksheets failed` : undefined,
+        message: `Uploaded ${worksheets.length - failed.length} of ${worksheets.length} worksheets`,
+        spreadsheetId,
+        spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+        rowsUploaded: results.reduce((total, result) => total + (result.upload?.rowsUploaded || 0), 0),
+        worksheets: results
     });
+}
+
+// Continue a failed or timed-out upload from its last checkpoint. The client
+// sends the same CSV content again; it must match the original upload.
+async function handleResumeUpload(req, res, apiKeyData) {
+    const { uploadId, csvContent } = req.body;
+    
+    if (!uploadId || !csvContent) {
+        return res.status(400).json({
+            success: false,
+            error: 'uploadId and csvContent are required'
+        });
+    }
+    
+    const { data: upload, error } = await supabase
+        .from('csv_uploads')
+        .select('*')
+        .eq('id', uploadId)
+        .eq('user_id', apiKeyData.user_id)
+        .single();
+    
+    if (error || !upload) {
+        return res.status(404).json({
+            success: false,
+            error: 'Upload not found or access denied'
+        });
+    }
+    
+    if (upload.status === 'success') {
+        return res.status(400).json({
+            success: false,
+            error: 'Upload already completed'
+        });
+    }
+    
+    if (!upload.metadata?.request) {
+        return res.status(400).json({
+            success: false,
+            error: 'Upload cannot be resumed - no checkpoint was recorded'
+        });
+    }
+    
+    if (createHash('sha1').update(csvContent).digest('hex') !== upload.metadata.contentHash) {
+        return res.status(400).json({
+            success: false,
+            error: 'CSV content does not match the original upload'
+        });
+    }
+    
+    // Resume under the service account the upload started with, if any
+    const serviceAccountId = req.body.serviceAccountId || upload.metadata.request.serviceAccountId;
+    const planResponse = await serviceAccountPlanResponse(supabase, apiKeyData.user_id, serviceAccountId);
+    if (planResponse) {
+        return res.status(planResponse.status).json(planResponse.body);
+    }
+    
+    let googleToken;
+    try {
+        googleToken = await googleTokenFor(supabase, apiKeyData.user_id, {
+            googleToken: req.body.googleToken,
+            serviceAccountId
+        });
+    } catch (tokenError) {
+        return res.status(400).json({
+            success: false,
+            error: tokenError.message
+        });
+    }
+    
+    if (!googleToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'Google token required - pass googleToken or connect a Google account'
+        });
+    }
+    
+    console.log(`⏯️ Resuming upload ${uploadId} after ${upload.metadata.checkpoint?.inputRows || 0} rows`);
+    
+    req.body = {
+        ...upload.metadata.request,
+        csvContent,
+        filename: upload.filename,
+        googleToken
+    };
+    return handleCompleteUpload(req, res, apiKeyData, { upload });
+}
+
+// Undo a completed upload from its snapshot: put back the tab's previous
+// contents (replace, upsert) or delete the rows it appended. Refused when
+// the affected range has been edited since, so no later work is lost.
+// Formatting cleared by clearFormats is not restored.
+async function handleUndoUpload(req, res, apiKeyData) {
+    const { uploadId, googleToken } = req.body;
+    
+    if (!uploadId || !googleToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'uploadId and googleToken (or a connected Google account) are required'
+        });
+    }
+    
+    const { data: upload, error } = await supabase
+        .from('csv_uploads')
+        .select('*')
+        .eq('id', uploadId)
+        .eq('user_id', apiKeyData.user_id)
+        .single();
+    
+    if (error || !upload) {
+        return res.status(404).json({
+            success: false,
+            error: 'Upload not found or access denied'
+        });
+    }
+    
+    if (upload.status === 'undone') {
+        return res.status(400).json({
+            success: false,
+            error: 'Upload has already been undone'
+        });
+    }
+    
+    if (upload.status !== 'success') {
+        return res.status(400).json({
+            success: false,
+            error: 'Only completed uploads can be undone'
+        });
+    }
+    
+    const { data: record } = await supabase
+        .from('csv_upload_snapshots')
+        .select('*')
+        .eq('upload_id', uploadId)
+        .single();
+    
+    if (!record?.snapshot?.afterHash) {
+        return res.status(400).json({
+            success: false,
+            error: 'No snapshot was recorded for this upload, so it cannot be undone'
+        });
+    }
+    
+    const spreadsheetResponse = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${record.spreadsheet_id}?fields=sheets(properties(sheetId,title,gridProperties))`,
+        { headers: { 'Authorization': `Bearer ${googleToken}` } }
+    );
+    
+    if (!spreadsheetResponse.ok) {
+        const mapped = googleErrorResponse(spreadsheetResponse.status);
+        if (mapped) {
+            return res.status(mapped.status).json(mapped.body);
+        }
+        return res.status(500).json({
+            success: false,
+            error: `Google Sheets API error: ${spreadsheetResponse.status}`
+        });
+    }
+    
+    const grid = findSheetGrid(await spreadsheetResponse.json(), record.sheet_name);
+    if (!grid) {
+        return res.status(404).json({
+            success: false,
+            error: `Sheet "${record.sheet_name}" no longer exists`,
+            notFound: true
+        });
+    }
+    
+    const snapshot = record.snapshot;
+    if (await fingerprintRanges(record.spreadsheet_id, snapshot.ranges, googleToken) !== snapshot.afterHash) {
+        return res.status(409).json({
+            success: false,
+            error: 'The sheet has been edited since this upload - undoing it would overwrite those changes',
+            edited: true
+        });
+    }
+    
+    console.log(`↩️ Undoing upload ${uploadId} (${record.kind}) in "${record.sheet_name}"`);
     
-    if (!result.success) {
-        return res.status(400).json(result);
+    let undone;
+    try {
+        undone = record.kind === 'values'
+            ? await restoreSheetValues(record.spreadsheet_id, record.sheet_name, grid, snapshot, googleToken)
+            : await removeAppendedRows(record.spreadsheet_id, record.sheet_name, grid, snapshot, googleToken);
+    } catch (undoError) {
+        console.error('❌ Undo failed:', undoError);
+        return res.status(500).json({
+            success: false,
+            error: 'Undo failed: ' + undoError.message
+        });
     }
     
-    // Log the processing activity
     await supabase
         .from('csv_uploads')
-        .insert({
-            user_id: apiKeyData.user_id,
-            filename: filename || 'unknown.csv',
-            file_size: csvContent.length,
-            status: 'processed',
-            rows_uploaded: 0,
-            metadata: {
-                ...result.metadata,
-                action: 'preview'
-            },
-            created_at: new Date().toISOString()
-        });
+        .update({
+            status: 'undone',
+            metadata: { ...upload.metadata, undoneAt: new Date().toISOString() }
+        })
+        .eq('id', uploadId);
+    
+    // The snapshot can't be used again
+    await supabase.from('csv_upload_snapshots').delete().eq('upload_id', uploadId);
     
     return res.json({
         success: true,
-        message: 'CSV processed successfully',
-        filename: filename || 'unknown.csv',
-        headers: result.headers,
-        previewRows: result.rows,
-        totalRows: result.totalRows,
-        delimiter: result.delimiter,
-        metadata: result.metadata,
-        processing: {
-            timestamp: new Date().toISOString(),
-            readyForUpload: true
+        message: 'Upload undone',
+        undo: {
+            uploadId,
+            sheetName: record.sheet_name,
+            ...undone
         }
     });
 }
 
-// Handle complete upload
-async function handleCompleteUpload(req, res, apiKeyData) {
-    // Check trial status first
-    const { data: usage, error: usageError } = await supabase
-        .from('user_usage')
-        .select('*')
-        .eq('user_id', apiKeyData.user_id)
-        .single();
+// Google Sheets Upload Function
+// `rows` is a row array, a stream of row batches (createCSVRowStream) or a
+// function that opens a fresh stream; rows are written in size-bounded chunks
+// so large files never need to be sent in one piece. Replace mode reads an
+// opened stream through once, discarding the rows, before clearing the tab.
+// `progress` makes the write resumable: `resumeFrom` is a checkpoint from an
+// earlier attempt and `onCommit` is called with a new one after every chunk
+// the API accepts. Checkpoints count input rows, so rows dropped by alignment
+// or dedupe don't shift them.
+// With a `dryRunPlan` array nothing is written: every step still runs against
+// the live sheet, but the changes it would make are recorded in the plan.
+async function uploadToGoogleSheets(spreadsheetId, sheetName, rows, uploadOptions, googleToken, progress = null, dryRunPlan = null) {
+    const resumeFrom = progress?.resumeFrom || { inputRows: 0, rowsUploaded: 0, columnCount: 0 };
+    let rowsUploaded = resumeFrom.rowsUploaded;
+    let committedRows = resumeFrom.inputRows;
+    let columnCount = resumeFrom.columnCount;
+    // Ranges written so far, kept across resumes so the full span is known
+    let firstRange = resumeFrom.firstRange || null;
+    let lastRange = resumeFrom.lastRange || null;
+    const checkpoint = () => ({ inputRows: committedRows, rowsUploaded, columnCount, firstRange, lastRange });
+    const formulaGuard = createFormulaGuard(uploadOptions?.formulaPolicy);
+    const formatOptions = resolveFormatOptions(uploadOptions?.autoFormat);
+    const columnTypes = formatOptions ? createColumnTypeTracker() : null;
+    try {
+        let batches = toRowBatches(typeof rows === 'function' ? rows() : rows)[Symbol.asyncIterator]();
         
-    if (usageError || !usage) {
-        return res.status(401).json({
-            success: false,
-            error: 'User usage data not found'
+        // Look at the first batch before touching the sheet, so an empty file
+        // never clears a tab in replace mode
+        let batch = await batches.next();
+        if (batch.done || batch.value.length === 0) {
+            return {
+                success: false,
+                error: 'No data to upload',
+                noData: true
+            };
+        }
+        
+        console.log(`📊 Uploading rows to Google Sheets in chunks of up to ${SHEETS_BATCH_ROWS} rows / ${SHEETS_MAX_REQUEST_BYTES} bytes...`);
+        
+        // Test Google Token first
+        const testResponse = await googleFetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+            headers: { 'Authorization': `Bearer ${googleToken}` }
         });
+        
+        if (!testResponse.ok) {
+            console.error('Google token invalid:', testResponse.status);
+            return {
+                success: false,
+                error: 'Google authentication expired',
+                authExpired: true
+            };
+        }
+        
+        // Get spreadsheet info
+        const spreadsheetResponse = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`,
+            {
+                headers: { 'Authorization': `Bearer ${googleToken}` }
+            }
+        );
+        
+        if (!spreadsheetResponse.ok) {
+            console.error('Failed to access spreadsheet:', spreadsheetResponse.status);
+            const mapped = googleErrorResponse(spreadsheetResponse.status);
+            return {
+                success: false,
+                error: mapped ? mapped.body.error : 'Cannot access spreadsheet. Check permissions.',
+                authExpired: mapped?.status === 401,
+                notFound: mapped?.status === 404
+            };
+        }
+        
+        const spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+        const isReplace = uploadOptions?.mode === 'replace';
+        
+        // Current grid size of the tab, grown before every write that would
+        // fall outside it
+        const grid = findSheetGrid(await spreadsheetResponse.json(), sheetName);
+        
+        // A dry run can't lean on the write failing, so check the tab exists.
+        // Its current rows show what replace clears and where append lands.
+        let existingRows = [];
+        if (dryRunPlan) {
+            if (!grid) {
+                return {
+                    success: false,
+                    error: `Sheet "${sheetName}" not found`
+                };
+            }
+            if (uploadOptions?.mode !== 'upsert') {
+                existingRows = await readSheetValues(spreadsheetId, sheetName, googleToken);
+            }
+        }
+        
+        if (isReplace && resumeFrom.inputRows === 0) {
+            // Read the rest of the input before clearing, so a file that
+            // fails part-way through can't leave the tab wiped and half
+            // written. Rows are dropped as they are read; the write starts
+            // over from a freshly opened stream.
+            if (!dryRunPlan && typeof rows === 'function') {
+                for (let next = await batches.next(); !next.done; next = await batches.next()) {
+                    // Only a parse error matters here
+                }
+                batches = toRowBatches(rows())[Symbol.asyncIterator]();
+                batch = await batches.next();
+            }
+            
+            // Replace mode - clear the whole tab, then write each batch below the last
+            if (dryRunPlan) {
+                planChange(dryRunPlan, {
+                    action: 'clear',
+                    range: sheetName,
+                    rows: existingRows.length,
+                    cells: existingRows.reduce((count, row) => count + row.length, 0),
+                    clearFormats: Boolean(uploadOptions.clearFormats)
+                });
+            } else {
+                await clearSheetTab(spreadsheetId, sheetName, grid, uploadOptions.clearFormats, googleToken);
+            }
+        }
+        
+        if (uploadOptions?.mode === 'upsert') {
+            const upsertResult = await upsertRowsToSheet(spreadsheetId, sheetName, grid, batch.value, batches, uploadOptions, formulaGuard, columnTypes, googleToken, dryRunPlan);
+            
+            if (upsertResult.success && formatOptions) {
+                await applyAutoFormatting(spreadsheetId, grid, columnTypes.columns(upsertResult.columnCount), formatOptions, googleToken, dryRunPlan);
+            }
+            if (upsertResult.success && uploadOptions.conditionalFormats) {
+                // A dry run into an empty tab hasn't written the file's header row
+                const plannedHeaders = upsertResult.columnAlignment?.targetHadHeaders ? null : batch.value[0];
+                upsertResult.conditionalFormats = await applyConditionalFormats(spreadsheetId, sheetName, uploadOptions.conditionalFormats, plannedHeaders, googleToken, dryRunPlan);
+            }
+            return {
+                ...upsertResult,
+                spreadsheetUrl,
+                formulas: formulaGuard.report()
+            };
+        }
+        
+        // Header-aware append: line the incoming columns up with the target's
+        // header row instead of writing them positionally. A file without a
+        // header row has nothing to line up, so it's always positional.
+        const headerRow = uploadOptions?.hasHeaders === false ? null : batch.value[0];
+        let alignment = null;
+        if (!isReplace && uploadOptions?.alignColumns && headerRow) {
+            alignment = await prepareColumnAlignment(
+                spreadsheetId,
+                sheetName,
+                await readHeaderRow(spreadsheetId, sheetName, googleToken),
+                batch.value[0],
+                uploadOptions.unknownColumns || 'reject',
+                googleToken,
+                grid,
+                dryRunPlan
+            );
+            
+            if (alignment.error) {
+                return {
+                    success: false,
+                    error: alignment.error,
+                    columnAlignment: alignment.report,
+                    rowsUploaded
+                };
+            }
+        }
+        
+        // Skip rows already in the tab (or repeated in the file). Rows are
+        // compared after alignment, so they're in the tab's column order.
+        let deduplication = null;
+        if (uploadOptions?.dedupe) {
+            deduplication = await prepareDeduplication(
+                spreadsheetId,
+                sheetName,
+                uploadOptions.dedupe,
+                alignment?.alignRow ? null : headerRow,
+                Boolean(headerRow),
+                !isReplace,
+                googleToken
+            );
+            
+            if (deduplication.error) {
+                return {
+                    success: false,
+                    error: deduplication.error,
+                    rowsUploaded
+                };
+            }
+        }
+        
+        // Whitelisted columns are named by the file's header row, in the
+        // order the rows are written
+        const writtenHeaders = alignment?.alignRow ? alignment.alignRow(batch.value[0]) : batch.value[0];
+        formulaGuard.setHeaders(writtenHeaders);
+        columnTypes?.setHeaders(writtenHeaders);
+        
+        let updatedCells = 0;
+        let inputRows = 0;
+        
+        for (; !batch.done; batch = await batches.next()) {
+            const batchStart = inputRows;
+            inputRows += batch.value.length;
+            
+            // Keep each row's input position so a checkpoint can point at it
+            const pending = [];
+            batch.value.forEach((row, offset) => {
+                const position = batchStart + offset;
+                // Already committed, or our header row when the target has one
+                if (position < resumeFrom.inputRows || (position === 0 && alignment?.alignRow)) {
+                    return;
+                }
+                const aligned = alignment?.alignRow ? alignment.alignRow(row) : row;
+                // A header row that is written goes in as-is, never as a duplicate
+                if (!deduplication || (position === 0 && headerRow) || deduplication.keep(aligned)) {
+                    pending.push({ row: aligned, position });
+                }
+            });
+            
+            for (const chunk of sizeBoundedChunks(pending, entry => entry.row)) {
+                const chunkRows = chunk.map(entry => formulaGuard.row(entry.row));
+                // Row 1 is taken as the header when formatting
+                chunk.forEach(entry => entry.position > 0 && columnTypes?.add(entry.row));
+                const chunkWidth = chunkRows.reduce((width, row) => Math.max(width, row.length), 0);
+                
+                let updates;
+                if (dryRunPlan) {
+                    // The range the API would report: replace writes from the
+                    // top, append goes below the existing rows
+                    const startRow = (isReplace ? 0 : existingRows.length) + rowsUploaded + 1;
+                    await ensureGridSize(spreadsheetId, grid, isReplace ? rowsUploaded + chunkRows.length : 0, chunkWidth, googleToken, dryRunPlan);
+                    updates = {
+                        updatedRange: `${sheetName}!A${startRow}:${columnLetter(chunkWidth)}${startRow + chunkRows.length - 1}`,
+                        updatedCells: chunkRows.reduce((count, row) => count + row.length, 0)
+                    };
+                } else {
+                    let uploadResponse;
+                    if (isReplace) {
+                        await ensureGridSize(spreadsheetId, grid, rowsUploaded + chunkRows.length, chunkWidth, googleToken);
+                        uploadResponse = await googleFetch(
+                            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!A${rowsUploaded + 1}?valueInputOption=USER_ENTERED`,
+                            {
+                                method: 'PUT',
+                                headers: {
+                                    'Authorization': `Bearer ${googleToken}`,
+                                    'Content-Type': 'application/json'
+                                },
+                                body: JSON.stringify({
+                                    values: chunkRows,
+                                    majorDimension: 'ROWS'
+                                })
+                            }
+                        );
+                    } else {
+                        // Append mode - the API inserts the rows, but not columns
+                        await ensureGridSize(spreadsheetId, grid, 0, chunkWidth, googleToken);
+                        uploadResponse = await appendRowsToSheet(spreadsheetId, `${sheetName}!A1`, chunkRows, googleToken);
+                    }
+                    
+                    if (!uploadResponse.ok) {
+                        const errorText = await uploadResponse.text();
+                        console.error('Upload failed:', uploadResponse.status, errorText, `after ${rowsUploaded} rows`);
+                        return {
+                            success: false,
+                            error: `Upload failed: ${uploadResponse.status} - ${errorText}`,
+                            authExpired: googleErrorResponse(uploadResponse.status)?.status === 401,
+                            rowsUploaded,
+                            checkpoint: checkpoint()
+                        };
+                    }
+                    
+                    const uploadResult = await uploadResponse.json();
+                    updates = uploadResult.updates || uploadResult;
+                }
+                
+                columnCount = Math.max(columnCount, chunkWidth);
+                rowsUploaded += chunkRows.length;
+                updatedCells += updates.updatedCells || 0;
+                firstRange = firstRange || updates.updatedRange;
+                lastRange = updates.updatedRange || lastRange;
+                committedRows = chunk[chunk.length - 1].position + 1;
+                
+                if (!dryRunPlan) {
+                    console.log(`📤 Wrote chunk of ${chunkRows.length} rows (${rowsUploaded} total)`);
+                }
+                await progress?.onCommit?.(checkpoint());
+            }
+            
+            // Rows dropped at the end of the batch count as handled too
+            if (inputRows > committedRows) {
+                committedRows = inputRows;
+                await progress?.onCommit?.(checkpoint());
+            }
+        }
+        
+        // Trim the replaced tab to exactly the uploaded data
+        if (isReplace && grid) {
+            await resizeGrid(
+                spreadsheetId,
+                grid,
+                Math.max(rowsUploaded, grid.frozenRowCount + 1),
+                Math.max(columnCount, grid.frozenColumnCount + 1),
+                googleToken,
+                dryRunPlan
+            );
+        }
+        
+        // Recorded after the resizes so they collapse into one net change
+        if (dryRunPlan && rowsUploaded > 0) {
+            planChange(dryRunPlan, {
+                action: isReplace ? 'write' : 'append',
+                range: mergeA1Ranges(firstRange, lastRange),
+                rows: rowsUploaded,
+                cells: updatedCells
+            });
+        }
+        
+        // Apply formatting if enabled
+        if (formatOptions) {
+            await applyAutoFormatting(spreadsheetId, grid, columnTypes.columns(columnCount), formatOptions, googleToken, dryRunPlan);
+        }
+        
+        // A dry run of a replace, or of an append into an empty tab, hasn't
+        // written the file's header row yet
+        const conditionalFormats = uploadOptions?.conditionalFormats
+            ? await applyConditionalFormats(spreadsheetId, sheetName, uploadOptions.conditionalFormats, isReplace || existingRows.length === 0 ? writtenHeaders : null, googleToken, dryRunPlan)
+            : undefined;
+        
+        return {
+            success: true,
+            rowsUploaded: rowsUploaded,
+            spreadsheetUrl: spreadsheetUrl,
+            updatedRange: mergeA1Ranges(firstRange, lastRange) || `${sheetName}!A1:${columnLetter(columnCount || 1)}${rowsUploaded}`,
+            updatedCells: updatedCells || rowsUploaded * columnCount,
+            columnAlignment: alignment?.report,
+            dedupe: deduplication?.report,
+            formulas: formulaGuard.report(),
+            conditionalFormats
+        };
+        
+    } catch (error) {
+        console.error('Upload error:', error);
+        return {
+            success: false,
+            error: error.message,
+            rowsUploaded,
+            checkpoint: checkpoint()
+        };
     }
+}
+
+// Append rows below the existing data of a tab
+async function appendRowsToSheet(spreadsheetId, range, rows, googleToken, valueInputOption = 'USER_ENTERED') {
+    return googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}:append?valueInputOption=${valueInputOption}&insertDataOption=INSERT_ROWS`,
+        {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${googleToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                values: rows,
+                majorDimension: 'ROWS'
+            })
+        }
+    );
+}
+
+// Upsert: update target rows whose key columns match an incoming row, append
+// rows with new keys and optionally delete target rows missing from the file.
+// Incoming columns are lined up with the target's header row by name; target
+// columns the file doesn't have keep their current values.
+async function upsertRowsToSheet(spreadsheetId, sheetName, grid, firstBatch, batches, uploadOptions, formulaGuard, columnTypes, googleToken, dryRunPlan = null) {
+    const counts = { inserted: 0, updated: 0, unchanged: 0, deleted: 0, skipped: 0 };
     
-    // Check trial expiration
-    const now = new Date();
-    const trialEnd = new Date(usage.trial_ends_at);
-    const isTrialActive = now <= trialEnd;
-    const daysRemaining = Math.max(0, Math.ceil((trialEnd - now) / (1000 * 60 * 60 * 24)));
+    // Unformatted, so keys compare with the file's text by value rather than
+    // by how the tab happens to display them
+    const targetRows = await readSheetValues(spreadsheetId, sheetName, googleToken, 'UNFORMATTED_VALUE');
+    const targetHeaders = trimTrailingBlanks(targetRows[0] || []);
+    const incomingHeaders = firstBatch[0];
     
-    if (!isTrialActive && usage.plan === 'trial') {
-        console.log('❌ Trial expired for user:', apiKeyData.user_email);
-        return res.status(402).json({
+    const keyNames = uploadOptions.keyColumns.map(normalizeColumnName);
+    const incomingKeys = keyNames.map(key => incomingHeaders.findIndex(header => normalizeColumnName(header) === key));
+    if (incomingKeys.includes(-1)) {
+        return {
             success: false,
-            error: 'Trial expired',
-            needsUpgrade: true,
-            trialStatus: {
-                isExpired: true,
-                daysRemaining: 0,
-                endDate: usage.trial_ends_at
+            error: 'Key columns not found in the file: ' + uploadOptions.keyColumns.filter((key, i) => incomingKeys[i] === -1).join(', ')
+        };
+    }
+    
+    let alignment = await prepareColumnAlignment(spreadsheetId, sheetName, targetHeaders, incomingHeaders, uploadOptions.unknownColumns || 'reject', googleToken, grid, dryRunPlan);
+    if (alignment.error) {
+        return {
+            success: false,
+            error: alignment.error,
+            columnAlignment: alignment.report
+        };
+    }
+    
+    // Empty tab: write our header row and treat every row as new
+    if (!alignment.alignRow) {
+        await ensureGridSize(spreadsheetId, grid, 0, incomingHeaders.length, googleToken, dryRunPlan);
+        if (dryRunPlan) {
+            planChange(dryRunPlan, {
+                action: 'write-headers',
+                range: `${sheetName}!A1:${columnLetter(incomingHeaders.length)}1`,
+                values: incomingHeaders
+            });
+        } else {
+            const headerResponse = await appendRowsToSheet(spreadsheetId, `${sheetName}!A1`, [incomingHeaders], googleToken, 'RAW');
+            if (!headerResponse.ok) {
+                throw new Error(`Failed to write header row: ${headerResponse.status}`);
+            }
+        }
+        alignment = {
+            alignRow: row => incomingHeaders.map((header, index) => row[index] ?? ''),
+            sources: incomingHeaders.map((header, index) => index),
+            report: alignment.report
+        };
+    }
+    formulaGuard.setHeaders(targetHeaders.length > 0 ? targetHeaders : incomingHeaders);
+    columnTypes?.setHeaders(targetHeaders.length > 0 ? targetHeaders : incomingHeaders);
+    
+    const targetKeys = incomingKeys.map(index => alignment.sources.indexOf(index));
+    if (targetKeys.includes(-1)) {
+        return {
+            success: false,
+            error: 'Key columns not found in the target tab: ' + uploadOptions.keyColumns.filter((key, i) => targetKeys[i] === -1).join(', '),
+            columnAlignment: alignment.report
+        };
+    }
+    
+    const rowKey = (row) => {
+        const parts = targetKeys.map(index => String(sheetCellValue(row[index])));
+        return parts.every(part => part === '') ? null : parts.join('\u0000');
+    };
+    
+    // Key -> sheet row number and current values; rows we insert are added
+    // too, so a key repeated later in the file updates instead of duplicating
+    const existing = new Map();
+    for (let i = 1; i < targetRows.length; i++) {
+        const key = rowKey(targetRows[i]);
+        if (key !== null && !existing.has(key)) {
+            existing.set(key, { rowNumber: i + 1, values: targetRows[i] });
+        }
+    }
+    const originalRowCount = targetRows.length;
+    const seen = new Set();
+    let columnCount = alignment.sources.length;
+    let updatedCells = 0;
+    
+    // Dry runs tally the writes instead, numbering appended rows the way the
+    // API would (below the data, or below our new header row)
+    const planned = { updatedRows: 0, updatedCells: 0, appendedRows: 0, appendedCells: 0 };
+    let nextAppendRow = Math.max(targetRows.length, 1) + 1;
+    
+    let rows = firstBatch.slice(1);
+    for (let batch = null; ; batch = await batches.next()) {
+        if (batch) {
+            if (batch.done) {
+                break;
+            }
+            rows = batch.value;
+        }
+        
+        const updates = [];
+        const inserts = [];
+        
+        for (const row of rows) {
+            const aligned = alignment.alignRow(row);
+            const key = rowKey(aligned);
+            if (key === null) {
+                counts.skipped++;
+                continue;
+            }
+            seen.add(key);
+            
+            const match = existing.get(key);
+            if (!match) {
+                const entry = { rowNumber: null, values: aligned };
+                existing.set(key, entry);
+                inserts.push(entry);
+                counts.inserted++;
+                continue;
+            }
+            
+            const merged = aligned.map((value, index) => alignment.sources[index] === -1 ? (match.values[index] ?? '') : value);
+            if (sameCells(merged, match.values)) {
+                counts.unchanged++;
+                continue;
+            }
+            
+            if (match.rowNumber === null) {
+                // Still waiting to be appended in this batch
+                match.values.splice(0, match.values.length, ...merged);
+            } else {
+                updates.push({ range: `${sheetName}!A${match.rowNumber}`, values: [merged] });
+                match.values = merged;
+            }
+            counts.updated++;
+        }
+        
+        // Keys and comparisons use the values as read; only what is written
+        // goes through the formula policy
+        for (const update of updates) {
+            columnTypes?.add(update.values[0]);
+            update.values = [formulaGuard.row(update.values[0])];
+        }
+        for (const entry of inserts) {
+            columnTypes?.add(entry.values);
+            entry.written = formulaGuard.row(entry.values);
+        }
+        
+        if (dryRunPlan) {
+            for (const update of updates) {
+                planned.updatedRows++;
+                planned.updatedCells += update.values[0].length;
+            }
+            for (const entry of inserts) {
+                entry.rowNumber = nextAppendRow++;
+                planned.appendedRows++;
+                planned.appendedCells += entry.values.length;
+            }
+        } else {
+            for (const chunk of sizeBoundedChunks(updates, update => update.values[0])) {
+                const updateResponse = await googleFetch(
+                    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values:batchUpdate`,
+                    {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${googleToken}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({
+                            valueInputOption: 'USER_ENTERED',
+                            data: chunk
+                        })
+                    }
+                );
+                
+                if (!updateResponse.ok) {
+                    const errorText = await updateResponse.text();
+                    throw new Error(`Update failed: ${updateResponse.status} - ${errorText}`);
+                }
+                updatedCells += (await updateResponse.json()).totalUpdatedCells || 0;
+            }
+            
+            for (const chunk of sizeBoundedChunks(inserts, entry => entry.written)) {
+                const appendResponse = await appendRowsToSheet(spreadsheetId, `${sheetName}!A1`, chunk.map(entry => entry.written), googleToken);
+                
+                if (!appendResponse.ok) {
+                    const errorText = await appendResponse.text();
+                    throw new Error(`Append failed: ${appendResponse.status} - ${errorText}`);
+                }
+                
+                const appended = (await appendResponse.json()).updates || {};
+                const startRow = Number(String(appended.updatedRange || '').split('!').pop().match(/\d+/)?.[0]);
+                chunk.forEach((entry, offset) => {
+                    entry.rowNumber = startRow ? startRow + offset : null;
+                });
+                updatedCells += appended.updatedCells || 0;
+            }
+            
+        }
+        
+        for (const row of rows) {
+            columnCount = Math.max(columnCount, row.length);
+        }
+        console.log(`🔁 Upsert batch: ${updates.length} updated, ${inserts.length} inserted`);
+    }
+    
+    if (dryRunPlan) {
+        if (planned.updatedRows > 0) {
+            planChange(dryRunPlan, { action: 'update', range: sheetName, rows: planned.updatedRows, cells: planned.updatedCells });
+        }
+        if (planned.appendedRows > 0) {
+            const firstRow = nextAppendRow - planned.appendedRows;
+            planChange(dryRunPlan, {
+                action: 'append',
+                range: `${sheetName}!A${firstRow}:${columnLetter(columnCount)}${nextAppendRow - 1}`,
+                rows: planned.appendedRows,
+                cells: planned.appendedCells
+            });
+        }
+        updatedCells = planned.updatedCells + planned.appendedCells;
+    }
+    
+    if (uploadOptions.deleteMissing) {
+        const missing = [];
+        for (const [key, entry] of existing) {
+            if (!seen.has(key) && entry.rowNumber !== null && entry.rowNumber <= originalRowCount) {
+                missing.push(entry.rowNumber);
+            }
+        }
+        
+        if (missing.length > 0) {
+            if (!grid) {
+                throw new Error(`Sheet "${sheetName}" not found`);
+            }
+            const sheetId = grid.sheetId;
+            
+            // Delete bottom-up so earlier row numbers stay valid, merging
+            // neighbouring rows into one range
+            missing.sort((a, b) => b - a);
+            const requests = [];
+            for (const rowNumber of missing) {
+                const last = requests[requests.length - 1]?.deleteDimension.range;
+                if (last && last.startIndex === rowNumber) {
+                    last.startIndex = rowNumber - 1;
+                } else {
+                    requests.push({
+                        deleteDimension: {
+                            range: { sheetId, dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber }
+                        }
+                    });
+                }
             }
-        });
+            
+            if (dryRunPlan) {
+                planChange(dryRunPlan, { action: 'delete-rows', range: sheetName, rows: missing.length, rowNumbers: [...missing].reverse() });
+            } else {
+                const deleteResponse = await googleFetch(
+                    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+                    {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${googleToken}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ requests })
+                    }
+                );
+                
+                if (!deleteResponse.ok) {
+                    const errorText = await deleteResponse.text();
+                    throw new Error(`Delete failed: ${deleteResponse.status} - ${errorText}`);
+                }
+            }
+            counts.deleted = missing.length;
+        }
     }
     
-    // Plan-based feature validation for enterprise features
-    const { data: userPlan, error: planError } = await supabase
-        .from('user_usage')
-        .select('plan')
-        .eq('user_id', apiKeyData.user_id)
-        .single();
+    console.log(`✅ Upsert complete: ${JSON.stringify(counts)}`);
+    
+    return {
+        success: true,
+        rowsUploaded: counts.inserted + counts.updated,
+        updatedCells,
+        columnCount,
+        upsert: counts,
+        columnAlignment: alignment.report
+    };
+}
 
-    if (planError) {
-        return res.status(500).json({
-            success: false,
-            error: 'Failed to verify user plan'
-        });
+// Compare two rows the way the sheet stores them: trailing blanks don't
+// count and values match after Sheets' parsing ("1.10" and 1.1, "5%" and 0.05)
+function sameCells(a, b) {
+    const left = trimTrailingBlanks(a);
+    const right = trimTrailingBlanks(b);
+    if (left.length !== right.length) {
+        return false;
     }
+    return left.every((value, index) => sheetCellValue(value) === sheetCellValue(right[index]));
+}
 
-    const isEnterprisePlan = userPlan.plan === 'enterprise';
-
-    // Check for enterprise-only features in the request
-    const enterpriseFeatures = [];
-
-    // Check for pattern matching feature
-    if (req.body.filePattern && req.body.filePattern.trim() !== '') {
-        if (!isEnterprisePlan) {
-            enterpriseFeatures.push('Smart Pattern Matching');
+// Append rows that failed validation to a separate tab, creating it (with
+// the CSV headers plus an error column) on first use
+async function writeQuarantineRows(spreadsheetId, quarantineSheetName, headers, rows, googleToken) {
+    try {
+        const tab = await ensureSheetTab(spreadsheetId, quarantineSheetName, googleToken);
+        const values = tab.created && headers ? [[...headers, 'Validation Errors'], ...rows] : rows;
+        
+        for (const chunk of sizeBoundedChunks(values)) {
+            const response = await appendRowsToSheet(spreadsheetId, `${quarantineSheetName}!A1`, chunk, googleToken, 'RAW');
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Google Sheets API error: ${response.status} - ${errorText}`);
+            }
         }
+        
+        console.log(`🚧 Quarantined ${rows.length} rows in "${quarantineSheetName}"`);
+        return {
+            sheetName: quarantineSheetName,
+            rowsWritten: rows.length
+        };
+    } catch (error) {
+        console.error('❌ Quarantine write failed:', error);
+        return {
+            sheetName: quarantineSheetName,
+            rowsWritten: 0,
+            error: error.message
+        };
     }
+}
 
-    // Check for scheduling features
-    if (req.body.scheduleOptions && (
-        req.body.scheduleOptions.frequency !== 'none' || 
-        req.body.scheduleOptions.enabled === true
-    )) {
-        if (!isEnterprisePlan) {
-            enterpriseFeatures.push('Scheduled Upload');
+// Make sure a tab exists in the spreadsheet, adding it when missing
+async function ensureSheetTab(spreadsheetId, title, googleToken) {
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=sheets(properties(sheetId,title))`,
+        { headers: { 'Authorization': `Bearer ${googleToken}` } }
+    );
+    
+    if (!response.ok) {
+        throw new Error(`Google Sheets API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const existing = (data.sheets || []).find(sheet => sheet.properties.title === title);
+    if (existing) {
+        return { sheetId: existing.properties.sheetId, created: false };
+    }
+    
+    const addResponse = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+        {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${googleToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                requests: [{ addSheet: { properties: { title } } }]
+            })
         }
+    );
+    
+    if (!addResponse.ok) {
+        const errorText = await addResponse.text();
+        throw new Error(`Google Sheets API error: ${addResponse.status} - ${errorText}`);
     }
+    
+    const result = await addResponse.json();
+    return { sheetId: result.replies[0].addSheet.properties.sheetId, created: true };
+}
 
-    // Check for advanced processing options
-    if (req.body.processingOptions && req.body.processingOptions.advancedOptions === true) {
-        if (!isEnterprisePlan) {
-            enterpriseFeatures.push('Advanced Processing Options');
-        }
+// Span from the start of the first written range to the end of the last one
+function mergeA1Ranges(firstRange, lastRange) {
+    if (!firstRange || !lastRange || firstRange === lastRange) {
+        return firstRange || lastRange;
     }
+    return `${firstRange.split(':')[0]}:${lastRange.split(':').pop()}`;
+}
 
-    // Block request if non-enterprise user is trying to use enterprise features
-    if (enterpriseFeatures.length > 0) {
-        console.log(`❌ Enterprise features blocked for user: ${apiKeyData.user_email}, Plan: ${userPlan.plan}`);
-        return res.status(403).json({
-            success: false,
-            error: 'Enterprise features required',
-            blockedFeatures: enterpriseFeatures,
-            userPlan: userPlan.plan,
-            upgradeRequired: true,
-            message: `The following features require an Enterprise plan: ${enterpriseFeatures.join(', ')}`
-        });
+// Grid size of a tab from a spreadsheet resource, or null if it's missing
+function findSheetGrid(spreadsheetData, sheetName) {
+    const sheet = (spreadsheetData?.sheets || []).find(s => s.properties.title === sheetName);
+    if (!sheet) {
+        return null;
     }
+    const gridProperties = sheet.properties.gridProperties || {};
+    return {
+        sheetId: sheet.properties.sheetId,
+        rowCount: gridProperties.rowCount || 0,
+        columnCount: gridProperties.columnCount || 0,
+        frozenRowCount: gridProperties.frozenRowCount || 0,
+        frozenColumnCount: gridProperties.frozenColumnCount || 0,
+        // Alternating colors can't be added twice over the same cells
+        banded: (sheet.bandedRanges || []).length > 0
+    };
+}
 
-    console.log(`✅ Plan validation passed for user: ${apiKeyData.user_email}, Plan: ${userPlan.plan}`);
-    
-    const { 
-        csvContent, 
-        filename, 
-        spreadsheetId, 
-        sheetName, 
-        processingOptions, 
-        uploadOptions, 
-        googleToken 
-    } = req.body;
+async function getSheetGrid(spreadsheetId, sheetName, googleToken) {
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=sheets(properties(sheetId,title,gridProperties))`,
+        { headers: { 'Authorization': `Bearer ${googleToken}` } }
+    );
     
-    if (!csvContent || !spreadsheetId || !googleToken) {
-        return res.status(400).json({
-            success: false,
-            error: 'CSV content, spreadsheet ID, and Google token are required'
-        });
+    if (!response.ok) {
+        throw new Error(`Google Sheets API error: ${response.status}`);
     }
-    
-    // SECURITY: Sanitize CSV content to remove any file URLs or unwanted data
-    let sanitizedContent = csvContent;
-    if (typeof csvContent === 'string') {
-        // Remove any file:// URLs that might have been accidentally appended
-        sanitizedContent = csvContent.replace(/file:\/\/\/[^\s\n\r,]*/g, '');
-        // Remove any other suspicious URL patterns
-        sanitizedContent = sanitizedContent.replace(/^https?:\/\/[^\s\n\r,]*$/gm, '');
-        // Clean up any empty lines that may have been left
-        sanitizedContent = sanitizedContent.replace(/\n\s*\n/g, '\n').trim();
+    return findSheetGrid(await response.json(), sheetName);
+}
+
+// Grow the grid so rowCount x columnCount fits. Writes outside the grid are
+// rejected by the API, and appends only add rows, never columns.
+async function ensureGridSize(spreadsheetId, grid, rowCount, columnCount, googleToken, dryRunPlan = null) {
+    if (!grid || (rowCount <= grid.rowCount && columnCount <= grid.columnCount)) {
+        return;
     }
-    
-    console.log('🔄 Processing complete upload:', {
-        filename,
+    await resizeGrid(
         spreadsheetId,
-        sheetName,
-        user: apiKeyData.user_email,
-        csvSize: csvContent.length
-    });
-    
-    // Debug processing options for upload
-    console.log('===== CSV PROCESSING DEBUG (UPLOAD) =====');
-    console.log('Processing options received:', processingOptions);
-    console.log('Header handling:', processingOptions?.headerHandling);
-    console.log('======================================');
-    
-    // Parse CSV content for upload (using sanitized content)
-    const csvResult = parseCSVContent(sanitizedContent, {
-        ...processingOptions,
-        isPreview: false
-    });
-    
-    if (!csvResult.success) {
-        return res.status(400).json({
-            success: false,
-            error: 'CSV parsing failed: ' + csvResult.error
-        });
+        grid,
+        Math.max(rowCount, grid.rowCount),
+        Math.max(columnCount, grid.columnCount),
+        googleToken,
+        dryRunPlan
+    );
+}
+
+// With a `dryRunPlan` the resize is only recorded, but `grid` is still
+// updated so later size checks see the planned grid
+async function resizeGrid(spreadsheetId, grid, rowCount, columnCount, googleToken, dryRunPlan = null) {
+    if (rowCount === grid.rowCount && columnCount === grid.columnCount) {
+        return;
     }
     
-    const { sheetData } = csvResult;
-    
-    if (!sheetData || sheetData.length === 0) {
-        return res.status(400).json({
-            success: false,
-            error: 'No data found in CSV file'
-        });
+    if (rowCount * columnCount > SHEETS_CELL_LIMIT) {
+        throw new Error(`${rowCount} rows x ${columnCount} columns exceeds the Google Sheets limit of ${SHEETS_CELL_LIMIT.toLocaleString()} cells`);
     }
     
-    console.log(`📊 Parsed ${sheetData.length} rows from CSV (including headers)`);
-    
-    // CRITICAL DEBUG: Log what's being sent to Google Sheets (limited to prevent crash)
-    console.log('🚨 ABOUT TO UPLOAD TO GOOGLE SHEETS 🚨');
-    console.log('Data being sent - Total rows:', sheetData.length);
-    console.log('Row 1 FIRST 5 VALUES:', JSON.stringify(sheetData[0]?.slice(0, 5)));
-    console.log('Row 2 FIRST 5 VALUES:', JSON.stringify(sheetData[1]?.slice(0, 5)));
-    console.log('Row 3 FIRST 5 VALUES:', JSON.stringify(sheetData[2]?.slice(0, 5)));
-    console.log('🚨 END UPLOAD DEBUG 🚨');
-    
-    // Upload to Google Sheets
-    const uploadResult = await uploadToGoogleSheets(
-        spreadsheetId,
-        sheetName || 'Sheet1',
-        sheetData,
-        uploadOptions,
-        googleToken
-    );
-    
-    if (!uploadResult.success) {
-        if (uploadResult.authExpired) {
-            return res.status(401).json({
-                success: false,
-                error: 'Google authentication expired',
-                needsReauth: true
-            });
-        }
-        
-        return res.status(400).json({
-            success: false,
-            error: 'Upload failed: ' + uploadResult.error
+    if (dryRunPlan) {
+        planChange(dryRunPlan, {
+            action: 'resize',
+            from: { rowCount: grid.rowCount, columnCount: grid.columnCount },
+            to: { rowCount, columnCount }
         });
+        grid.rowCount = rowCount;
+        grid.columnCount = columnCount;
+        return;
     }
     
-    console.log(`✅ Upload successful: ${uploadResult.rowsUploaded} rows`);
-    
-    // Update usage counters
-    await supabase.rpc('increment_usage', { 
-        p_user_id: apiKeyData.user_id 
-    });
-    
-    // Log the successful upload
-    const { error: logError } = await supabase
-        .from('csv_uploads')
-        .insert({
-            user_id: apiKeyData.user_id,
-            filename: filename || 'unknown.csv',
-            file_size: csvContent.length,
-            sheet_name: sheetName || 'Sheet1',
-            sheet_url: uploadResult.spreadsheetUrl,
-            upload_type: uploadOptions?.mode || 'append',
-            status: 'success',
-            rows_uploaded: uploadResult.rowsUploaded,
-            spreadsheet_id: spreadsheetId,
-            metadata: {
-                ...csvResult.metadata,
-                action: 'complete_upload',
-                processingOptions,
-                uploadOptions
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+        {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${googleToken}`,
+                'Content-Type': 'application/json'
             },
-            created_at: new Date().toISOString()
-        });
+            body: JSON.stringify({
+                requests: [{
+                    updateSheetProperties: {
+                        properties: {
+                            sheetId: grid.sheetId,
+                            gridProperties: { rowCount, columnCount }
+                        },
+                        fields: 'gridProperties(rowCount,columnCount)'
+                    }
+                }]
+            })
+        }
+    );
     
-    if (logError) {
-        console.error('Failed to log upload:', logError);
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to resize sheet: ${response.status} - ${errorText}`);
     }
     
-    // Return updated trial status
-    const updatedDaysRemaining = Math.max(0, Math.ceil((trialEnd - now) / (1000 * 60 * 60 * 24)));
-    
-    return res.json({
-        success: true,
-        message: 'CSV uploaded successfully',
-        upload: {
-            filename: filename || 'unknown.csv',
-            rowsUploaded: uploadResult.rowsUploaded,
-            columnsUploaded: csvResult.headers?.length || 0,
-            spreadsheetId: spreadsheetId,
-            spreadsheetUrl: uploadResult.spreadsheetUrl,
-            sheetName: sheetName || 'Sheet1'
-        },
-        trialStatus: {
-            isActive: isTrialActive,
-            daysRemaining: updatedDaysRemaining,
-            uploadsRemaining: usage.uploads_today || 0
-        }
-    });
+    console.log(`📐 Resized grid from ${grid.rowCount}x${grid.columnCount} to ${rowCount}x${columnCount}`);
+    grid.rowCount = rowCount;
+    grid.columnCount = columnCount;
 }
 
-// Google Sheets Upload Function
-async function uploadToGoogleSheets(spreadsheetId, sheetName, rows, uploadOptions, googleToken) {
-    try {
-        console.log(`📊 Uploading ${rows.length} rows to Google Sheets...`);
-        
-        if (!rows || rows.length === 0) {
-            return {
-                success: false,
-                error: 'No data to upload'
-            };
-        }
-        
-        // Test Google Token first
-        const testResponse = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-            headers: { 'Authorization': `Bearer ${googleToken}` }
-        });
-        
-        if (!testResponse.ok) {
-            console.error('Google token invalid:', testResponse.status);
-            return {
-                success: false,
-                error: 'Google authentication expired',
-                authExpired: true
-            };
-        }
-        
-        // Get spreadsheet info
-        const spreadsheetResponse = await fetch(
-            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`,
-            {
-                headers: { 'Authorization': `Bearer ${googleToken}` }
-            }
-        );
-        
-        if (!spreadsheetResponse.ok) {
-            console.error('Failed to access spreadsheet:', spreadsheetResponse.status);
-            return {
-                success: false,
-                error: 'Cannot access spreadsheet. Check permissions.'
-            };
-        }
-        
-        const spreadsheetData = await spreadsheetResponse.json();
-        const spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
-        
-        // Choose upload method
-        let uploadResponse;
-        if (uploadOptions?.mode === 'replace') {
-            // Replace mode - clear and replace all data
-            const range = `${sheetName}!A:Z`;
-            
-            // First clear the sheet
-            await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}:clear`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${googleToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-            
-            // Then add new data
-            uploadResponse = await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!A1?valueInputOption=USER_ENTERED`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Authorization': `Bearer ${googleToken}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        values: rows,
-                        majorDimension: 'ROWS'
-                    })
-                }
-            );
-        } else {
-            // Append mode
-            uploadResponse = await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${googleToken}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        values: rows,
-                        majorDimension: 'ROWS'
-                    })
-                }
-            );
+// Add a change to a dry-run plan. Consecutive resizes collapse into one, so
+// a grid grown chunk by chunk (and trimmed after) shows as its net change.
+function planChange(dryRunPlan, change) {
+    const last = dryRunPlan[dryRunPlan.length - 1];
+    if (change.action !== 'resize' || last?.action !== 'resize') {
+        dryRunPlan.push(change);
+        return;
+    }
+    
+    last.to = change.to;
+    if (last.to.rowCount === last.from.rowCount && last.to.columnCount === last.from.columnCount) {
+        dryRunPlan.pop();
+    }
+}
+
+// Clear every cell of a tab, whatever its size, and optionally its formatting
+async function clearSheetTab(spreadsheetId, sheetName, grid, clearFormats, googleToken) {
+    const response = await googleFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}:clear`,
+        {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${googleToken}`,
+                'Content-Type': 'application/json'
+            }
         }
+    );
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to clear sheet: ${response.status} - ${errorText}`);
+    }
+    
+    if (clearFormats && grid) {
+        const formatResponse = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+            {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${googleToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    requests: [{
+                        updateCells: {
+                            range: { sheetId: grid.sheetId },
+                            fields: 'userEnteredFormat'
+                        }
+                    }]
+                })
+            }
+        );
         
-        if (!uploadResponse.ok) {
-            const errorText = await uploadResponse.text();
-            console.error('Upload failed:', uploadResponse.status, errorText);
-            return {
-                success: false,
-                error: `Upload failed: ${uploadResponse.status} - ${errorText}`
-            };
+        if (!formatResponse.ok) {
+            const errorText = await formatResponse.text();
+            throw new Error(`Failed to clear sheet formatting: ${formatResponse.status} - ${errorText}`);
         }
+    }
+}
+
+// Format the tab from the types seen in its written columns. A dry run
+// records the requests instead. Failures are logged, not fatal.
+async function applyAutoFormatting(spreadsheetId, grid, columns, formatOptions, googleToken, dryRunPlan = null) {
+    if (!grid) {
+        return;
+    }
+    
+    const requests = formattingRequests(grid.sheetId, columns, formatOptions, {
+        banded: grid.banded,
+        rowCount: grid.rowCount
+    });
+    
+    if (dryRunPlan) {
+        planChange(dryRunPlan, { action: 'format', requests });
+        return;
+    }
+    
+    try {
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+            {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${googleToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ requests })
+            }
+        );
         
-        const uploadResult = await uploadResponse.json();
-        
-        // Apply formatting if enabled
-        if (uploadOptions?.autoFormat) {
-            await applyAutoFormatting(spreadsheetId, sheetName, rows, googleToken);
+        if (!response.ok) {
+            throw new Error(`${response.status} - ${await response.text()}`);
         }
         
-        return {
-            success: true,
-            rowsUploaded: rows.length,
-            spreadsheetUrl: spreadsheetUrl,
-            updatedRange: uploadResult.updatedRange || `${sheetName}!A1:Z${rows.length}`,
-            updatedCells: uploadResult.updatedCells || rows.length * (rows[0]?.length || 0)
-        };
+        if (requests.some(request => request.addBanding)) {
+            grid.banded = true;
+        }
+        console.log('✅ Auto-formatting applied');
         
     } catch (error) {
-        console.error('Upload error:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+        console.log('⚠️ Formatting failed (non-critical):', error.message);
     }
 }
 
-// Auto-formatting function
-async function applyAutoFormatting(spreadsheetId, sheetName, rows, googleToken) {
+// Swap the conditional format rules a previous upload added to the tab for
+// uploadOptions.conditionalFormats, once the rows are written. Columns are
+// looked up in the tab's header row (or dryRunHeaders in a dry run). Like
+// formatting this is best-effort: problems come back as { error }.
+async function applyConditionalFormats(spreadsheetId, sheetName, rules, dryRunHeaders, googleToken, dryRunPlan = null) {
     try {
-        // Get sheet ID
-        const spreadsheetResponse = await fetch(
-            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`,
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=sheets(properties(sheetId,title),conditionalFormats,developerMetadata)`,
             { headers: { 'Authorization': `Bearer ${googleToken}` } }
         );
         
-        if (!spreadsheetResponse.ok) return;
-        
-        const spreadsheetData = await spreadsheetResponse.json();
-        const sheet = spreadsheetData.sheets.find(s => s.properties.title === sheetName);
-        
-        if (!sheet) return;
+        if (!response.ok) {
+            throw new Error(`Failed to read conditional formats: ${response.status}`);
+        }
         
-        const sheetId = sheet.properties.sheetId;
-        const requests = [];
+        const sheet = (await response.json()).sheets?.find(s => s.properties.title === sheetName);
+        if (!sheet) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
         
-        // Format headers (first row)
-        if (rows.length > 0) {
-            requests.push({
-                repeatCell: {
-                    range: {
-                        sheetId: sheetId,
-                        startRowIndex: 0,
-                        endRowIndex: 1,
-                        startColumnIndex: 0,
-                        endColumnIndex: rows[0].length
-                    },
-                    cell: {
-                        userEnteredFormat: {
-                            backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 },
-                            textFormat: { bold: true },
-                            horizontalAlignment: 'CENTER'
-                        }
-                    },
-                    fields: 'userEnteredFormat(backgroundColor,textFormat,horizontalAlignment)'
-                }
-            });
+        const headers = (dryRunPlan && dryRunHeaders) || await readHeaderRow(spreadsheetId, sheetName, googleToken);
+        const { requests, added, replaced, error } = conditionalFormatRequests(sheet, headers, rules, CONDITIONAL_FORMATS_METADATA_KEY);
+        if (error) {
+            throw new Error(error);
         }
         
-        // Auto-resize columns
-        requests.push({
-            autoResizeDimensions: {
-                dimensions: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 0,
-                    endIndex: rows[0]?.length || 10
-                }
+        if (dryRunPlan) {
+            if (requests.length > 0) {
+                planChange(dryRunPlan, { action: 'conditional-formats', added, replaced, requests });
             }
-        });
+            return { added, replaced };
+        }
         
         if (requests.length > 0) {
-            await fetch(
+            const updateResponse = await googleFetch(
                 `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
                 {
                     method: 'POST',
@@ -787,24 +4160,80 @@ async function applyAutoFormatting(spreadsheetId, sheetName, rows, googleToken)
                     body: JSON.stringify({ requests })
                 }
             );
+            
+            if (!updateResponse.ok) {
+                throw new Error(`Failed to apply conditional formats: ${updateResponse.status} - ${await updateResponse.text()}`);
+            }
         }
         
-        console.log('✅ Auto-formatting applied');
+        console.log(`🎨 Conditional formats on "${sheetName}": ${added} added, ${replaced} replaced`);
+        return { added, replaced };
         
     } catch (error) {
-        console.log('⚠️ Formatting failed (non-critical):', error.message);
+        console.log('⚠️ Conditional formats failed (non-critical):', error.message);
+        return { added: 0, replaced: 0, error: error.message };
+    }
+}
+
+// ===== FORMAT PRESETS =====
+
+// Body: { name, options } - options as for uploadOptions.autoFormat
+async function handleSaveFormatPreset(req, res, apiKeyData) {
+    const { name, options } = req.body;
+    
+    try {
+        const preset = await saveFormatPreset(supabase, apiKeyData.user_id, name, options);
+        console.log(`🎨 Saved format preset "${preset.name}" for user: ${apiKeyData.user_email}`);
+        return res.json({
+            success: true,
+            preset
+        });
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+async function handleListFormatPresets(req, res, apiKeyData) {
+    return res.json({
+        success: true,
+        presets: await listFormatPresets(supabase, apiKeyData.user_id)
+    });
+}
+
+async function handleDeleteFormatPreset(req, res, apiKeyData) {
+    if (!req.body.name) {
+        return res.status(400).json({
+            success: false,
+            error: 'Preset name is required'
+        });
     }
+    
+    return res.json({
+        success: true,
+        deleted: await deleteFormatPreset(supabase, apiKeyData.user_id, req.body.name)
+    });
 }
 
 // Redirect create-sheet calls to the proper sheets-api endpoint
 async function handleCreateSheetRedirect(req, res, apiKeyData) {
     try {
-        const { sheetName, googleToken } = req.body;
+        const { sheetName, googleToken, rowCount, columnCount } = req.body;
         
         console.log('🔄 Redirecting create-sheet call to sheets-api');
         
+        const grid = gridPropertiesFor(rowCount, columnCount);
+        if (grid.error) {
+            return res.status(400).json({
+                success: false,
+                error: grid.error
+            });
+        }
+        
         // Create new spreadsheet using Google Sheets API
-        const response = await fetch(
+        const response = await googleFetch(
             'https://sheets.googleapis.com/v4/spreadsheets',
             {
                 method: 'POST',
@@ -819,10 +4248,7 @@ async function handleCreateSheetRedirect(req, res, apiKeyData) {
                     sheets: [{
                         properties: {
                             title: 'Sheet1',
-                            gridProperties: {
-                                rowCount: 1000,
-                                columnCount: 26
-                            }
+                            gridProperties: grid.gridProperties
                         }
                     }]
                 })
@@ -832,12 +4258,9 @@ async function handleCreateSheetRedirect(req, res, apiKeyData) {
         if (!response.ok) {
             console.error('❌ Google Sheets API error:', response.status);
             
-            if (response.status === 401 || response.status === 403) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Google authentication expired',
-                    needsReauth: true
-                });
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
             }
             
             const errorText = await response.text();
@@ -874,7 +4297,7 @@ async function handleCreateSheetRedirect(req, res, apiKeyData) {
 // Create a new bulk upload job
 async function handleBulkQueueCreate(req, res, apiKeyData) {
     try {
-        const { jobName, description } = req.body;
+        const { jobName, description, serviceAccountId } = req.body;
         
         const jobId = `bulk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
@@ -887,6 +4310,9 @@ async function handleBulkQueueCreate(req, res, apiKeyData) {
                 user_email: apiKeyData.user_email,
                 job_name: jobName || `Bulk Upload ${new Date().toLocaleDateString()}`,
                 description: description || '',
+                // Files in the job upload as this service account unless
+                // execute selects another
+                service_account_id: serviceAccountId || null,
                 status: 'created',
                 files_count: 0,
                 created_at: new Date().toISOString(),
@@ -959,6 +4385,21 @@ async function handleBulkQueueAddFile(req, res, apiKeyData) {
             });
         }
         
+        // A workbook is opened now, so a bad file or a missing worksheet fails
+        // here instead of partway through the job
+        const processingOptions = uploadOptions?.processingOptions;
+        let worksheets = null;
+        if (processingOptions?.contentEncoding === 'base64') {
+            try {
+                worksheets = payloadWorksheets(fileContent, processingOptions);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        }
+        
         const fileId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         // Add file to bulk_upload_files table
@@ -1009,7 +4450,8 @@ async function handleBulkQueueAddFile(req, res, apiKeyData) {
                 filename,
                 status: 'pending',
                 size: fileSize || fileContent.length,
-                targetSheet: uploadOptions?.targetSheet || null
+                targetSheet: uploadOptions?.targetSheet || null,
+                worksheets: worksheets || undefined
             },
             job: {
                 jobId,
@@ -1266,7 +4708,7 @@ async function handleBulkQueueUpdateTargets(req, res, apiKeyData) {
 // Execute bulk upload job
 async function handleBulkQueueExecute(req, res, apiKeyData) {
     try {
-        const { jobId } = req.body;
+        const { jobId, dryRun } = req.body;
         
         if (!jobId) {
             return res.status(400).json({
@@ -1319,6 +4761,57 @@ async function handleBulkQueueExecute(req, res, apiKeyData) {
             });
         }
         
+        // Check the service account before any file is marked as processing
+        const serviceAccountId = req.body.serviceAccountId || job.service_account_id;
+        const planResponse = await serviceAccountPlanResponse(supabase, apiKeyData.user_id, serviceAccountId);
+        if (planResponse) {
+            return res.status(planResponse.status).json(planResponse.body);
+        }
+        if (serviceAccountId) {
+            try {
+                await googleTokenFor(supabase, apiKeyData.user_id, { serviceAccountId });
+            } catch (tokenError) {
+                return res.status(400).json({
+                    success: false,
+                    error: tokenError.message
+                });
+            }
+        }
+        
+        // A dry run previews every file and leaves the job and its files untouched.
+        // Each file is planned against the sheet as it is now, so files sharing
+        // a tab don't see each other's rows.
+        if (dryRun) {
+            const previews = [];
+            for (const file of files) {
+                try {
+                    const { uploadResult, uploadError } = await runBulkFileUpload(req, file, serviceAccountId, apiKeyData);
+                    previews.push({
+                        fileId: file.file_id,
+                        filename: file.filename,
+                        ...(uploadResult || { success: false, ...uploadError })
+                    });
+                } catch (fileError) {
+                    previews.push({
+                        fileId: file.file_id,
+                        filename: file.filename,
+                        success: false,
+                        error: fileError.message
+                    });
+                }
+            }
+            
+            return res.json({
+                success: true,
+                dryRun: true,
+                job: {
+                    jobId,
+                    status: job.status,
+                    files: previews
+                }
+            });
+        }
+        
         // Update job status to processing
         await supabase
             .from('bulk_upload_jobs')
@@ -1341,33 +4834,8 @@ async function handleBulkQueueExecute(req, res, apiKeyData) {
                     .update({ status: 'processing' })
                     .eq('file_id', file.file_id);
                 
-                // Create a mock request object for the CSV processing
-                const mockReq = {
-                    body: {
-                        action: 'complete-upload',
-                        csvContent: file.file_content,
-                        filename: file.filename,
-                        spreadsheetId: file.target_spreadsheet_id,
-                        sheetName: file.target_sheet_name,
-                        ...file.upload_options
-                    }
-                };
-                
-                // Create a mock response object to capture the result
-                let uploadResult = null;
-                let uploadError = null;
-                
-                const mockRes = {
-                    json: (data) => { uploadResult = data; },
-                    status: (code) => ({
-                        json: (data) => { 
-                            uploadError = { status: code, ...data }; 
-                        }
-                    })
-                };
-                
                 // Process the file using existing upload logic
-                await handleCompleteUpload(mockReq, mockRes, apiKeyData);
+                const { uploadResult, uploadError } = await runBulkFileUpload(req, file, serviceAccountId, apiKeyData);
                 
                 if (uploadResult && uploadResult.success) {
                     // Mark file as completed
@@ -1388,13 +4856,13 @@ async function handleBulkQueueExecute(req, res, apiKeyData) {
                         .from('bulk_upload_files')
                         .update({
                             status: 'failed',
-                            error_message: uploadError?.error || 'Unknown upload error',
+                            error_message: uploadError?.error || uploadResult?.error || 'Unknown upload error',
                             completed_at: new Date().toISOString()
                         })
                         .eq('file_id', file.file_id);
                     
                     errorCount++;
-                    console.error('❌ Bulk file failed:', file.filename, uploadError?.error);
+                    console.error('❌ Bulk file failed:', file.filename, uploadError?.error || uploadResult?.error);
                 }
                 
             } catch (fileError) {
@@ -1461,6 +4929,52 @@ async function handleBulkQueueExecute(req, res, apiKeyData) {
     }
 }
 
+// Run one bulk file through complete-upload and capture its response. Job-wide
+// settings in the execute request apply unless the file brings its own.
+async function runBulkFileUpload(req, file, serviceAccountId, apiKeyData) {
+    // Create a mock request object for the CSV processing
+    const mockReq = {
+        body: {
+            action: 'complete-upload',
+            csvContent: file.file_content,
+            filename: file.filename,
+            spreadsheetId: file.target_spreadsheet_id,
+            sheetName: file.target_sheet_name,
+            schema: req.body.schema,
+            columnMapping: req.body.columnMapping,
+            // Minted per file so a long job outlives any one access token
+            googleToken: await googleTokenFor(supabase, apiKeyData.user_id, { googleToken: req.body.googleToken, serviceAccountId }),
+            serviceAccountId,
+            ...file.upload_options,
+            dryRun: req.body.dryRun
+        }
+    };
+    
+    // Same for job-wide dedupe and formula settings, which live in uploadOptions
+    if (req.body.dedupe && mockReq.body.uploadOptions?.dedupe === undefined) {
+        mockReq.body.uploadOptions = { ...mockReq.body.uploadOptions, dedupe: req.body.dedupe };
+    }
+    if (req.body.formulaPolicy && mockReq.body.uploadOptions?.formulaPolicy === undefined) {
+        mockReq.body.uploadOptions = { ...mockReq.body.uploadOptions, formulaPolicy: req.body.formulaPolicy };
+    }
+    
+    // Create a mock response object to capture the result
+    let uploadResult = null;
+    let uploadError = null;
+    
+    const mockRes = {
+        json: (data) => { uploadResult = data; },
+        status: (code) => ({
+            json: (data) => { 
+                uploadError = { status: code, ...data }; 
+            }
+        })
+    };
+    
+    await handleCompleteUpload(mockReq, mockRes, apiKeyData);
+    return { uploadResult, uploadError };
+}
+
 // ===== CLIENT-SIDE BULK UPLOAD HANDLERS =====
 // These handle bulk uploads from the browser extension directly
 
@@ -1516,7 +5030,7 @@ async function handleFetchContent(req, res, apiKeyData) {
 // Process entire client upload queue (business logic moved from frontend)
 async function handleProcessClientQueue(req, res, apiKeyData) {
     try {
-        const { queue, bulkTarget, googleToken } = req.body;
+        const { queue, bulkTarget } = req.body;
         
         if (!queue || !Array.isArray(queue)) {
             return res.status(400).json({
@@ -1532,10 +5046,34 @@ async function handleProcessClientQueue(req, res, apiKeyData) {
             });
         }
         
+        const policyError = formulaPolicyError(bulkTarget.formulaPolicy);
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                error: policyError
+            });
+        }
+        
+        const serviceAccountId = bulkTarget.serviceAccountId || req.body.serviceAccountId;
+        const planResponse = await serviceAccountPlanResponse(supabase, apiKeyData.user_id, serviceAccountId);
+        if (planResponse) {
+            return res.status(planResponse.status).json(planResponse.body);
+        }
+        
+        let googleToken;
+        try {
+            googleToken = await googleTokenFor(supabase, apiKeyData.user_id, { googleToken: req.body.googleToken, serviceAccountId });
+        } catch (tokenError) {
+            return res.status(400).json({
+                success: false,
+                error: tokenError.message
+            });
+        }
+        
         if (!googleToken) {
             return res.status(400).json({
                 success: false,
-                error: 'Google token required'
+                error: 'Google token required - pass googleToken or connect a Google account'
             });
         }
         
@@ -1556,25 +5094,34 @@ async function handleProcessClientQueue(req, res, apiKeyData) {
             try {
                 console.log(`📤 Processing file ${i + 1}/${queue.length}: ${item.filename}`);
                 
-                // Fetch content if missing
-                let content = item.content;
+                // Re-minted per file so the queue outlives one access token
+                googleToken = await googleTokenFor(supabase, apiKeyData.user_id, { googleToken: req.body.googleToken, serviceAccountId });
+                
+                // Content missing - stream it from the URL while uploading
+                const content = item.content;
                 if (!content && item.url) {
-                    console.log(`🔄 Fetching missing content for: ${item.filename}`);
-                    content = await fetchCSVContentWithRetry(item.url, 3);
+                    console.log(`🔄 Streaming missing content for: ${item.filename}`);
                 }
                 
-                if (!content) {
+                if (!content && !item.url) {
                     throw new Error('CSV content not available');
                 }
                 
                 // Parse and upload CSV to Google Sheets
                 const uploadResult = await uploadCSVToGoogleSheets({
                     content: content,
+                    url: content ? null : item.url,
+                    contentEncoding: item.contentEncoding,
+                    encoding: item.encoding,
                     filename: item.filename,
                     spreadsheetId: bulkTarget.spreadsheetId,
                     tabName: bulkTarget.tabName,
                     googleToken: googleToken,
                     hasHeaders: hasHeaders,
+                    alignColumns: bulkTarget.alignColumns,
+                    unknownColumns: bulkTarget.unknownColumns,
+                    dedupe: bulkTarget.dedupe,
+                    formulaPolicy: bulkTarget.formulaPolicy,
                     userEmail: apiKeyData.user_email,
                     userId: apiKeyData.user_id
                 });
@@ -1585,6 +5132,9 @@ async function handleProcessClientQueue(req, res, apiKeyData) {
                         success: true,
                         filename: item.filename,
                         rowsUploaded: uploadResult.rowsUploaded,
+                        columnAlignment: uploadResult.columnAlignment,
+                        duplicatesDropped: uploadResult.dedupe?.dropped || 0,
+                        formulasNeutralized: uploadResult.formulas.neutralized,
                         message: `Uploaded ${uploadResult.rowsUploaded} rows`
                     });
                     
@@ -1728,47 +5278,169 @@ async function fetchCSVContentWithRetry(url, maxRetries = 3) {
     throw new Error('Failed to fetch CSV content after all attempts');
 }
 
+// Streaming counterpart of fetchCSVContentWithRetry - retries until the
+// response starts, then yields the body chunk by chunk, decoded from
+// `encoding` or the encoding detected on the first bytes
+async function* fetchCSVChunksWithRetry(url, maxRetries = 3, encoding = 'auto') {
+    let response = null;
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            console.log(`📡 Stream attempt ${attempt}/${maxRetries} for URL: ${url.substring(0, 100)}...`);
+            
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+            
+            const attemptResponse = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'text/csv,text/plain,application/csv,*/*',
+                    'Cache-Control': 'no-cache',
+                    'User-Agent': 'Mozilla/5.0 (compatible; CSV-Wizard/1.0)'
+                },
+                signal: controller.signal
+            });
+            
+            clearTimeout(timeoutId);
+            
+            if (attemptResponse.ok && attemptResponse.body) {
+                response = attemptResponse;
+                break;
+            }
+            console.log(`❌ Attempt ${attempt}: HTTP ${attemptResponse.status}`);
+            
+        } catch (error) {
+            console.log(`❌ Attempt ${attempt}: ${error.message}`);
+            if (attempt === maxRetries) {
+                throw error;
+            }
+        }
+        
+        // Wait before retry with exponential backoff
+        if (attempt < maxRetries) {
+            await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+        }
+    }
+    
+    if (!response) {
+        throw new Error('Failed to fetch CSV content after all attempts');
+    }
+    
+    let decoder = null;
+    let checkedContent = false;
+    
+    for await (const bytes of response.body) {
+        if (!decoder) {
+            if (bytes.length === 0) {
+                continue;
+            }
+            const encodingName = encoding && encoding !== 'auto' ? encoding : detectEncoding(bytes).encoding;
+            console.log(`🔤 Streaming ${url.substring(0, 100)} as ${encodingName}`);
+            decoder = new TextDecoder(encodingName);
+        }
+        const text = decoder.decode(bytes, { stream: true });
+        if (!checkedContent && text.length > 0) {
+            // Validate content looks like CSV
+            if (text.includes('<html') || text.includes('<!DOCTYPE')) {
+                throw new Error("Content doesn't look like CSV");
+            }
+            checkedContent = true;
+        }
+        if (text.length > 0) {
+            yield text;
+        }
+    }
+    
+    const rest = decoder ? decoder.decode() : '';
+    if (rest.length > 0) {
+        yield rest;
+    }
+}
+
 // Upload CSV to Google Sheets (simplified from existing logic)
-async function uploadCSVToGoogleSheets({ content, filename, spreadsheetId, tabName, googleToken, hasHeaders, userEmail, userId }) {
+// Reads from `content` or streams from `url`, appending one batch at a time
+async function uploadCSVToGoogleSheets({ content, url, contentEncoding, encoding, filename, spreadsheetId, tabName, googleToken, hasHeaders, alignColumns, unknownColumns, dedupe, formulaPolicy, userEmail, userId }) {
+    let rowsUploaded = 0;
+    // Rows go in as RAW here, so formulas are never live; the policy still
+    // decides whether they are visibly escaped
+    const formulaGuard = createFormulaGuard(formulaPolicy, { raw: true });
     try {
         console.log(`📊 Uploading ${filename} to ${spreadsheetId}/${tabName}, headers: ${hasHeaders ? 'skip' : 'include'}`);
         
-        // Parse CSV content using existing function
-        const parseResult = parseCSVContent(content, {
-            headerHandling: hasHeaders ? 'skip' : 'use',
-            delimiter: 'auto',
-            trimWhitespace: true,
-            skipEmptyRows: true
-        });
-        
-        if (!parseResult.success) {
-            throw new Error(`CSV parsing failed: ${parseResult.error}`);
-        }
-        
-        console.log(`📊 Parsed CSV: ${parseResult.data.length} rows, ${parseResult.data[0]?.length || 0} columns`);
-        
-        // Upload to Google Sheets using append API
-        const uploadResponse = await fetch(
-            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${tabName}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
+        // Parse CSV content using the streaming parser
+        const csvStream = createCSVRowStream(
+            content
+                ? csvPayloadChunks(readCSVPayload(content, { contentEncoding, encoding }))
+                : fetchCSVChunksWithRetry(url, 3, encoding),
             {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${googleToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    values: parseResult.data
-                })
+                // The file's header row is always read, so alignment and dedupe
+                // keys can match on it; it's only written when the target has none
+                headerHandling: 'use',
+                delimiter: 'auto',
+                trimWhitespace: true,
+                skipEmptyRows: true
             }
         );
         
-        if (!uploadResponse.ok) {
-            const errorText = await uploadResponse.text();
-            throw new Error(`Google Sheets API error: ${uploadResponse.status} - ${errorText}`);
+        const grid = await getSheetGrid(spreadsheetId, tabName, googleToken);
+        let totalColumns = 0;
+        let alignment = null;
+        let deduplication = null;
+        for await (const batch of csvStream.batches) {
+            const headers = csvStream.stats.headers;
+            let rows = batch;
+            if (alignColumns) {
+                if (!alignment) {
+                    const targetHeaders = await readHeaderRow(spreadsheetId, tabName, googleToken);
+                    alignment = await prepareColumnAlignment(spreadsheetId, tabName, targetHeaders, headers, unknownColumns || 'reject', googleToken, grid);
+                    if (alignment.error) {
+                        throw new Error(alignment.error);
+                    }
+                }
+                if (alignment.alignRow) {
+                    rows = batch.filter(row => row !== headers).map(alignment.alignRow);
+                }
+            } else if (hasHeaders) {
+                rows = batch.filter(row => row !== headers);
+            }
+            
+            if (dedupe) {
+                if (!deduplication) {
+                    deduplication = await prepareDeduplication(spreadsheetId, tabName, dedupe, headers, true, true, googleToken);
+                    if (deduplication.error) {
+                        throw new Error(deduplication.error);
+                    }
+                }
+                rows = rows.filter(row => row === headers || deduplication.keep(row));
+            }
+            
+            if (rows.length === 0) {
+                continue;
+            }
+            
+            if (rowsUploaded === 0) {
+                formulaGuard.setHeaders(alignment?.alignRow ? alignment.alignRow(headers || []) : headers);
+            }
+            rows = rows.map(formulaGuard.row);
+            
+            // Upload to Google Sheets using append API
+            await ensureGridSize(spreadsheetId, grid, 0, rows.reduce((width, row) => Math.max(width, row.length), 0), googleToken);
+            for (const chunk of sizeBoundedChunks(rows)) {
+                const uploadResponse = await appendRowsToSheet(spreadsheetId, tabName, chunk, googleToken, 'RAW');
+                
+                if (!uploadResponse.ok) {
+                    const errorText = await uploadResponse.text();
+                    throw new Error(`Google Sheets API error: ${uploadResponse.status} - ${errorText}`);
+                }
+                
+                if (rowsUploaded === 0) {
+                    totalColumns = chunk[0]?.length || 0;
+                }
+                rowsUploaded += chunk.length;
+            }
         }
         
-        const uploadResult = await uploadResponse.json();
-        const rowsUploaded = parseResult.data.length;
+        console.log(`📊 Parsed CSV: ${rowsUploaded} rows, ${totalColumns} columns`);
         
         // Log successful upload
         await logCSVActivity(userId, 'csv_upload', {
@@ -1776,8 +5448,11 @@ async function uploadCSVToGoogleSheets({ content, filename, spreadsheetId, tabNa
             spreadsheetId: spreadsheetId,
             tabName: tabName,
             rowsUploaded: rowsUploaded,
-            columnsUploaded: parseResult.data[0]?.length || 0,
+            columnsUploaded: totalColumns,
             hasHeaders: hasHeaders,
+            columnAlignment: alignment?.report,
+            duplicatesDropped: deduplication?.report.dropped,
+            formulasNeutralized: formulaGuard.neutralized,
             userEmail: userEmail
         });
         
@@ -1786,10 +5461,13 @@ async function uploadCSVToGoogleSheets({ content, filename, spreadsheetId, tabNa
         return {
             success: true,
             rowsUploaded: rowsUploaded,
-            totalColumns: parseResult.data[0]?.length || 0,
+            totalColumns: totalColumns,
             spreadsheetId: spreadsheetId,
             tabName: tabName,
-            parseResult: parseResult
+            delimiter: csvStream.stats.delimiter,
+            columnAlignment: alignment?.report,
+            dedupe: deduplication?.report,
+            formulas: formulaGuard.report()
         };
         
     } catch (error) {
@@ -1801,6 +5479,7 @@ async function uploadCSVToGoogleSheets({ content, filename, spreadsheetId, tabNa
             spreadsheetId: spreadsheetId,
             tabName: tabName,
             error: error.message,
+            rowsUploaded: rowsUploaded,
             userEmail: userEmail
         });
         
@@ -0,0 +1,239 @@
+// Google account connection - OAuth authorization-code flow and Workspace
+// service accounts, so the backend can call Sheets/Drive without a token from
+// the client
+import { createClient } from '@supabase/supabase-js';
+import {
+    AUTH_STATE_MAX_AGE_MS,
+    startGoogleAuth,
+    consumeAuthState,
+    connectGoogleAccount,
+    getGoogleConnection,
+    revokeGoogleConnection,
+    saveServiceAccount,
+    listServiceAccounts,
+    removeServiceAccount,
+    servicePlanResponse
+} from '../lib/google-auth.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+// Carries the OAuth state in the browser that called `connect`; the callback
+// only accepts a state that matches it
+const AUTH_STATE_COOKIE = 'csv_wizard_google_state';
+
+// Origins allowed to call this endpoint with credentials, comma-separated
+// (e.g. chrome-extension://<id>). The browser only stores the state cookie
+// for a credentialed request when its origin is echoed back.
+const CREDENTIALED_ORIGINS = (process.env.GOOGLE_AUTH_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+export default async function handler(req, res) {
+    // Enable CORS
+    const origin = req.headers.origin;
+    if (origin && CREDENTIALED_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Vary', 'Origin');
+    } else {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    // Google redirects the browser back here with ?code=&state=
+    if (req.method === 'GET') {
+        return await handleCallback(req, res);
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authorization header required'
+            });
+        }
+
+        const apiKey = authHeader.substring(7);
+
+        // Verify API key
+        const { data: apiKeyData, error: apiKeyError } = await supabase
+            .from('api_keys')
+            .select('user_id, user_email')
+            .eq('api_key', apiKey)
+            .eq('is_active', true)
+            .single();
+
+        if (apiKeyError || !apiKeyData) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid API key'
+            });
+        }
+
+        const action = req.body?.action;
+
+        console.log(`🔐 Google Auth - Action: ${action} for user: ${apiKeyData.user_email}`);
+
+        // Service accounts are Enterprise-only. Removing one stays open so a
+        // downgraded account can still delete its keys.
+        if (action === 'add-service-account' || action === 'list-service-accounts') {
+            const planResponse = await servicePlanResponse(supabase, apiKeyData.user_id);
+            if (planResponse) {
+                return res.status(planResponse.status).json(planResponse.body);
+            }
+        }
+
+        switch (action) {
+            case 'connect': {
+                // Clients must call this with credentials, from an origin in
+                // GOOGLE_AUTH_ALLOWED_ORIGINS, in the browser that then opens
+                // authUrl, so the cookie reaches the callback
+                const { state, authUrl } = await startGoogleAuth(supabase, apiKeyData.user_id);
+                setStateCookie(res, state, AUTH_STATE_MAX_AGE_MS / 1000);
+                return res.json({
+                    success: true,
+                    authUrl
+                });
+            }
+            case 'status': {
+                const connection = await getGoogleConnection(supabase, apiKeyData.user_id);
+                return res.json({
+                    success: true,
+                    connected: !!connection,
+                    connection
+                });
+            }
+            case 'revoke': {
+                const revoked = await revokeGoogleConnection(supabase, apiKeyData.user_id);
+                return res.json({
+                    success: true,
+                    revoked
+                });
+            }
+            case 'add-service-account':
+                return await handleAddServiceAccount(req, res, apiKeyData);
+            case 'list-service-accounts':
+                return res.json({
+                    success: true,
+                    serviceAccounts: await listServiceAccounts(supabase, apiKeyData.user_id)
+                });
+            case 'remove-service-account': {
+                if (!req.body.serviceAccountId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'serviceAccountId is required'
+                    });
+                }
+                const removed = await removeServiceAccount(supabase, apiKeyData.user_id, req.body.serviceAccountId);
+                return res.json({
+                    success: true,
+                    removed
+                });
+            }
+            default:
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown action: ${action}. Available actions: connect, status, revoke, add-service-account, list-service-accounts, remove-service-account`
+                });
+        }
+
+    } catch (error) {
+        console.error('Google Auth error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error: ' + error.message
+        });
+    }
+}
+
+// Body: { credentials: <service account JSON key>, name?, delegatedUser? }
+async function handleAddServiceAccount(req, res, apiKeyData) {
+    const { credentials, name, delegatedUser } = req.body;
+
+    if (!credentials) {
+        return res.status(400).json({
+            success: false,
+            error: 'credentials (a service account JSON key) are required'
+        });
+    }
+
+    try {
+        const serviceAccount = await saveServiceAccount(supabase, apiKeyData.user_id, { credentials, name, delegatedUser });
+        return res.json({
+            success: true,
+            serviceAccount
+        });
+    } catch (error) {
+        // Malformed keys and rejected JWT grants are the caller's to fix
+        console.error('❌ Failed to add service account:', error.message);
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+async function handleCallback(req, res) {
+    const { code, state, error } = req.query;
+
+    if (error) {
+        return sendCallbackResult(res, 400, false, `Google authorization was not granted (${error})`);
+    }
+
+    try {
+        const userId = await consumeAuthState(supabase, state, readCookie(req, AUTH_STATE_COOKIE));
+        setStateCookie(res, '', 0);
+        if (!code || !userId) {
+            return sendCallbackResult(res, 400, false, 'Invalid or expired authorization request. Please try connecting again.');
+        }
+
+        const { email } = await connectGoogleAccount(supabase, userId, code);
+        return sendCallbackResult(res, 200, true, `Google account ${email || ''} connected. You can close this window.`);
+    } catch (err) {
+        console.error('❌ Google OAuth callback failed:', err);
+        return sendCallbackResult(res, 500, false, 'Failed to connect Google account: ' + err.message);
+    }
+}
+
+// Cross-site (the callback arrives from Google), so SameSite=None
+function setStateCookie(res, value, maxAgeSeconds) {
+    res.setHeader('Set-Cookie', `${AUTH_STATE_COOKIE}=${value}; Max-Age=${maxAgeSeconds}; Path=/; HttpOnly; Secure; SameSite=None`);
+}
+
+function readCookie(req, name) {
+    for (const part of String(req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return value.join('=');
+        }
+    }
+    return null;
+}
+
+// The callback is opened in a browser, so answer with a page (or a redirect
+// to the app when GOOGLE_AUTH_SUCCESS_URL is set) rather than JSON
+function sendCallbackResult(res, status, success, message) {
+    if (success && process.env.GOOGLE_AUTH_SUCCESS_URL) {
+        res.setHeader('Location', process.env.GOOGLE_AUTH_SUCCESS_URL);
+        return res.status(302).end();
+    }
+
+    const escaped = message.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(status).send(`<!DOCTYPE html><html><head><title>CSV Wizard</title></head><body><p>${escaped}</p></body></html>`);
+}
@@ -1,6 +1,7 @@
 // pages/api/sheet-info.js
-import { google } from 'googleapis';
 import { createClient } from '@supabase/supabase-js';
+import { googleFetch, googleErrorResponse } from '../lib/google-client.js';
+import { googleTokenFor, serviceAccountPlanResponse } from '../lib/google-auth.js';
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -31,25 +32,36 @@ export default async function handler(req, res) {
             return res.status(401).json({ error: 'Invalid API key' });
         }
 
-        const { spreadsheetId, googleToken } = req.body;
+        const { spreadsheetId } = req.body;
+        const planResponse = await serviceAccountPlanResponse(supabase, user.user_id, req.body.serviceAccountId);
+        if (planResponse) {
+            return res.status(planResponse.status).json(planResponse.body);
+        }
+        const googleToken = await googleTokenFor(supabase, user.user_id, req.body);
         
-        const auth = new google.auth.OAuth2();
-        auth.setCredentials({ access_token: googleToken });
+        // Get spreadsheet metadata
+        const response = await googleFetch(
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=properties(title),sheets(properties(title))`,
+            { headers: { 'Authorization': `Bearer ${googleToken}` } }
+        );
         
-        const sheets = google.sheets({ version: 'v4', auth });
+        if (!response.ok) {
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
+            }
+            throw new Error(`Google Sheets API error: ${response.status}`);
+        }
         
-        // Get spreadsheet metadata
-        const response = await sheets.spreadsheets.get({
-            spreadsheetId: spreadsheetId
-        });
+        const data = await response.json();
         
         // Extract tab names
-        const tabs = response.data.sheets.map(sheet => sheet.properties.title);
+        const tabs = data.sheets.map(sheet => sheet.properties.title);
         
         res.json({
             success: true,
             tabs: tabs,
-            title: response.data.properties.title
+            title: data.properties.title
         });
         
     } catch (error) {
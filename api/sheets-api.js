@@ -1,5 +1,7 @@
 // FIXED: sheets-api.js - Removed invalid supportsAllDrives from Sheets API calls
 import { createClient } from '@supabase/supabase-js';
+import { googleFetch, googleErrorResponse, gridPropertiesFor } from '../lib/google-client.js';
+import { googleTokenFor, serviceAccountPlanResponse } from '../lib/google-auth.js';
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -43,8 +45,23 @@ export default async function handler(req, res) {
             });
         }
         
-        // Get action and Google token from request body
-        const { action, googleToken } = req.body;
+        // Get action and Google token from request body - or a selected
+        // service account, or the user's connected Google account
+        const { action } = req.body;
+        const planResponse = await serviceAccountPlanResponse(supabase, apiKeyData.user_id, req.body.serviceAccountId);
+        if (planResponse) {
+            return res.status(planResponse.status).json(planResponse.body);
+        }
+        
+        let googleToken;
+        try {
+            googleToken = await googleTokenFor(supabase, apiKeyData.user_id, req.body);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         
         if (!action) {
             return res.status(400).json({
@@ -56,7 +73,7 @@ export default async function handler(req, res) {
         if (!googleToken) {
             return res.status(400).json({
                 success: false,
-                error: 'Google token required in request body'
+                error: 'Google token required in request body, or connect a Google account'
             });
         }
         
@@ -96,7 +113,7 @@ async function handleListSheets(req, res, apiKeyData, googleToken) {
         
         // First, test the Google token
         console.log('🧪 Testing Google token...');
-        const tokenTestResponse = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+        const tokenTestResponse = await googleFetch('https://www.googleapis.com/oauth2/v2/userinfo', {
             headers: {
                 'Authorization': `Bearer ${googleToken}`,
                 'Accept': 'application/json'
@@ -129,7 +146,7 @@ async function handleListSheets(req, res, apiKeyData, googleToken) {
             corpora: 'allDrives'
         });
         
-        const response = await fetch(
+        const response = await googleFetch(
             `https://www.googleapis.com/drive/v3/files?${queryParams}`,
             {
                 headers: {
@@ -145,12 +162,9 @@ async function handleListSheets(req, res, apiKeyData, googleToken) {
             const errorText = await response.text();
             console.error('❌ Google Drive API error:', response.status, errorText);
             
-            if (response.status === 401 || response.status === 403) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Google authentication expired',
-                    needsReauth: true
-                });
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
             }
             
             throw new Error(`Google Drive API error: ${response.status} - ${errorText}`);
@@ -172,7 +186,7 @@ async function handleListSheets(req, res, apiKeyData, googleToken) {
                 pageSize: '50'
             });
             
-            const altResponse = await fetch(
+            const altResponse = await googleFetch(
                 `https://www.googleapis.com/drive/v3/files?${alternativeParams}`,
                 {
                     headers: {
@@ -289,7 +303,7 @@ async function handleGetSheetTabs(req, res, apiKeyData, googleToken) {
         console.log('📄 Fetching sheet tabs for spreadsheet:', spreadsheetId);
         
         // FIXED: Removed supportsAllDrives parameter - this is for Sheets API, not Drive API
-        const response = await fetch(
+        const response = await googleFetch(
             `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=sheets(properties(sheetId,title,index,gridProperties))`,
             {
                 headers: {
@@ -302,19 +316,9 @@ async function handleGetSheetTabs(req, res, apiKeyData, googleToken) {
         if (!response.ok) {
             console.error('Google Sheets API error:', response.status);
             
-            if (response.status === 401 || response.status === 403) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Google authentication expired',
-                    needsReauth: true
-                });
-            }
-            
-            if (response.status === 404) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Spreadsheet not found or no access'
-                });
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
             }
             
             const errorText = await response.text();
@@ -367,13 +371,21 @@ async function handleGetSheetTabs(req, res, apiKeyData, googleToken) {
 // Create sheet function
 async function handleCreateSheet(req, res, apiKeyData, googleToken) {
     try {
-        const { sheetName } = req.body;
+        const { sheetName, rowCount, columnCount } = req.body;
         const finalSheetName = sheetName?.trim() || `CSV Import - ${new Date().toLocaleDateString()}`;
         
+        const grid = gridPropertiesFor(rowCount, columnCount);
+        if (grid.error) {
+            return res.status(400).json({
+                success: false,
+                error: grid.error
+            });
+        }
+        
         console.log('✨ Creating new Google Spreadsheet:', finalSheetName);
         
         // Create new spreadsheet
-        const response = await fetch(
+        const response = await googleFetch(
             'https://sheets.googleapis.com/v4/spreadsheets',
             {
                 method: 'POST',
@@ -388,10 +400,7 @@ async function handleCreateSheet(req, res, apiKeyData, googleToken) {
                     sheets: [{
                         properties: {
                             title: 'Sheet1',
-                            gridProperties: {
-                                rowCount: 1000,
-                                columnCount: 26
-                            }
+                            gridProperties: grid.gridProperties
                         }
                     }]
                 })
@@ -399,6 +408,11 @@ async function handleCreateSheet(req, res, apiKeyData, googleToken) {
         );
         
         if (!response.ok) {
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
+            }
+            
             const errorText = await response.text();
             throw new Error(`Google Sheets API error: ${response.status} - ${errorText}`);
         }
@@ -428,7 +442,7 @@ async function handleCreateSheet(req, res, apiKeyData, googleToken) {
 // Create tab function  
 async function handleCreateTab(req, res, apiKeyData, googleToken) {
     try {
-        const { spreadsheetId, tabName } = req.body;
+        const { spreadsheetId, tabName, rowCount, columnCount } = req.body;
         
         if (!spreadsheetId || !tabName) {
             return res.status(400).json({
@@ -437,8 +451,16 @@ async function handleCreateTab(req, res, apiKeyData, googleToken) {
             });
         }
         
+        const grid = gridPropertiesFor(rowCount, columnCount);
+        if (grid.error) {
+            return res.status(400).json({
+                success: false,
+                error: grid.error
+            });
+        }
+        
         // Create new tab
-        const response = await fetch(
+        const response = await googleFetch(
             `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
             {
                 method: 'POST',
@@ -451,10 +473,7 @@ async function handleCreateTab(req, res, apiKeyData, googleToken) {
                         addSheet: {
                             properties: {
                                 title: tabName.trim(),
-                                gridProperties: {
-                                    rowCount: 1000,
-                                    columnCount: 26
-                                }
+                                gridProperties: grid.gridProperties
                             }
                         }
                     }]
@@ -463,6 +482,11 @@ async function handleCreateTab(req, res, apiKeyData, googleToken) {
         );
         
         if (!response.ok) {
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
+            }
+            
             const errorText = await response.text();
             throw new Error(`Google Sheets API error: ${response.status} - ${errorText}`);
         }
@@ -507,7 +531,7 @@ async function handleDeleteSheet(req, res, apiKeyData, googleToken) {
         console.log(`🗑️ Deleting sheet ${sheetId} from spreadsheet ${spreadsheetId}`);
         
         // Delete sheet
-        const response = await fetch(
+        const response = await googleFetch(
             `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
             {
                 method: 'POST',
@@ -526,6 +550,11 @@ async function handleDeleteSheet(req, res, apiKeyData, googleToken) {
         );
         
         if (!response.ok) {
+            const mapped = googleErrorResponse(response.status);
+            if (mapped) {
+                return res.status(mapped.status).json(mapped.body);
+            }
+            
             const errorText = await response.text();
             throw new Error(`Google Sheets API error: ${response.status} - ${errorText}`);
         }
@@ -2,6 +2,11 @@
 import { google } from 'googleapis';
 import { parse } from 'csv-parse/sync';
 import { createClient } from '@supabase/supabase-js';
+import { googleTokenFor, serviceAccountPlanResponse } from '../lib/google-auth.js';
+import { createFormulaGuard, formulaPolicyError } from '../lib/formula-guard.js';
+import { formattingRequests, uploadFormatOptions } from '../lib/sheet-formatting.js';
+import { createColumnTypeTracker } from '../lib/columns.js';
+import { detectDateColumn, formatDate, parseDateString, resolveDateFormat, toSheetsDatePattern } from '../lib/dates.js';
 
 // Initialize Supabase
 const supabase = createClient(
@@ -91,7 +96,14 @@ export default async function handler(req, res) {
             sheetName,
             uploadMode,
             googleToken,
-            createNewTab
+            serviceAccountId,
+            createNewTab,
+            dateFormat,
+            dateTimeFormat,
+            dateOrder,
+            formulaPolicy,
+            autoFormat,
+            formatPreset
         } = req.body;
         
         // Validate inputs
@@ -102,17 +114,52 @@ export default async function handler(req, res) {
             });
         }
         
+        const planResponse = await serviceAccountPlanResponse(supabase, user.user_id, serviceAccountId);
+        if (planResponse) {
+            return res.status(planResponse.status).json(planResponse.body);
+        }
+        
+        const policyError = formulaPolicyError(formulaPolicy);
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                error: policyError
+            });
+        }
+        
+        // Replace uploads are formatted unless autoFormat is false; appends
+        // only when asked to (or given a preset)
+        let formatOptions;
+        try {
+            formatOptions = await uploadFormatOptions(supabase, user.user_id, autoFormat ?? (uploadMode === 'replace' || undefined), formatPreset);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
         console.log(`📤 Processing upload: ${csvFileName} → ${sheetName}`);
         
         // Initialize Google Sheets API
         const auth = new google.auth.OAuth2();
-        auth.setCredentials({ access_token: googleToken });
+        auth.setCredentials({ access_token: await googleTokenFor(supabase, user.user_id, { googleToken, serviceAccountId }) });
         
         const sheets = google.sheets({ version: 'v4', auth });
         
         // Sanitize and parse CSV with your secret parsing logic
         const sanitizedContent = sanitizeCSVContent(csvContent);
-        const parsedData = await parseCSVWithMagic(sanitizedContent);
+        const parsedData = await parseCSVWithMagic(sanitizedContent, {
+            dateFormat,
+            dateTimeFormat,
+            dateOrder
+        });
+        
+        // SECURITY: cells are written USER_ENTERED, so neutralize anything
+        // that would run as a formula
+        const formulaGuard = createFormulaGuard(formulaPolicy);
+        formulaGuard.setHeaders(parsedData.headers);
+        parsedData.sheetData = parsedData.sheetData.map(formulaGuard.row);
         
         // Create new tab if needed
         if (createNewTab) {
@@ -127,6 +174,10 @@ export default async function handler(req, res) {
             result = await appendSheetData(sheets, spreadsheetId, sheetName, parsedData);
         }
         
+        if (formatOptions) {
+            await applySmartFormatting(sheets, spreadsheetId, sheetName, parsedData, formatOptions);
+        }
+        
         // Log usage for the user
         await supabase.from('usage_logs').insert({
             user_id: user.id,
@@ -141,8 +192,11 @@ export default async function handler(req, res) {
             success: true,
             rowsUploaded: parsedData.rows.length,
             columnsDetected: parsedData.headers.length,
+            columnTypes: parsedData.columnTypes,
+            dateColumns: parsedData.dateColumns,
             sheetName: sheetName,
-            mode: uploadMode
+            mode: uploadMode,
+            formulas: formulaGuard.report()
         });
         
     } catch (error) {
@@ -157,7 +211,7 @@ export default async function handler(req, res) {
 // ==========================================
 // SECRET SAUCE - CSV PARSING LOGIC
 // ==========================================
-async function parseCSVWithMagic(csvContent) {
+async function parseCSVWithMagic(csvContent, options = {}) {
     try {
         // Parse with advanced options
         const records = parse(csvContent, {
@@ -195,8 +249,11 @@ async function parseCSVWithMagic(csvContent) {
             });
         });
         
-        // Detect data types for each column
-        const columnTypes = detectColumnTypes(processedRows);
+        // Detect data types for each column, then rewrite date columns in the
+        // requested output format (day/month order is settled per column)
+        const dateColumns = detectDateColumns(processedRows, headers, options);
+        const columnTypes = detectColumnTypes(processedRows, dateColumns);
+        const dateFormats = normalizeDateColumns(processedRows, dateColumns, options);
         
         // Format data for Google Sheets
         const sheetData = [headers, ...processedRows];
@@ -205,6 +262,8 @@ async function parseCSVWithMagic(csvContent) {
             headers,
             rows: processedRows,
             columnTypes,
+            dateFormats,
+            dateColumns: describeDateColumns(dateColumns, headers),
             sheetData
         };
         
@@ -246,9 +305,10 @@ function processCellValue(cell) {
         return '';
     }
     
-    // Your magic number/date formatting
+    // Dates are normalized per column once the column's day/month order is
+    // known - keep them away from the number conversion
     if (isDate(cell)) {
-        return formatDate(cell);
+        return cell;
     }
     
     if (isNumber(cell)) {
@@ -259,17 +319,17 @@ function processCellValue(cell) {
 }
 
 // Detect column types
-function detectColumnTypes(rows) {
+function detectColumnTypes(rows, dateColumns = []) {
     const columnCount = rows[0]?.length || 0;
     const types = [];
     
     for (let col = 0; col < columnCount; col++) {
         const values = rows.map(row => row[col]).filter(v => v !== '');
         
-        if (values.every(v => isNumber(v))) {
+        if (dateColumns[col]) {
+            types.push(dateColumns[col].hasTime ? 'datetime' : 'date');
+        } else if (values.every(v => isNumber(v))) {
             types.push('number');
-        } else if (values.every(v => isDate(v))) {
-            types.push('date');
         } else {
             types.push('string');
         }
@@ -278,6 +338,50 @@ function detectColumnTypes(rows) {
     return types;
 }
 
+// Date detection for every column (null for non-date columns)
+function detectDateColumns(rows, headers, options) {
+    const columnCount = rows[0]?.length || 0;
+    const dateColumns = [];
+    
+    for (let col = 0; col < columnCount; col++) {
+        const values = rows.map(row => row[col]).filter(v => v !== '' && v !== undefined);
+        dateColumns.push(detectDateColumn(values, headers[col], options));
+    }
+    
+    return dateColumns;
+}
+
+// How each date column was read, for the response. `ambiguous` means the
+// day/month order came from options.dateOrder rather than the values.
+function describeDateColumns(dateColumns, headers) {
+    return dateColumns
+        .map((dateInfo, index) => dateInfo && {
+            column: headers[index],
+            kind: dateInfo.kind,
+            order: dateInfo.order,
+            ambiguous: dateInfo.ambiguous
+        })
+        .filter(Boolean);
+}
+
+// Rewrite the cells of date columns in place, returning the output format
+// used for each column (null for non-date columns)
+function normalizeDateColumns(rows, dateColumns, options) {
+    return dateColumns.map((dateInfo, col) => {
+        if (!dateInfo) {
+            return null;
+        }
+        
+        const format = resolveDateFormat(dateInfo, options);
+        for (const row of rows) {
+            if (row[col] !== '' && row[col] !== undefined) {
+                row[col] = formatDate(row[col], dateInfo, format);
+            }
+        }
+        return format;
+    });
+}
+
 // ==========================================
 // GOOGLE SHEETS OPERATIONS
 // ==========================================
@@ -342,9 +446,6 @@ async function replaceSheetData(sheets, spreadsheetId, sheetName, parsedData) {
             }
         });
         
-        // Apply smart formatting
-        await applySmartFormatting(sheets, spreadsheetId, sheetName, parsedData);
-        
         return {
             updatedCells: response.data.updatedCells,
             updatedRange: response.data.updatedRange
@@ -355,86 +456,62 @@ async function replaceSheetData(sheets, spreadsheetId, sheetName, parsedData) {
     }
 }
 
-async function applySmartFormatting(sheets, spreadsheetId, sheetName, parsedData) {
-    const requests = [];
-    
-    // Get sheet ID first
-    const sheetId = await getSheetId(sheets, spreadsheetId, sheetName);
-    
-    // Format headers
-    requests.push({
-        repeatCell: {
-            range: {
-                sheetId: sheetId,
-                startRowIndex: 0,
-                endRowIndex: 1
-            },
-            cell: {
-                userEnteredFormat: {
-                    backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 },
-                    textFormat: { bold: true }
-                }
-            },
-            fields: 'userEnteredFormat(backgroundColor,textFormat)'
+// Formatting is best-effort: the data is already written
+async function applySmartFormatting(sheets, spreadsheetId, sheetName, parsedData, formatOptions) {
+    try {
+        const sheet = await getSheet(sheets, spreadsheetId, sheetName);
+        if (!sheet) {
+            return;
         }
-    });
-    
-    // Apply column-specific formatting
-    parsedData.columnTypes.forEach((type, index) => {
-        if (type === 'number') {
-            requests.push({
-                repeatCell: {
-                    range: {
-                        sheetId: sheetId,
-                        startColumnIndex: index,
-                        endColumnIndex: index + 1,
-                        startRowIndex: 1
-                    },
-                    cell: {
-                        userEnteredFormat: {
-                            numberFormat: {
-                                type: 'NUMBER',
-                                pattern: '#,##0.00'
-                            }
-                        }
-                    },
-                    fields: 'userEnteredFormat.numberFormat'
-                }
+        
+        const requests = formattingRequests(sheet.properties.sheetId, formatColumns(parsedData), formatOptions, {
+            banded: (sheet.bandedRanges || []).length > 0,
+            rowCount: sheet.properties.gridProperties?.rowCount
+        });
+        
+        if (requests.length > 0) {
+            await sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                requestBody: { requests }
             });
         }
-    });
-    
-    if (requests.length > 0) {
-        await sheets.spreadsheets.batchUpdate({
-            spreadsheetId,
-            requestBody: { requests }
-        });
+    } catch (error) {
+        console.log('⚠️ Formatting failed (non-critical):', error.message);
     }
 }
 
+// Describe each column for formattingRequests, typed the same way as
+// csv-api uploads. Dates keep the format the parser detected.
+function formatColumns(parsedData) {
+    const tracker = createColumnTypeTracker();
+    tracker.setHeaders(parsedData.headers);
+    parsedData.rows.forEach(row => tracker.add(row));
+    
+    return tracker.columns(parsedData.headers.length).map((column, index) => {
+        const type = parsedData.columnTypes[index];
+        if (type === 'date' || type === 'datetime') {
+            return { ...column, type, pattern: toSheetsDatePattern(parsedData.dateFormats[index]) };
+        }
+        return column;
+    });
+}
+
 // Helper functions
-async function getSheetId(sheets, spreadsheetId, sheetName) {
+async function getSheet(sheets, spreadsheetId, sheetName) {
     const response = await sheets.spreadsheets.get({ spreadsheetId });
-    const sheet = response.data.sheets.find(s => 
+    return response.data.sheets.find(s => 
         s.properties.title === sheetName
     );
-    return sheet?.properties?.sheetId || 0;
 }
 
 function isDate(value) {
-    // Your date detection logic
-    return false; // Simplified for now
+    return parseDateString(value) !== null;
 }
 
 function isNumber(value) {
     return !isNaN(value) && !isNaN(parseFloat(value));
 }
 
-function formatDate(value) {
-    // Your date formatting logic
-    return value;
-}
-
 function formatNumber(value) {
     return parseFloat(value);
 }
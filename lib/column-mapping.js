@@ -0,0 +1,208 @@
+// Column mapping - reshape rows before upload: rename, reorder, drop and
+// duplicate columns, plus constant, template, substring and arithmetic columns
+
+import { classifyValue, normalizeColumnName, numericValue } from './columns.js';
+
+// Reshape rows before upload. `mapping.columns` lists the output columns in
+// order; each entry names its output header (`name`) and where its value
+// comes from:
+//   { source: 'Customer Name', name: 'Name' }      rename / reorder / duplicate
+//   { name: 'Region', value: 'EMEA' }               constant
+//   { name: 'Full Name', template: '{First} {Last}' } concatenation
+//   { name: 'Zip5', source: 'Zip', substring: { start: 0, length: 5 } }
+//   { name: 'Ext', source: 'File', substring: { start: -3 } }
+//   { name: 'Total', expression: '{Qty} * {Unit Price}' } arithmetic
+// Sources are header names, matched by normalizeColumnName, or 0-based column
+// indexes. `substring` takes a start plus either a length or an end (exclusive);
+// negative positions count back from the end of the value, as in slice().
+// Expressions have no functions - only {column} references, numbers (2, 0.5,
+// .5), + - * / % and parentheses.
+// Source columns not listed by `source` are dropped, unless `includeUnmapped`
+// is set - then they follow the mapped columns, minus the ones in `drop`.
+export function compileColumnMapping(mapping, headers) {
+    const errors = [];
+    const headerIndex = new Map((headers || []).map((header, index) => [normalizeColumnName(header), index]));
+
+    const resolveSource = (source, label) => {
+        if (Number.isInteger(source)) {
+            return source;
+        }
+        if (headerIndex.has(normalizeColumnName(source))) {
+            return headerIndex.get(normalizeColumnName(source));
+        }
+        if (/^\d+$/.test(String(source).trim())) {
+            return Number(source);
+        }
+        errors.push(`${label}: source column "${source}" not found`);
+        return -1;
+    };
+
+    if (!Array.isArray(mapping?.columns)) {
+        return { errors: ['columnMapping.columns must be an array'], headers, mapRow: row => row };
+    }
+
+    const usedSources = new Set();
+    const getters = [];
+    const outputHeaders = [];
+
+    mapping.columns.forEach((column, position) => {
+        const label = `Column ${column.name ?? position + 1}`;
+        let getter;
+
+        if (column.value !== undefined) {
+            const value = String(column.value);
+            getter = () => value;
+        } else if (column.template !== undefined) {
+            const parts = String(column.template).split(/(\{[^}]+\})/).map(part => {
+                const ref = part.match(/^\{([^}]+)\}$/);
+                if (!ref) {
+                    return part;
+                }
+                return resolveSource(ref[1], label);
+            });
+            getter = (row) => parts.map(part => typeof part === 'number' ? (row[part] ?? '') : part).join('');
+        } else if (column.expression !== undefined) {
+            try {
+                getter = compileExpression(String(column.expression), ref => resolveSource(ref, label));
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+                getter = () => '';
+            }
+        } else if (column.source !== undefined) {
+            const index = resolveSource(column.source, label);
+            usedSources.add(index);
+            const substring = column.substring ? compileSubstring(column.substring, label, errors) : null;
+            getter = substring
+                ? (row) => substring(String(row[index] ?? ''))
+                : (row) => row[index] ?? '';
+        } else {
+            errors.push(`${label}: needs one of source, value, template or expression`);
+            getter = () => '';
+        }
+
+        getters.push(getter);
+        outputHeaders.push(column.name ?? (Number.isInteger(column.source) ? headers?.[column.source] : column.source) ?? '');
+    });
+
+    if (mapping.includeUnmapped) {
+        const dropped = new Set((mapping.drop || []).map(name => Number.isInteger(name) ? name : headerIndex.get(normalizeColumnName(name))));
+        const width = headers ? headers.length : 0;
+        for (let index = 0; index < width; index++) {
+            if (!usedSources.has(index) && !dropped.has(index)) {
+                getters.push(row => row[index] ?? '');
+                outputHeaders.push(headers[index]);
+            }
+        }
+    }
+
+    return {
+        errors,
+        headers: headers ? outputHeaders : null,
+        mapRow: (row) => getters.map(getter => getter(row))
+    };
+}
+
+// Text-cutting function for a `substring` option
+function compileSubstring({ start = 0, length, end }, label, errors) {
+    for (const [name, value] of Object.entries({ start, length, end })) {
+        if (value !== undefined && !Number.isInteger(value)) {
+            errors.push(`${label}: substring.${name} must be an integer`);
+        }
+    }
+    if (length !== undefined && end !== undefined) {
+        errors.push(`${label}: substring takes a length or an end, not both`);
+    }
+    if (length !== undefined) {
+        return value => {
+            const from = start < 0 ? Math.max(value.length + start, 0) : start;
+            return value.slice(from, from + Math.max(length, 0));
+        };
+    }
+    return value => value.slice(start, end);
+}
+
+// Compile an arithmetic expression over column references ({Column Name} or
+// {0}), numbers, + - * / % and parentheses into a row evaluator. Cells that
+// are not numbers, and division by zero, produce an empty cell.
+function compileExpression(expression, resolveRef) {
+    // Words are read whole so a function name is reported as one token
+    const tokens = expression.match(/\{[^}]+\}|\d*\.?\d+|[A-Za-z_]\w*|[-+*/%()]|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) {
+            throw new Error('Unexpected end of expression');
+        }
+        if (token === '(') {
+            const node = parseSum();
+            if (next() !== ')') {
+                throw new Error('Missing closing parenthesis');
+            }
+            return node;
+        }
+        if (token === '-') {
+            const operand = parsePrimary();
+            return row => -operand(row);
+        }
+        if (/^\.?\d/.test(token)) {
+            const value = Number(token);
+            return () => value;
+        }
+        const ref = token.match(/^\{([^}]+)\}$/);
+        if (ref) {
+            const index = resolveRef(ref[1].trim());
+            return (row) => {
+                const cell = String(row[index] ?? '').trim();
+                const number = numericValue(cell, classifyValue(cell));
+                return number === null ? NaN : number;
+            };
+        }
+        if (/^[A-Za-z_]/.test(token)) {
+            throw new Error(`Unknown "${token}" in expression - expressions take {column} references, numbers and + - * / % only`);
+        }
+        throw new Error(`Unexpected "${token}" in expression`);
+    };
+
+    const parseProduct = () => {
+        let node = parsePrimary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const left = node;
+            const right = parsePrimary();
+            node = operator === '*'
+                ? row => left(row) * right(row)
+                : operator === '/'
+                    ? row => left(row) / right(row)
+                    : row => left(row) % right(row);
+        }
+        return node;
+    };
+
+    const parseSum = () => {
+        let node = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            const operator = next();
+            const left = node;
+            const right = parseProduct();
+            node = operator === '+'
+                ? row => left(row) + right(row)
+                : row => left(row) - right(row);
+        }
+        return node;
+    };
+
+    const root = parseSum();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}" in expression`);
+    }
+
+    return (row) => {
+        const result = root(row);
+        // Round away binary floating point noise (0.1 + 0.2)
+        return Number.isFinite(result) ? String(Math.round(result * 1e10) / 1e10) : '';
+    };
+}
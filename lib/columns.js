@@ -0,0 +1,153 @@
+// Column helpers shared by every upload path - cell type inference, A1
+// column letters and header-name matching - so each path reads a column the
+// same way
+
+// 1-based column number to A1 letters (27 -> AA)
+export function columnLetter(columnNumber) {
+    let letters = '';
+    for (let n = columnNumber; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+// Every option that names a column matches headers through this: names match
+// when they differ only in case, spacing or separators (first_name, First Name)
+export function normalizeColumnName(name) {
+    return String(name ?? '')
+        .normalize('NFKC')
+        .trim()
+        .toLowerCase()
+        .replace(/[\s_\-.]+/g, '');
+}
+
+// ===== TYPE INFERENCE =====
+
+// Cell text that stands for a missing value
+export const NULL_TOKENS = new Set(['null', 'nil', 'none', 'n/a', 'na', 'nan', '#n/a', '-']);
+
+const BOOLEAN_TOKENS = new Set(['true', 'false', 'yes', 'no']);
+const INTEGER_PATTERN = /^[-+]?\d{1,3}(?:,\d{3})+$|^[-+]?\d+$/;
+const DECIMAL_PATTERN = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d*)\.\d+(?:e[-+]?\d+)?$|^[-+]?\d+(?:\.\d+)?e[-+]?\d+$/i;
+const PERCENT_PATTERN = /^[-+]?\d+(?:\.\d+)?\s?%$/;
+const CURRENCY_PATTERN = /^[-+]?[$€£¥]\s?\d{1,3}(?:,?\d{3})*(?:\.\d+)?$|^[-+]?\d{1,3}(?:,?\d{3})*(?:\.\d+)?\s?[$€£¥]$/;
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}[/.-]\d{1,2}[/.-](?:\d{2}|\d{4})$|^\d{1,2}[\s-][a-z]{3,9}\.?[\s,-]+\d{2,4}$|^[a-z]{3,9}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}$/i;
+const DATETIME_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})?$|^\d{1,2}[/.-]\d{1,2}[/.-](?:\d{2}|\d{4})\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]m)?$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// Classify a single non-empty cell for type inference
+export function classifyValue(value) {
+    if (BOOLEAN_TOKENS.has(value.toLowerCase())) {
+        return 'boolean';
+    }
+    if (INTEGER_PATTERN.test(value)) {
+        return 'integer';
+    }
+    if (DECIMAL_PATTERN.test(value)) {
+        return 'number';
+    }
+    if (PERCENT_PATTERN.test(value)) {
+        return 'percent';
+    }
+    if (CURRENCY_PATTERN.test(value)) {
+        return 'currency';
+    }
+    if (DATETIME_PATTERN.test(value)) {
+        return 'datetime';
+    }
+    if (DATE_PATTERN.test(value)) {
+        return 'date';
+    }
+    if (EMAIL_PATTERN.test(value)) {
+        return 'email';
+    }
+    if (URL_PATTERN.test(value)) {
+        return 'url';
+    }
+    return 'text';
+}
+
+// Numeric reading of number-like classes, used for min/max
+export function numericValue(value, valueType) {
+    if (valueType === 'integer' || valueType === 'number' || valueType === 'percent' || valueType === 'currency') {
+        const number = Number(value.replace(/[,$€£¥%\s]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+    return null;
+}
+
+// Dominant type of a column; integers count towards 'number' when a column
+// mixes both, and dates towards 'datetime'
+export function inferColumnType(typeCounts, valueCount) {
+    if (valueCount === 0) {
+        return { type: 'empty', confidence: 1 };
+    }
+
+    const merged = { ...typeCounts };
+    if (merged.integer && merged.number) {
+        merged.number += merged.integer;
+        delete merged.integer;
+    }
+    if (merged.date && merged.datetime) {
+        merged.datetime += merged.date;
+        delete merged.date;
+    }
+
+    let bestType = 'text';
+    let bestCount = 0;
+    for (const [valueType, count] of Object.entries(merged)) {
+        if (count > bestCount) {
+            bestType = valueType;
+            bestCount = count;
+        }
+    }
+
+    return {
+        type: bestType,
+        confidence: Math.round((bestCount / valueCount) * 1000) / 1000
+    };
+}
+
+// Tally the type of every written cell per column for formattingRequests.
+// Only counts and the longest value are kept, so memory stays flat.
+export function createColumnTypeTracker() {
+    const stats = [];
+    let headers = [];
+
+    return {
+        setHeaders(row) {
+            headers = row || [];
+        },
+
+        add(row) {
+            row.forEach((cell, index) => {
+                const column = stats[index] || (stats[index] = { typeCounts: {}, valueCount: 0, maxLength: 0, currencySymbol: null });
+                const value = cell === undefined || cell === null ? '' : String(cell).trim();
+                if (value === '' || NULL_TOKENS.has(value.toLowerCase())) {
+                    return;
+                }
+
+                const valueType = classifyValue(value);
+                column.typeCounts[valueType] = (column.typeCounts[valueType] || 0) + 1;
+                column.valueCount++;
+                column.maxLength = Math.max(column.maxLength, value.length);
+                if (valueType === 'currency' && !column.currencySymbol) {
+                    column.currencySymbol = value.match(/[$€£¥]/)[0];
+                }
+            });
+        },
+
+        columns(columnCount) {
+            return Array.from({ length: columnCount }, (_, index) => {
+                const column = stats[index] || { typeCounts: {}, valueCount: 0, maxLength: 0, currencySymbol: null };
+                return {
+                    name: headers[index] ?? '',
+                    type: inferColumnType(column.typeCounts, column.valueCount).type,
+                    maxLength: column.maxLength,
+                    currencySymbol: column.currencySymbol
+                };
+            });
+        }
+    };
+}
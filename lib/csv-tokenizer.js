@@ -0,0 +1,261 @@
+// Delimited text parsing - an RFC 4180 tokenizer fed in chunks, and
+// statistical delimiter detection over a sample of the content
+
+// Content is tokenized in slices of this size; detection samples one slice
+export const CSV_CHUNK_SIZE = 64 * 1024;
+
+// RFC 4180 tokenizer - a small state machine so quoted fields may contain
+// delimiters, escaped quotes and line breaks. Rows end on LF, CRLF or a lone
+// CR outside of quotes. Content is fed with write() in any number of chunks
+// and complete rows come back as soon as they are available; end() flushes
+// the last row.
+export function createCSVTokenizer(options = {}) {
+    const delimiter = options.delimiter || ',';
+    const quoteChar = options.quoteChar || '"';
+    const escapeChar = options.escapeChar || quoteChar;
+    const trimWhitespace = options.trimWhitespace !== false;
+    const skipEmptyRows = options.skipEmptyRows !== false;
+
+    let rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let wasQuoted = false;
+    let pending = '';
+
+    const endField = () => {
+        row.push(trimWhitespace ? field.trim() : field);
+        field = '';
+        wasQuoted = false;
+    };
+
+    const endRow = () => {
+        endField();
+        const isEmpty = row.length === 1 && row[0] === '';
+        if (!(skipEmptyRows && isEmpty)) {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    const consume = (content, isFinal) => {
+        const length = content.length;
+        let i = 0;
+        while (i < length) {
+            const char = content[i];
+            // Characters whose meaning depends on the next one wait for the
+            // next chunk when they sit at the very end of this one
+            const needsMore = !isFinal && i + 1 >= length;
+
+            if (inQuotes) {
+                if (needsMore && (char === quoteChar || char === escapeChar || char === '\r')) {
+                    break;
+                }
+                if (char === escapeChar && escapeChar !== quoteChar &&
+                    (content[i + 1] === quoteChar || content[i + 1] === escapeChar)) {
+                    // Backslash-style escape: take the next character literally
+                    field += content[i + 1];
+                    i += 2;
+                } else if (char === quoteChar) {
+                    if (escapeChar === quoteChar && content[i + 1] === quoteChar) {
+                        // Doubled quote inside a quoted field
+                        field += quoteChar;
+                        i += 2;
+                    } else {
+                        inQuotes = false;
+                        i++;
+                    }
+                } else if (char === '\r') {
+                    // Normalize embedded CRLF / CR line breaks to LF
+                    field += '\n';
+                    i += content[i + 1] === '\n' ? 2 : 1;
+                } else {
+                    field += char;
+                    i++;
+                }
+                continue;
+            }
+
+            if (needsMore && char === '\r') {
+                break;
+            }
+            if (!isFinal && char === delimiter[0] && length - i < delimiter.length &&
+                delimiter.startsWith(content.slice(i))) {
+                // Possibly the start of a multi-character delimiter
+                break;
+            }
+
+            if (char === quoteChar && !wasQuoted && field.trim() === '') {
+                // Opening quote - whitespace before it is not part of the value
+                field = '';
+                inQuotes = true;
+                wasQuoted = true;
+                i++;
+            } else if (content.startsWith(delimiter, i)) {
+                endField();
+                i += delimiter.length;
+            } else if (char === '\n') {
+                endRow();
+                i++;
+            } else if (char === '\r') {
+                endRow();
+                i += content[i + 1] === '\n' ? 2 : 1;
+            } else {
+                // Quotes in the middle of an unquoted field are kept as-is
+                field += char;
+                i++;
+            }
+        }
+        pending = content.slice(i);
+    };
+
+    const takeRows = () => {
+        const completed = rows;
+        rows = [];
+        return completed;
+    };
+
+    return {
+        write(chunk) {
+            consume(pending + chunk, false);
+            return takeRows();
+        },
+        end() {
+            consume(pending, true);
+            // Flush the last row unless the content ended with a line break
+            if (field !== '' || row.length > 0 || wasQuoted) {
+                endRow();
+            }
+            return takeRows();
+        }
+    };
+}
+
+// Delimiters considered by auto-detection. Multi-character delimiters are
+// listed before the single character they start with. ':' is left out - times
+// such as 12:30:00 split rows consistently too - but can still be requested.
+const DELIMITER_CANDIDATES = [',', ';', '\t', '||', '|', '^'];
+const DELIMITER_SAMPLE_ROWS = 100;
+
+// Statistical delimiter detection over the first rows of the content. Each
+// candidate is counted per row outside of quoted sections and ranked by how
+// consistently it splits rows into the same number of columns. Between
+// equally consistent candidates the one that splits the header row wins, then
+// the one giving more columns. Returns the winner with a 0-1 confidence plus
+// the runner-up candidates so the caller can ask the user when detection is
+// unsure.
+export function detectDelimiter(sample, quoteChar = '"') {
+    const records = sampleRecords(sample, quoteChar);
+
+    const scored = [];
+    for (const delimiter of DELIMITER_CANDIDATES) {
+        const counts = records.map(record => countOccurrences(record, delimiter));
+        const frequency = new Map();
+        for (const count of counts) {
+            frequency.set(count, (frequency.get(count) || 0) + 1);
+        }
+
+        // Most common non-zero count per row = columns - 1
+        let modeCount = 0;
+        let modeRows = 0;
+        for (const [count, rows] of frequency) {
+            if (count > 0 && (rows > modeRows || (rows === modeRows && count > modeCount))) {
+                modeCount = count;
+                modeRows = rows;
+            }
+        }
+        if (modeCount === 0) {
+            continue;
+        }
+
+        scored.push({
+            delimiter,
+            columns: modeCount + 1,
+            consistency: modeRows / records.length,
+            splitsHeader: counts[0] === modeCount
+        });
+    }
+
+    // A doubled delimiter such as || also scores well as |, with an empty
+    // field between every pair - it wins when no single | stands on its own
+    const excluded = new Set();
+    for (const candidate of scored) {
+        if (candidate.delimiter.length > 1) {
+            const single = scored.find(other => other.delimiter === candidate.delimiter[0]);
+            const strayRecords = records.filter(record =>
+                countOccurrences(record.split(candidate.delimiter).join(''), candidate.delimiter[0]) > 0
+            );
+            if (single && strayRecords.length === 0 && candidate.consistency >= single.consistency) {
+                excluded.add(single);
+            } else if (single) {
+                excluded.add(candidate);
+            }
+        }
+    }
+
+    const ranked = scored
+        .filter(candidate => !excluded.has(candidate))
+        .sort((a, b) => b.consistency - a.consistency ||
+            Number(b.splitsHeader) - Number(a.splitsHeader) ||
+            b.columns - a.columns);
+
+    if (ranked.length === 0) {
+        // Single-column content - keep the default delimiter
+        return { delimiter: ',', confidence: 0, candidates: [] };
+    }
+
+    const [best, runnerUp] = ranked;
+    const margin = runnerUp ? 1 - (runnerUp.consistency / best.consistency) * 0.5 : 1;
+
+    return {
+        delimiter: best.delimiter,
+        confidence: Math.round(best.consistency * margin * 100) / 100,
+        columns: best.columns,
+        candidates: ranked.slice(1, 4).map(candidate => ({
+            delimiter: candidate.delimiter,
+            columns: candidate.columns,
+            score: Math.round(candidate.consistency * 100) / 100
+        }))
+    };
+}
+
+// Split the sample into records on line breaks outside of quotes, with quoted
+// sections blanked out so delimiters inside them are not counted. The last
+// record is dropped when the sample cuts it off.
+function sampleRecords(sample, quoteChar) {
+    const records = [];
+    let record = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < sample.length && records.length < DELIMITER_SAMPLE_ROWS; i++) {
+        const char = sample[i];
+        if (char === quoteChar) {
+            inQuotes = !inQuotes;
+        } else if (inQuotes) {
+            continue;
+        } else if (char === '\n' || char === '\r') {
+            if (record.trim() !== '') {
+                records.push(record);
+            }
+            record = '';
+        } else {
+            record += char;
+        }
+    }
+
+    const isCutOff = records.length >= DELIMITER_SAMPLE_ROWS || inQuotes;
+    if (!isCutOff && record.trim() !== '' && (records.length === 0 || sample.length < CSV_CHUNK_SIZE)) {
+        records.push(record);
+    }
+    return records;
+}
+
+function countOccurrences(text, delimiter) {
+    let count = 0;
+    let index = text.indexOf(delimiter);
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(delimiter, index + delimiter.length);
+    }
+    return count;
+}
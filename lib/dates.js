@@ -0,0 +1,278 @@
+// Date and datetime recognition for uploaded columns - common text formats
+// with per-column day/month order, plus Unix timestamps and Excel serials in
+// number columns with a date-like header - and rewriting them in a chosen
+// output format
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_DATETIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY_PREFIX = '(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\\.?,?\\s+)?';
+
+const TIME_SUFFIX = /(?:T|\s+|,\s*)(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?\s*([ap]\.?m\.?)?\s*(z|utc|gmt|[+-]\d{2}:?\d{2})?$/i;
+const ISO_DATE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/;
+const COMPACT_ISO_DATE = /^(\d{4})(\d{2})(\d{2})$/;
+const NUMERIC_DATE = /^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})$/;
+const MONTH_FIRST_DATE = new RegExp(`^${WEEKDAY_PREFIX}${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})$`, 'i');
+const DAY_FIRST_DATE = new RegExp(`^${WEEKDAY_PREFIX}(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+${MONTH_NAME}[\\s,-]+(\\d{2}|\\d{4})$`, 'i');
+
+// Header words that make a plain number column worth reading as timestamps.
+// Whole words only: "created_at" and "OrderDate" count, "runtime",
+// "timeout_ms" and "daily_total" don't.
+const DATE_HEADER_WORDS = new Set(['date', 'time', 'timestamp', 'datetime', 'day', 'created', 'updated', 'modified', 'dob', 'birth', 'birthday']);
+
+// Parse one date or datetime string. Day/month order of numeric dates like
+// 03/04/2024 can't be known from a single value, so those come back with
+// `ambiguous: true` and both numbers; the column settles the order.
+export function parseDateString(value) {
+    let text = String(value).trim();
+    if (text.length < 6 || text.length > 40) {
+        return null;
+    }
+
+    let time = null;
+    const timeMatch = text.match(TIME_SUFFIX);
+    if (timeMatch) {
+        time = parseTimeMatch(timeMatch);
+        if (!time) {
+            return null;
+        }
+        text = text.slice(0, timeMatch.index).trim();
+    }
+
+    let match = text.match(ISO_DATE) || text.match(COMPACT_ISO_DATE);
+    if (match) {
+        // A bare 8-digit number only counts as YYYYMMDD when it has a time part
+        if (match[0].length === 8 && !time) {
+            return null;
+        }
+        return validDateParts(Number(match[1]), Number(match[2]), Number(match[3]), time);
+    }
+
+    match = text.match(NUMERIC_DATE);
+    if (match) {
+        const first = Number(match[1]);
+        const second = Number(match[3]);
+        const year = expandYear(match[4]);
+        const asMonthFirst = validDateParts(year, first, second, time);
+        const asDayFirst = validDateParts(year, second, first, time);
+        if (!asMonthFirst && !asDayFirst) {
+            return null;
+        }
+        return { ambiguous: true, year, first, second, time };
+    }
+
+    match = text.match(MONTH_FIRST_DATE);
+    if (match) {
+        return validDateParts(Number(match[3]), monthNumber(match[1]), Number(match[2]), time);
+    }
+
+    match = text.match(DAY_FIRST_DATE);
+    if (match) {
+        return validDateParts(expandYear(match[3]), monthNumber(match[2]), Number(match[1]), time);
+    }
+
+    return null;
+}
+
+function parseTimeMatch(match) {
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const seconds = match[3] ? Number(match[3]) : 0;
+    const meridiem = match[4] ? match[4].toLowerCase().replace(/\./g, '') : null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) {
+            return null;
+        }
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+
+    // Offsets are normalized away so every value in the column is UTC
+    let offsetMinutes = null;
+    const zone = match[5]?.toLowerCase();
+    if (zone === 'z' || zone === 'utc' || zone === 'gmt') {
+        offsetMinutes = 0;
+    } else if (zone) {
+        const sign = zone[0] === '-' ? -1 : 1;
+        const digits = zone.slice(1).replace(':', '');
+        offsetMinutes = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+    }
+
+    return { hours, minutes, seconds, offsetMinutes };
+}
+
+function validDateParts(year, month, day, time) {
+    if (month < 1 || month > 12 || day < 1) {
+        return null;
+    }
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (day > daysInMonth) {
+        return null;
+    }
+    return { ambiguous: false, year, month, day, time };
+}
+
+function expandYear(year) {
+    const value = Number(year);
+    if (year.length === 4) {
+        return value;
+    }
+    return value < 50 ? 2000 + value : 1900 + value;
+}
+
+function monthNumber(name) {
+    return MONTHS[name.slice(0, 3).toLowerCase()];
+}
+
+// Decide whether a column holds dates, and how to read them. Numeric
+// day/month dates pick the order any value proves (a first number above 12
+// means day first), falling back to options.dateOrder ('MDY' or 'DMY').
+// Plain numbers are only read as Unix timestamps or Excel serial dates when
+// the header names a date.
+export function detectDateColumn(values, header, options = {}) {
+    if (values.length === 0) {
+        return null;
+    }
+
+    const parsed = values.map(value => typeof value === 'string' ? parseDateString(value) : null);
+    if (parsed.every(Boolean)) {
+        const dayFirstOnly = parsed.some(p => p.ambiguous && p.first > 12);
+        const monthFirstOnly = parsed.some(p => p.ambiguous && p.second > 12);
+        if (dayFirstOnly && monthFirstOnly) {
+            return null;
+        }
+
+        const order = dayFirstOnly ? 'DMY' : (monthFirstOnly ? 'MDY' : (options.dateOrder === 'DMY' ? 'DMY' : 'MDY'));
+        const resolved = parsed.map(p => resolveDateParts(p, order));
+        if (!resolved.every(Boolean)) {
+            return null;
+        }
+
+        return {
+            kind: 'text',
+            order,
+            hasTime: parsed.some(p => p.time),
+            ambiguous: parsed.some(p => p.ambiguous) && !dayFirstOnly && !monthFirstOnly
+        };
+    }
+
+    if (!isDateHeader(header) || !values.every(value => Number.isFinite(Number(value)))) {
+        return null;
+    }
+
+    const numbers = values.map(Number);
+    const allIntegers = numbers.every(n => Number.isInteger(n));
+    if (allIntegers && numbers.every(n => n >= 1e8 && n < 1e10)) {
+        return { kind: 'unix', hasTime: true, ambiguous: false };
+    }
+    if (allIntegers && numbers.every(n => n >= 1e11 && n < 1e13)) {
+        return { kind: 'unix-ms', hasTime: true, ambiguous: false };
+    }
+    // Excel serials between 1927 and 2173
+    if (numbers.every(n => n >= 10000 && n < 100000)) {
+        return { kind: 'excel', hasTime: !allIntegers, ambiguous: false };
+    }
+
+    return null;
+}
+
+// Whether a header names a date - its words split on separators and camelCase
+function isDateHeader(header) {
+    const words = String(header || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    // "at" only as the last word, as in paid_at
+    return words.some(word => DATE_HEADER_WORDS.has(word)) || words[words.length - 1] === 'at';
+}
+
+// Settle day/month order for an ambiguous parse
+function resolveDateParts(parts, order) {
+    if (!parts.ambiguous) {
+        return parts;
+    }
+    return order === 'DMY'
+        ? validDateParts(parts.year, parts.second, parts.first, parts.time)
+        : validDateParts(parts.year, parts.first, parts.second, parts.time);
+}
+
+// Convert a cell of a detected date column into UTC date components
+function toDateComponents(value, dateInfo) {
+    let date;
+    if (dateInfo.kind === 'unix') {
+        date = new Date(Number(value) * 1000);
+    } else if (dateInfo.kind === 'unix-ms') {
+        date = new Date(Number(value));
+    } else if (dateInfo.kind === 'excel') {
+        // Excel day 0 is 1899-12-30 once its 1900 leap-year bug is accounted for
+        date = new Date(Math.round((Number(value) - 25569) * 86400000));
+    } else {
+        const parts = resolveDateParts(parseDateString(value), dateInfo.order);
+        const time = parts.time || { hours: 0, minutes: 0, seconds: 0, offsetMinutes: null };
+        date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, time.hours, time.minutes, time.seconds));
+        if (time.offsetMinutes !== null) {
+            date = new Date(date.getTime() - time.offsetMinutes * 60000);
+        }
+    }
+
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hours: date.getUTCHours(),
+        minutes: date.getUTCMinutes(),
+        seconds: date.getUTCSeconds()
+    };
+}
+
+// Write one cell of a detected date column in the given format
+export function formatDate(value, dateInfo, format = DEFAULT_DATE_FORMAT) {
+    const date = toDateComponents(value, dateInfo);
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => {
+        switch (token) {
+            case 'YYYY': return pad(date.year, 4);
+            case 'YY': return pad(date.year % 100);
+            case 'MM': return pad(date.month);
+            case 'DD': return pad(date.day);
+            case 'HH': return pad(date.hours);
+            case 'mm': return pad(date.minutes);
+            default: return pad(date.seconds);
+        }
+    });
+}
+
+// Output format for a date column. Formats use YYYY, YY, MM, DD, HH, mm and
+// ss; datetime columns get a time part appended when the format has none.
+export function resolveDateFormat(dateInfo, options = {}) {
+    if (!dateInfo.hasTime) {
+        return options.dateFormat || DEFAULT_DATE_FORMAT;
+    }
+    if (options.dateTimeFormat) {
+        return options.dateTimeFormat;
+    }
+    if (options.dateFormat) {
+        return /H/.test(options.dateFormat) ? options.dateFormat : `${options.dateFormat} HH:mm:ss`;
+    }
+    return DEFAULT_DATETIME_FORMAT;
+}
+
+// Same format expressed as a Google Sheets number format pattern
+export function toSheetsDatePattern(format) {
+    return format
+        .replace(/YYYY/g, 'yyyy')
+        .replace(/YY/g, 'yy')
+        .replace(/MM/g, 'mm')
+        .replace(/DD/g, 'dd')
+        .replace(/HH/g, 'hh');
+}
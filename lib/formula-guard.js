@@ -0,0 +1,133 @@
+// Formula injection guard - a cell from an untrusted file that starts with =,
+// or with + - @ ahead of a function call or cell reference, turns into a live
+// formula when Sheets parses it (USER_ENTERED), e.g. =IMPORTXML(...) sending
+// sheet contents to another server. Every upload path runs its rows through a
+// guard built from the caller's formulaPolicy.
+import { normalizeColumnName } from './columns.js';
+
+//   escape    - keep the value visibly defused: it is stored with a leading '
+//   literal   - store the exact value as plain text
+//   whitelist - keep = formulas that call only listed functions (at least
+//               one), or that sit in listed columns; escape the rest
+//   allow     - write cells as they are (formulas stay live)
+export const FORMULA_POLICIES = ['escape', 'literal', 'whitelist', 'allow'];
+
+const DEFAULT_POLICY = 'escape';
+
+const OPERATOR_START = /^[+\-@]/;
+// After + - or @ only a function call, a cell reference or a DDE link (|)
+// makes a formula - signed numbers, "+44 20 7946 0958", "@handle" and a lone
+// "-" are data. Function calls may have spaces before the (, in both patterns.
+const OPERATOR_FORMULA = /[A-Za-z_][A-Za-z0-9_.]*\s*\(|(^|[^A-Za-z0-9_])\$?[A-Za-z]{1,3}\$?\d+(?![A-Za-z0-9_])|\|/;
+const FUNCTION_CALL = /([A-Za-z_][A-Za-z0-9_.]*)\s*\(/g;
+
+// policy is a mode name or { mode, functions, columns }. Returns an error
+// message, or null when the policy is usable.
+export function formulaPolicyError(policy) {
+    if (policy === undefined || policy === null) {
+        return null;
+    }
+
+    const { mode, functions, columns } = typeof policy === 'string' ? { mode: policy } : policy;
+    if (!FORMULA_POLICIES.includes(mode || DEFAULT_POLICY)) {
+        return `Invalid formulaPolicy: ${mode}. Use ${FORMULA_POLICIES.join(', ')}`;
+    }
+    if ((functions !== undefined && !Array.isArray(functions)) || (columns !== undefined && !Array.isArray(columns))) {
+        return 'formulaPolicy.functions and formulaPolicy.columns must be arrays';
+    }
+    if (mode === 'whitelist' && !functions?.length && !columns?.length) {
+        return 'The whitelist formulaPolicy needs functions or columns to allow';
+    }
+    return null;
+}
+
+// Build a guard for one upload. raw: the rows are written with
+// valueInputOption=RAW, where nothing is parsed as a formula but escaped
+// cells still get their visible ' (and a whitelisted formula stays text).
+export function createFormulaGuard(policy, { raw = false } = {}) {
+    const options = typeof policy === 'string' ? { mode: policy } : (policy || {});
+    const mode = options.mode || DEFAULT_POLICY;
+    const functions = new Set((options.functions || []).map(name => String(name).toUpperCase()));
+    const columnNames = new Set((options.columns || []).filter(column => !Number.isInteger(column)).map(normalizeColumnName));
+    const columnIndexes = (options.columns || []).filter(Number.isInteger);
+
+    // With USER_ENTERED a leading ' marks the cell as text and is not stored,
+    // so escaping needs a second one
+    const escapePrefix = raw ? '\'' : '\'\'';
+    const literalPrefix = raw ? '' : '\'';
+
+    let allowedColumns = new Set(columnIndexes);
+
+    const isAllowed = (value, index) => {
+        if (allowedColumns.has(index)) {
+            return true;
+        }
+        if (!value.startsWith('=') || functions.size === 0) {
+            return false;
+        }
+        // A formula without a call (=A1, =Sheet2!A1:Z999) is not whitelisted
+        const called = [...value.matchAll(FUNCTION_CALL)].map(match => match[1].toUpperCase());
+        return called.length > 0 && called.every(name => functions.has(name));
+    };
+
+    const neutralize = (value, index) => {
+        if (mode === 'whitelist' && isAllowed(value, index)) {
+            return value;
+        }
+        guard.neutralized++;
+        return (mode === 'literal' ? literalPrefix : escapePrefix) + value;
+    };
+
+    const guard = {
+        mode,
+        neutralized: 0,
+
+        // Header names of the rows being written, so whitelisted columns can
+        // be given by name
+        setHeaders(headers) {
+            allowedColumns = new Set(columnIndexes);
+            (headers || []).forEach((header, index) => {
+                if (columnNames.has(normalizeColumnName(header))) {
+                    allowedColumns.add(index);
+                }
+            });
+        },
+
+        // Returns the row itself when nothing in it needs neutralizing
+        row(row) {
+            if (mode === 'allow' || !row.some(isFormulaLike)) {
+                return row;
+            }
+            return row.map((value, index) => isFormulaLike(value) ? neutralize(value, index) : value);
+        },
+
+        report() {
+            return {
+                policy: mode,
+                neutralized: guard.neutralized
+            };
+        }
+    };
+
+    return guard;
+}
+
+// The value an escaped cell was written from: '=X read back from a sheet is
+// the incoming =X. Anything else comes back unchanged.
+export function unescapeFormula(value) {
+    return typeof value === 'string' && value.startsWith('\'') && isFormulaLike(value.slice(1))
+        ? value.slice(1)
+        : value;
+}
+
+// Cells Sheets (or Excel, once the data is exported) would read as a formula
+export function isFormulaLike(value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    const trimmed = value.trimStart();
+    if (trimmed.startsWith('=')) {
+        return true;
+    }
+    return OPERATOR_START.test(trimmed) && OPERATOR_FORMULA.test(trimmed.slice(1));
+}
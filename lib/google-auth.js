@@ -0,0 +1,472 @@
+// Server-side Google credentials - an encrypted OAuth refresh token per user
+// (google_connections) and Workspace service accounts per user
+// (google_service_accounts), minted into access tokens on demand so handlers
+// don't need a googleToken from the client
+import { createCipheriv, createDecipheriv, createHash, createSign, randomBytes, timingSafeEqual } from 'crypto';
+import { googleFetch } from './google-client.js';
+
+const GOOGLE_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+
+export const GOOGLE_SCOPES = [
+    'openid',
+    'email',
+    'https://www.googleapis.com/auth/spreadsheets',
+    'https://www.googleapis.com/auth/drive.metadata.readonly'
+];
+
+// Service accounts have no consent screen; userinfo.email lets the token
+// checks in the handlers work the same as for user tokens
+export const SERVICE_ACCOUNT_SCOPES = [
+    'https://www.googleapis.com/auth/userinfo.email',
+    'https://www.googleapis.com/auth/spreadsheets',
+    'https://www.googleapis.com/auth/drive.metadata.readonly'
+];
+
+// Authorization requests have to come back within this long
+export const AUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Minted tokens are reused until this close to expiry
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// user_id (or `sa:<id>` for service accounts) -> { accessToken, expiresAt }
+const accessTokenCache = new Map();
+
+// ===== OAUTH CONNECTIONS =====
+
+// Start a consent flow. The state is random and single-use, stored (hashed)
+// against the user because the callback arrives from Google without an API
+// key. The handler also sets it as a cookie, so only the browser that started
+// the flow can finish it - a forwarded authUrl can't attach someone else's
+// Google account to this user.
+export async function startGoogleAuth(supabase, userId) {
+    const state = randomBytes(32).toString('base64url');
+
+    // Abandoned flows are swept here rather than by a scheduled job
+    await supabase
+        .from('google_auth_states')
+        .delete()
+        .lt('created_at', new Date(Date.now() - AUTH_STATE_MAX_AGE_MS).toISOString());
+
+    const { error } = await supabase
+        .from('google_auth_states')
+        .insert({
+            state_hash: hashState(state),
+            user_id: userId,
+            created_at: new Date().toISOString()
+        });
+
+    if (error) {
+        throw new Error('Failed to start Google authorization: ' + error.message);
+    }
+
+    const params = new URLSearchParams({
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
+        response_type: 'code',
+        scope: GOOGLE_SCOPES.join(' '),
+        access_type: 'offline',
+        // Without consent Google only returns a refresh token the first time
+        prompt: 'consent',
+        include_granted_scopes: 'true',
+        state
+    });
+    return { state, authUrl: `${GOOGLE_AUTH_URL}?${params}` };
+}
+
+// User id for a callback's state, or null if it's unknown, stale, already
+// used, or didn't come with the state cookie of the browser that started it
+export async function consumeAuthState(supabase, state, cookieState) {
+    if (!state || typeof state !== 'string' || typeof cookieState !== 'string') {
+        return null;
+    }
+
+    const stateHash = hashState(state);
+    if (!timingSafeEqual(Buffer.from(stateHash), Buffer.from(hashState(cookieState)))) {
+        return null;
+    }
+
+    // Deleting claims the state, so a replayed callback finds nothing
+    const { data, error } = await supabase
+        .from('google_auth_states')
+        .delete()
+        .eq('state_hash', stateHash)
+        .select('user_id, created_at');
+
+    if (error) {
+        throw new Error('Failed to check authorization state: ' + error.message);
+    }
+
+    const row = data?.[0];
+    if (!row || Date.now() - new Date(row.created_at).getTime() > AUTH_STATE_MAX_AGE_MS) {
+        return null;
+    }
+    return row.user_id;
+}
+
+// Exchange the callback's code and store the connection
+export async function connectGoogleAccount(supabase, userId, code) {
+    const tokens = await requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI
+    });
+
+    if (!tokens.refresh_token) {
+        throw new Error('Google did not return a refresh token');
+    }
+
+    const userInfoResponse = await googleFetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+        headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+    });
+    const userInfo = userInfoResponse.ok ? await userInfoResponse.json() : {};
+
+    const { error } = await supabase
+        .from('google_connections')
+        .upsert({
+            user_id: userId,
+            google_email: userInfo.email || null,
+            scopes: tokens.scope ? tokens.scope.split(' ') : GOOGLE_SCOPES,
+            refresh_token_encrypted: encryptSecret(tokens.refresh_token),
+            connected_at: new Date().toISOString(),
+            last_refreshed_at: new Date().toISOString()
+        }, { onConflict: 'user_id' });
+
+    if (error) {
+        throw new Error('Failed to save Google connection: ' + error.message);
+    }
+
+    cacheAccessToken(userId, tokens);
+    console.log(`🔗 Google account ${userInfo.email || ''} connected for user ${userId}`);
+    return { email: userInfo.email || null };
+}
+
+// Access token for a user's stored connection, refreshed when needed.
+// Returns null when the user hasn't connected Google (or revoked access).
+export async function getGoogleAccessToken(supabase, userId) {
+    const cached = accessTokenCache.get(userId);
+    if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+        return cached.accessToken;
+    }
+
+    const { data: connection } = await supabase
+        .from('google_connections')
+        .select('refresh_token_encrypted')
+        .eq('user_id', userId)
+        .single();
+
+    if (!connection) {
+        return null;
+    }
+
+    let tokens;
+    try {
+        tokens = await requestToken({
+            grant_type: 'refresh_token',
+            refresh_token: decryptSecret(connection.refresh_token_encrypted)
+        });
+    } catch (error) {
+        // invalid_grant: the user revoked access on Google's side
+        if (error.code === 'invalid_grant') {
+            console.log(`⚠️ Google refresh token revoked for user ${userId}, removing connection`);
+            await supabase.from('google_connections').delete().eq('user_id', userId);
+            return null;
+        }
+        throw error;
+    }
+
+    await supabase
+        .from('google_connections')
+        .update({ last_refreshed_at: new Date().toISOString() })
+        .eq('user_id', userId);
+
+    return cacheAccessToken(userId, tokens);
+}
+
+// Token for one request: a service account when one is selected, otherwise
+// the client's googleToken, otherwise the user's connected Google account.
+// Returns null if none applies; throws if the service account doesn't exist.
+export async function googleTokenFor(supabase, userId, { googleToken, serviceAccountId } = {}) {
+    if (serviceAccountId) {
+        const token = await getServiceAccountAccessToken(supabase, userId, serviceAccountId);
+        if (!token) {
+            throw new Error('Service account not found');
+        }
+        return token;
+    }
+    return googleToken || await getGoogleAccessToken(supabase, userId);
+}
+
+// Service accounts are an Enterprise feature. Returns the { status, body } to
+// send when this user's plan can't use serviceAccountId, or null.
+export async function serviceAccountPlanResponse(supabase, userId, serviceAccountId) {
+    if (!serviceAccountId) {
+        return null;
+    }
+    return await servicePlanResponse(supabase, userId);
+}
+
+// The same check for managing service accounts, where there is no id yet
+export async function servicePlanResponse(supabase, userId) {
+    const { data: usage, error } = await supabase
+        .from('user_usage')
+        .select('plan')
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !usage) {
+        return {
+            status: 500,
+            body: { success: false, error: 'Failed to verify user plan' }
+        };
+    }
+    if (usage.plan === 'enterprise') {
+        return null;
+    }
+    return {
+        status: 403,
+        body: {
+            success: false,
+            error: 'Enterprise features required',
+            blockedFeatures: ['Service Account Authentication'],
+            userPlan: usage.plan,
+            upgradeRequired: true,
+            message: 'The following features require an Enterprise plan: Service Account Authentication'
+        }
+    };
+}
+
+// Public details of a user's connection, without any token material
+export async function getGoogleConnection(supabase, userId) {
+    const { data } = await supabase
+        .from('google_connections')
+        .select('google_email, scopes, connected_at, last_refreshed_at')
+        .eq('user_id', userId)
+        .single();
+
+    return data ? {
+        email: data.google_email,
+        scopes: data.scopes,
+        connectedAt: data.connected_at,
+        lastRefreshedAt: data.last_refreshed_at
+    } : null;
+}
+
+// Revoke the refresh token with Google and forget the connection
+export async function revokeGoogleConnection(supabase, userId) {
+    const { data: connection } = await supabase
+        .from('google_connections')
+        .select('refresh_token_encrypted')
+        .eq('user_id', userId)
+        .single();
+
+    if (!connection) {
+        return false;
+    }
+
+    const response = await googleFetch(GOOGLE_REVOKE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token: decryptSecret(connection.refresh_token_encrypted) }).toString()
+    });
+
+    // 400 means Google already considers the token invalid
+    if (!response.ok && response.status !== 400) {
+        throw new Error(`Google revoke failed: ${response.status}`);
+    }
+
+    await supabase.from('google_connections').delete().eq('user_id', userId);
+    accessTokenCache.delete(userId);
+    console.log(`🔌 Google connection revoked for user ${userId}`);
+    return true;
+}
+
+// ===== SERVICE ACCOUNTS =====
+
+// Store a service account key file (the JSON Google issues). `delegatedUser`
+// is the Workspace user to impersonate with domain-wide delegation; without
+// it the service account acts as itself and needs the sheets shared with it.
+export async function saveServiceAccount(supabase, userId, { credentials, name, delegatedUser }) {
+    const key = typeof credentials === 'string' ? JSON.parse(credentials) : credentials;
+    if (!key || key.type !== 'service_account' || !key.client_email || !key.private_key) {
+        throw new Error('credentials must be a service account JSON key');
+    }
+
+    // Mint once up front so bad keys or missing delegation fail here, not mid-upload
+    const tokens = await requestServiceAccountToken(key.client_email, key.private_key, delegatedUser);
+
+    const { data, error } = await supabase
+        .from('google_service_accounts')
+        .insert({
+            user_id: userId,
+            name: name || key.client_email,
+            client_email: key.client_email,
+            private_key_encrypted: encryptSecret(key.private_key),
+            delegated_user: delegatedUser || null,
+            created_at: new Date().toISOString()
+        })
+        .select('id, name, client_email, delegated_user, created_at')
+        .single();
+
+    if (error) {
+        throw new Error('Failed to save service account: ' + error.message);
+    }
+
+    cacheAccessToken(`sa:${data.id}`, tokens);
+    console.log(`🤖 Service account ${key.client_email} added for user ${userId}`);
+    return serviceAccountInfo(data);
+}
+
+export async function listServiceAccounts(supabase, userId) {
+    const { data, error } = await supabase
+        .from('google_service_accounts')
+        .select('id, name, client_email, delegated_user, created_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error('Failed to list service accounts: ' + error.message);
+    }
+    return data.map(serviceAccountInfo);
+}
+
+export async function removeServiceAccount(supabase, userId, serviceAccountId) {
+    const { data } = await supabase
+        .from('google_service_accounts')
+        .delete()
+        .eq('id', serviceAccountId)
+        .eq('user_id', userId)
+        .select('id');
+
+    accessTokenCache.delete(`sa:${serviceAccountId}`);
+    return !!data?.length;
+}
+
+// Access token for one of the user's service accounts via a signed JWT grant,
+// or null if the user has no service account with that id
+export async function getServiceAccountAccessToken(supabase, userId, serviceAccountId) {
+    const cacheKey = `sa:${serviceAccountId}`;
+    const cached = accessTokenCache.get(cacheKey);
+
+    const { data: account } = await supabase
+        .from('google_service_accounts')
+        .select('id, client_email, private_key_encrypted, delegated_user')
+        .eq('id', serviceAccountId)
+        .eq('user_id', userId)
+        .single();
+
+    if (!account) {
+        return null;
+    }
+
+    // Checked after the ownership lookup so a cached token never leaks to another user
+    if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+        return cached.accessToken;
+    }
+
+    const tokens = await requestServiceAccountToken(
+        account.client_email,
+        decryptSecret(account.private_key_encrypted),
+        account.delegated_user
+    );
+    return cacheAccessToken(cacheKey, tokens);
+}
+
+function requestServiceAccountToken(clientEmail, privateKey, delegatedUser) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = {
+        iss: clientEmail,
+        scope: SERVICE_ACCOUNT_SCOPES.join(' '),
+        aud: GOOGLE_TOKEN_URL,
+        iat: issuedAt,
+        exp: issuedAt + 3600
+    };
+    if (delegatedUser) {
+        claims.sub = delegatedUser;
+    }
+
+    const encode = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+
+    return requestToken({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${unsigned}.${signature}`
+    }, false);
+}
+
+function serviceAccountInfo(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        clientEmail: row.client_email,
+        delegatedUser: row.delegated_user,
+        createdAt: row.created_at
+    };
+}
+
+// ===== ENCRYPTION =====
+
+// AES-256-GCM with GOOGLE_TOKEN_ENCRYPTION_KEY (32 bytes, base64)
+export function encryptSecret(plaintext) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+export function decryptSecret(payload) {
+    const [version, iv, tag, encrypted] = String(payload).split(':');
+    if (version !== 'v1') {
+        throw new Error('Unsupported secret format');
+    }
+    const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function encryptionKey() {
+    const key = Buffer.from(process.env.GOOGLE_TOKEN_ENCRYPTION_KEY || '', 'base64');
+    if (key.length !== 32) {
+        throw new Error('GOOGLE_TOKEN_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+    }
+    return key;
+}
+
+function hashState(state) {
+    return createHash('sha256').update(state).digest('hex');
+}
+
+// JWT grants authenticate with the assertion, not the OAuth client
+async function requestToken(params, withClient = true) {
+    const client = withClient ? {
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET
+    } : {};
+
+    const response = await googleFetch(GOOGLE_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ ...client, ...params }).toString(),
+        // Minting from a refresh token or JWT can be repeated; an
+        // authorization code can only be exchanged once
+        retry: params.grant_type !== 'authorization_code'
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(`Google token request failed: ${data.error_description || data.error || response.status}`);
+        error.code = data.error;
+        throw error;
+    }
+    return data;
+}
+
+function cacheAccessToken(cacheKey, tokens) {
+    accessTokenCache.set(cacheKey, {
+        accessToken: tokens.access_token,
+        expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000
+    });
+    return tokens.access_token;
+}
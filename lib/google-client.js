@@ -0,0 +1,199 @@
+// Shared Google API client - every Sheets and Drive call goes through
+// googleFetch so retries, quota pacing and error mapping behave the same in
+// every handler
+import { createHash } from 'crypto';
+
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 32000;
+
+// Sheets allows 60 requests per minute per user. Pacing is per serverless
+// instance, so it keeps a single upload inside the quota rather than
+// guaranteeing it across concurrent requests.
+const REQUESTS_PER_MINUTE = Number(process.env.GOOGLE_REQUESTS_PER_MINUTE) || 60;
+const PACING_WINDOW_MS = 60 * 1000;
+
+// New sheets and tabs get Google's default grid unless the caller asks for
+// one that fits the data it's about to write
+const DEFAULT_GRID_ROWS = 1000;
+const DEFAULT_GRID_COLUMNS = 26;
+
+// Google Sheets caps a spreadsheet at this many cells
+export const SHEETS_CELL_LIMIT = 10000000;
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Calls that are safe to repeat after a 5xx or network error, when Google may
+// already have applied them. Other POSTs - appends, spreadsheet creation,
+// structural batchUpdates - only retry when rejected for rate limits.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+const IDEMPOTENT_POST_PATH = /(:clear|:batchClear|:batchGet|\/values:batchUpdate)$/;
+
+// Hash of the Authorization header -> timestamps of that user's requests in
+// the window. Hashed so live tokens aren't kept around in memory.
+const recentRequests = new Map();
+
+// Drop-in replacement for fetch() for Google APIs. Retries 429 (and 403
+// rate-limit errors) with exponential backoff and jitter, honouring
+// Retry-After, and returns the final Response like fetch would. 5xx and
+// network errors are only retried for idempotent calls, or when the caller
+// passes `retry: true`.
+export async function googleFetch(url, { retry, ...options } = {}) {
+    const authorization = options.headers?.Authorization || options.headers?.authorization;
+    const userKey = authorization ? createHash('sha256').update(authorization).digest('hex') : null;
+    const idempotent = retry ?? isIdempotent(url, options.method);
+
+    for (let attempt = 0; ; attempt++) {
+        await paceRequest(userKey);
+
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            // Network errors are retried like a 503
+            if (!idempotent || attempt >= MAX_RETRIES) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt);
+            console.log(`🔁 Google API network error (${error.message}), retrying in ${delay}ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        if (response.ok || attempt >= MAX_RETRIES || !(await isRetryable(response, idempotent))) {
+            return response;
+        }
+
+        const delay = retryAfterDelay(response) ?? backoffDelay(attempt);
+        console.log(`🔁 Google API ${response.status}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+        await sleep(delay);
+    }
+}
+
+// Map Google's auth and not-found statuses onto the responses handlers
+// already send. Returns { status, body } or null for other errors.
+export function googleErrorResponse(status, notFoundMessage = 'Spreadsheet not found or no access') {
+    if (status === 401 || status === 403) {
+        return {
+            status: 401,
+            body: {
+                success: false,
+                error: 'Google authentication expired',
+                needsReauth: true
+            }
+        };
+    }
+
+    if (status === 404) {
+        return {
+            status: 404,
+            body: {
+                success: false,
+                error: notFoundMessage,
+                notFound: true
+            }
+        };
+    }
+
+    return null;
+}
+
+// Grid for a new sheet or tab: the requested size, or Google's default.
+// Returns { gridProperties } or { error } when it's over the cell limit.
+export function gridPropertiesFor(rowCount, columnCount) {
+    const rows = Number.isInteger(rowCount) && rowCount > 0 ? rowCount : DEFAULT_GRID_ROWS;
+    const columns = Number.isInteger(columnCount) && columnCount > 0 ? columnCount : DEFAULT_GRID_COLUMNS;
+
+    if (rows * columns > SHEETS_CELL_LIMIT) {
+        return {
+            error: `${rows} rows x ${columns} columns exceeds the Google Sheets limit of ${SHEETS_CELL_LIMIT.toLocaleString()} cells`
+        };
+    }
+
+    return {
+        gridProperties: { rowCount: rows, columnCount: columns }
+    };
+}
+
+function isIdempotent(url, method = 'GET') {
+    const upper = method.toUpperCase();
+    if (IDEMPOTENT_METHODS.has(upper)) {
+        return true;
+    }
+    return upper === 'POST' && IDEMPOTENT_POST_PATH.test(new URL(url).pathname);
+}
+
+// 429 and rate-limit 403s mean the request was refused, so any call can retry
+async function isRetryable(response, idempotent) {
+    if (response.status === 429) {
+        return true;
+    }
+    if (idempotent && RETRYABLE_STATUSES.has(response.status)) {
+        return true;
+    }
+    // Some Google APIs report quota errors as 403 rather than 429
+    if (response.status === 403) {
+        const body = await response.clone().text().catch(() => '');
+        return /rateLimitExceeded|RATE_LIMIT_EXCEEDED|quota/i.test(body);
+    }
+    return false;
+}
+
+// Equal jitter: half the exponential cap plus a random share of the rest, so
+// retries spread out but never come back immediately
+function backoffDelay(attempt) {
+    const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterDelay(response) {
+    const header = response.headers?.get?.('retry-after');
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    return Number.isFinite(delay) ? Math.min(Math.max(delay, 0), MAX_DELAY_MS) : null;
+}
+
+// Wait until this user has room in the per-minute window
+async function paceRequest(userKey) {
+    if (!userKey) {
+        return;
+    }
+
+    for (;;) {
+        const now = Date.now();
+        const timestamps = (recentRequests.get(userKey) || []).filter(time => now - time < PACING_WINDOW_MS);
+
+        if (timestamps.length < REQUESTS_PER_MINUTE) {
+            timestamps.push(now);
+            recentRequests.set(userKey, timestamps);
+            pruneIdleUsers(now);
+            return;
+        }
+
+        recentRequests.set(userKey, timestamps);
+        const wait = PACING_WINDOW_MS - (now - timestamps[0]) + 10;
+        console.log(`⏳ Pacing Google API requests, waiting ${wait}ms`);
+        await sleep(wait);
+    }
+}
+
+// Forget users with no requests in the window so the map stays small
+function pruneIdleUsers(now) {
+    if (recentRequests.size < 1000) {
+        return;
+    }
+    for (const [key, timestamps] of recentRequests) {
+        if (now - timestamps[timestamps.length - 1] >= PACING_WINDOW_MS) {
+            recentRequests.delete(key);
+        }
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,199 @@
+// JSON and NDJSON input - records are flattened into rows under one header:
+// nested objects become dotted column names (customer.address.city) and the
+// header is the union of every record's keys in the order they first appear.
+// A record whose dotted key ("a.b") collides with a nested one is rejected.
+//
+// Arrays are handled by the `arrays` strategy:
+//   join   - scalars joined with arraySeparator; objects inside as JSON text
+//   index  - one column per position (tags.0, tags.1, items.0.sku)
+//   expand - one row per element, the record's other fields repeated; more
+//            than one array gives every combination
+//   json   - the array as JSON text in a single column
+export const JSON_FORMATS = ['json', 'ndjson'];
+export const JSON_ARRAY_STRATEGIES = ['join', 'index', 'expand', 'json'];
+
+const DEFAULT_OPTIONS = {
+    arrays: 'join',
+    arraySeparator: '; ',
+    recordsPath: null
+};
+
+// Rows one record may expand into, so a few long arrays can't multiply into
+// millions of rows
+const MAX_EXPANDED_ROWS = 10000;
+
+// Returns an error message, or null when the options are usable
+function jsonOptionsError(options) {
+    if (options === undefined || options === null) {
+        return null;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return 'processingOptions.json must be an object';
+    }
+    if (options.arrays !== undefined && !JSON_ARRAY_STRATEGIES.includes(options.arrays)) {
+        return `Invalid arrays strategy: ${options.arrays}. Use ${JSON_ARRAY_STRATEGIES.join(', ')}`;
+    }
+    if (options.arraySeparator !== undefined && typeof options.arraySeparator !== 'string') {
+        return 'json.arraySeparator must be a string';
+    }
+    if (options.recordsPath !== undefined && options.recordsPath !== null && typeof options.recordsPath !== 'string') {
+        return 'json.recordsPath must be a dotted path such as "data.items"';
+    }
+    return null;
+}
+
+// Parse JSON or NDJSON text into { rows, recordCount } where rows[0] is the
+// header. Throws with the line (NDJSON) or position of invalid input.
+export function jsonToRows(text, format, options = {}) {
+    const error = jsonOptionsError(options);
+    if (error) {
+        throw new Error(error);
+    }
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const records = format === 'ndjson' ? parseNDJSON(text) : selectRecords(parseJSON(text), settings.recordsPath);
+
+    const columns = new Set();
+    const flatRows = [];
+    for (const record of records) {
+        for (const flat of flattenRecord(record, settings)) {
+            for (const key of flat.keys()) {
+                columns.add(key);
+            }
+            flatRows.push(flat);
+        }
+    }
+
+    const header = [...columns];
+    return {
+        rows: [header, ...flatRows.map(flat => header.map(key => flat.get(key) ?? ''))],
+        recordCount: records.length
+    };
+}
+
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid JSON: ' + error.message);
+    }
+}
+
+function parseNDJSON(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            throw new Error(`Invalid NDJSON on line ${index + 1}: ${error.message}`);
+        }
+    });
+    return records;
+}
+
+// The record list: the top-level array, the array at recordsPath, or a lone
+// object as a single record
+function selectRecords(data, recordsPath) {
+    let records = data;
+    if (recordsPath) {
+        for (const key of recordsPath.split('.')) {
+            records = records !== null && typeof records === 'object' ? records[key] : undefined;
+        }
+        if (records === undefined) {
+            throw new Error(`json.recordsPath not found: ${recordsPath}`);
+        }
+    }
+    return Array.isArray(records) ? records : [records];
+}
+
+// One record as Map(column -> cell) - several of them with expand. Scalar
+// records (a list of numbers, say) go in a "value" column.
+function flattenRecord(record, settings) {
+    const isObject = record !== null && typeof record === 'object' && !Array.isArray(record);
+    let rows = [new Map()];
+    const expansions = [];
+
+    const visit = (value, path) => {
+        if (Array.isArray(value)) {
+            switch (settings.arrays) {
+                case 'index':
+                    if (value.length === 0) {
+                        setCell(path, '');
+                    }
+                    value.forEach((item, index) => visit(item, join(path, String(index))));
+                    return;
+                case 'expand':
+                    expansions.push({ path, items: value });
+                    return;
+                case 'json':
+                    setCell(path, JSON.stringify(value));
+                    return;
+                default:
+                    setCell(path, value.map(item => item !== null && typeof item === 'object' ? JSON.stringify(item) : cellText(item))
+                        .join(settings.arraySeparator));
+                    return;
+            }
+        }
+        if (value !== null && typeof value === 'object') {
+            const entries = Object.entries(value);
+            // An empty record gives a blank row rather than a "value" column
+            if (entries.length === 0 && path) {
+                setCell(path, '');
+            }
+            entries.forEach(([key, child]) => visit(child, join(path, key)));
+            return;
+        }
+        setCell(path, cellText(value));
+    };
+
+    const setCell = (path, text) => rows.forEach(row => setColumn(row, path || 'value', text));
+
+    visit(record, isObject ? '' : null);
+
+    // Each expanded array multiplies the rows built so far by its elements,
+    // which are flattened like records of their own under the array's path
+    for (const { path, items } of expansions) {
+        if (items.length === 0) {
+            rows.forEach(row => setColumn(row, path || 'value', ''));
+            continue;
+        }
+        const expanded = [];
+        for (const row of rows) {
+            for (const item of items) {
+                const isScalar = item === null || typeof item !== 'object' || Array.isArray(item);
+                for (const itemRow of flattenRecord(item, settings)) {
+                    const combined = new Map(row);
+                    for (const [key, text] of itemRow) {
+                        setColumn(combined, isScalar && key === 'value' ? path || 'value' : join(path, key), text);
+                    }
+                    expanded.push(combined);
+                    if (expanded.length > MAX_EXPANDED_ROWS) {
+                        throw new Error(`A record expands into more than ${MAX_EXPANDED_ROWS} rows; use arrays "join" or "index" instead`);
+                    }
+                }
+            }
+        }
+        rows = expanded;
+    }
+
+    return rows;
+}
+
+// A key with a dot in it ("a.b") names the same column as a nested key
+// (a -> b); refuse the record rather than silently keep one of the values
+function setColumn(row, column, text) {
+    if (row.has(column)) {
+        throw new Error(`Column "${column}" comes from two keys in one record - a key containing "." collides with a nested key`);
+    }
+    row.set(column, text);
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function cellText(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
@@ -0,0 +1,625 @@
+// Type-aware formatting for uploaded tabs - builds the batchUpdate requests
+// from each column's inferred type and the caller's format options, which
+// can be saved per user as named presets
+import { createHash } from 'crypto';
+import { columnLetter, normalizeColumnName } from './columns.js';
+
+export const FORMAT_COLUMN_TYPES = ['integer', 'number', 'currency', 'percent', 'date', 'datetime', 'text'];
+
+// What autoFormat: true turns on. Filter and banding are opt-in.
+const DEFAULT_FORMAT_OPTIONS = {
+    header: true,
+    freezeHeader: true,
+    filter: false,
+    banding: false,
+    numberFormats: true,
+    integerPattern: '#,##0',
+    numberPattern: '#,##0.00',
+    percentPattern: '0.00%',
+    currencyPattern: null,
+    datePattern: 'yyyy-mm-dd',
+    dateTimePattern: 'yyyy-mm-dd hh:mm:ss',
+    // Text columns with values longer than this many characters wrap
+    wrapLongText: 50,
+    maxColumnWidth: 300,
+    // { 'Column name' or index: one of FORMAT_COLUMN_TYPES } beats inference
+    columnTypes: {}
+};
+
+const BOOLEAN_OPTIONS = ['header', 'freezeHeader', 'filter', 'banding', 'numberFormats'];
+const PATTERN_OPTIONS = ['integerPattern', 'numberPattern', 'percentPattern', 'currencyPattern', 'datePattern', 'dateTimePattern'];
+
+// Rough pixel width of a character in the default font, for width caps -
+// autoResizeDimensions doesn't report the widths it picks
+const CHAR_WIDTH_PX = 7;
+const CELL_PADDING_PX = 16;
+
+const HEADER_COLOR = { red: 0.9, green: 0.9, blue: 0.9 };
+const BAND_COLORS = {
+    headerColor: HEADER_COLOR,
+    firstBandColor: { red: 1, green: 1, blue: 1 },
+    secondBandColor: { red: 0.95, green: 0.96, blue: 0.98 }
+};
+
+// autoFormat is true, false or an options object; a preset's options sit
+// underneath it. Returns null when formatting is off.
+export function resolveFormatOptions(autoFormat, presetOptions = null) {
+    if (autoFormat === false || (!autoFormat && !presetOptions)) {
+        return null;
+    }
+
+    const overrides = typeof autoFormat === 'object' && autoFormat !== null ? autoFormat : {};
+    return {
+        ...DEFAULT_FORMAT_OPTIONS,
+        ...presetOptions,
+        ...overrides,
+        columnTypes: {
+            ...presetOptions?.columnTypes,
+            ...overrides.columnTypes
+        }
+    };
+}
+
+// Returns an error message, or null when the options are usable
+export function formatOptionsError(options) {
+    if (options === undefined || options === null || typeof options === 'boolean') {
+        return null;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return 'autoFormat must be true, false or an options object';
+    }
+
+    for (const name of BOOLEAN_OPTIONS) {
+        if (options[name] !== undefined && typeof options[name] !== 'boolean') {
+            return `autoFormat.${name} must be true or false`;
+        }
+    }
+    for (const name of PATTERN_OPTIONS) {
+        if (options[name] !== undefined && options[name] !== null && typeof options[name] !== 'string') {
+            return `autoFormat.${name} must be a number format pattern`;
+        }
+    }
+    for (const name of ['wrapLongText', 'maxColumnWidth']) {
+        const value = options[name];
+        if (value !== undefined && value !== false && !(Number.isInteger(value) && value > 0)) {
+            return `autoFormat.${name} must be a positive integer or false`;
+        }
+    }
+    if (options.columnTypes !== undefined) {
+        if (typeof options.columnTypes !== 'object' || options.columnTypes === null || Array.isArray(options.columnTypes)) {
+            return 'autoFormat.columnTypes must map column names to types';
+        }
+        const invalid = Object.entries(options.columnTypes).filter(([, type]) => !FORMAT_COLUMN_TYPES.includes(type));
+        if (invalid.length > 0) {
+            return `Invalid column types: ${invalid.map(([column, type]) => `${column}: ${type}`).join(', ')}. Use ${FORMAT_COLUMN_TYPES.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// batchUpdate requests for one tab. columns describe the written columns in
+// order: { name, type, maxLength, currencySymbol?, pattern? }. The header is
+// row 1. context: { banded } when the tab already has alternating colors
+// (addBanding fails on overlap), { rowCount } so a one-row tab isn't frozen.
+export function formattingRequests(sheetId, columns, options, context = {}) {
+    const requests = [];
+    const columnCount = columns.length;
+    const columnTypes = resolveColumnTypes(columns, options.columnTypes);
+
+    if (options.header && columnCount > 0) {
+        requests.push({
+            repeatCell: {
+                range: {
+                    sheetId: sheetId,
+                    startRowIndex: 0,
+                    endRowIndex: 1,
+                    startColumnIndex: 0,
+                    endColumnIndex: columnCount
+                },
+                cell: {
+                    userEnteredFormat: {
+                        backgroundColor: HEADER_COLOR,
+                        textFormat: { bold: true },
+                        horizontalAlignment: 'CENTER'
+                    }
+                },
+                fields: 'userEnteredFormat(backgroundColor,textFormat,horizontalAlignment)'
+            }
+        });
+    }
+
+    // Data rows only, and open-ended so rows appended later pick it up
+    const dataColumn = (index) => ({
+        sheetId: sheetId,
+        startRowIndex: 1,
+        startColumnIndex: index,
+        endColumnIndex: index + 1
+    });
+
+    const wrapped = new Set();
+    columns.forEach((column, index) => {
+        const numberFormat = options.numberFormats ? numberFormatFor(columnTypes[index], column, options) : null;
+        if (numberFormat) {
+            requests.push({
+                repeatCell: {
+                    range: dataColumn(index),
+                    cell: { userEnteredFormat: { numberFormat } },
+                    fields: 'userEnteredFormat.numberFormat'
+                }
+            });
+        } else if (options.wrapLongText && (column.maxLength || 0) > options.wrapLongText) {
+            wrapped.add(index);
+            requests.push({
+                repeatCell: {
+                    range: dataColumn(index),
+                    cell: { userEnteredFormat: { wrapStrategy: 'WRAP' } },
+                    fields: 'userEnteredFormat.wrapStrategy'
+                }
+            });
+        }
+    });
+
+    requests.push({
+        autoResizeDimensions: {
+            dimensions: {
+                sheetId: sheetId,
+                dimension: 'COLUMNS',
+                startIndex: 0,
+                endIndex: columnCount || 10
+            }
+        }
+    });
+
+    // Runs after the auto-resize in the same batch. Wrapped columns always
+    // get the cap; others when their longest value would run past it.
+    if (options.maxColumnWidth) {
+        columns.forEach((column, index) => {
+            const estimatedWidth = (column.maxLength || 0) * CHAR_WIDTH_PX + CELL_PADDING_PX;
+            if (wrapped.has(index) || estimatedWidth > options.maxColumnWidth) {
+                requests.push({
+                    updateDimensionProperties: {
+                        range: {
+                            sheetId: sheetId,
+                            dimension: 'COLUMNS',
+                            startIndex: index,
+                            endIndex: index + 1
+                        },
+                        properties: { pixelSize: options.maxColumnWidth },
+                        fields: 'pixelSize'
+                    }
+                });
+            }
+        });
+    }
+
+    if (options.freezeHeader && !(context.rowCount <= 1)) {
+        requests.push({
+            updateSheetProperties: {
+                properties: {
+                    sheetId: sheetId,
+                    gridProperties: { frozenRowCount: 1 }
+                },
+                fields: 'gridProperties.frozenRowCount'
+            }
+        });
+    }
+
+    const tableRange = {
+        sheetId: sheetId,
+        startRowIndex: 0,
+        startColumnIndex: 0,
+        endColumnIndex: columnCount
+    };
+
+    if (options.filter && columnCount > 0) {
+        // Replaces any existing basic filter, so re-uploads don't fail
+        requests.push({
+            setBasicFilter: {
+                filter: { range: tableRange }
+            }
+        });
+    }
+
+    if (options.banding && columnCount > 0 && !context.banded) {
+        requests.push({
+            addBanding: {
+                bandedRange: {
+                    range: tableRange,
+                    rowProperties: BAND_COLORS
+                }
+            }
+        });
+    }
+
+    return requests;
+}
+
+// Inferred types with the caller's overrides applied, by header name or index
+function resolveColumnTypes(columns, overrides = {}) {
+    const byName = new Map(Object.entries(overrides).map(([column, type]) => [normalizeColumnName(column), type]));
+    return columns.map((column, index) => overrides[index] || byName.get(normalizeColumnName(column.name)) || column.type);
+}
+
+function numberFormatFor(type, column, options) {
+    switch (type) {
+        case 'integer':
+            return { type: 'NUMBER', pattern: options.integerPattern };
+        case 'number':
+            return { type: 'NUMBER', pattern: options.numberPattern };
+        case 'percent':
+            return { type: 'PERCENT', pattern: options.percentPattern };
+        case 'currency':
+            return { type: 'CURRENCY', pattern: options.currencyPattern || `"${column.currencySymbol || '$'}"#,##0.00` };
+        case 'date':
+            return { type: 'DATE', pattern: column.pattern || options.datePattern };
+        case 'datetime':
+            return { type: 'DATE_TIME', pattern: column.pattern || options.dateTimePattern };
+        default:
+            return null;
+    }
+}
+
+// ===== CONDITIONAL FORMATS =====
+
+// Rules as sent in uploadOptions.conditionalFormats, e.g.
+//   { column: 'Status', type: 'equals', value: 'Overdue', wholeRow: true }
+//   { column: 'Amount', type: 'negative' }
+//   { column: 'Score', type: 'colorScale', minColor: '#f8696b', maxColor: '#63be7b' }
+export const CONDITIONAL_FORMAT_TYPES = [
+    'equals', 'notEquals', 'contains', 'greaterThan', 'lessThan', 'between',
+    'blank', 'notBlank', 'negative', 'formula', 'colorScale'
+];
+
+const VALUE_TYPES = ['equals', 'notEquals', 'contains', 'greaterThan', 'lessThan'];
+const NUMERIC_TYPES = ['greaterThan', 'lessThan'];
+const HEX_COLOR = /^#?[0-9a-f]{6}$/i;
+
+const DEFAULT_RULE_FORMAT = { backgroundColor: '#f4cccc' };
+const NEGATIVE_RULE_FORMAT = { textColor: '#cc0000' };
+const DEFAULT_SCALE = { minColor: '#ffffff', maxColor: '#57bb8a' };
+
+// Returns an error message, or null when the rules are usable. Columns are
+// checked against the tab's header row when the rules are applied.
+export function conditionalFormatsError(rules) {
+    if (rules === undefined || rules === null) {
+        return null;
+    }
+    if (!Array.isArray(rules)) {
+        return 'conditionalFormats must be an array of rules';
+    }
+
+    for (const [index, rule] of rules.entries()) {
+        const label = `conditionalFormats[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            return `${label} must be an object`;
+        }
+        if (rule.column === undefined || rule.column === '') {
+            return `${label}: column is required`;
+        }
+        if (!CONDITIONAL_FORMAT_TYPES.includes(rule.type)) {
+            return `${label}: invalid type ${rule.type}. Use ${CONDITIONAL_FORMAT_TYPES.join(', ')}`;
+        }
+        if (VALUE_TYPES.includes(rule.type) && (rule.value === undefined || rule.value === null || rule.value === '')) {
+            return `${label}: ${rule.type} needs a value`;
+        }
+        if (NUMERIC_TYPES.includes(rule.type) && !Number.isFinite(Number(rule.value))) {
+            return `${label}: ${rule.type} needs a numeric value`;
+        }
+        if (rule.type === 'between' && !(Number.isFinite(Number(rule.min)) && Number.isFinite(Number(rule.max)))) {
+            return `${label}: between needs numeric min and max`;
+        }
+        if (rule.type === 'formula' && !(typeof rule.formula === 'string' && rule.formula.startsWith('='))) {
+            return `${label}: formula must start with =`;
+        }
+        const colors = [rule.minColor, rule.midColor, rule.maxColor, rule.format?.backgroundColor, rule.format?.textColor];
+        if (colors.some(color => color !== undefined && !HEX_COLOR.test(color))) {
+            return `${label}: colors must be hex like #ff0000`;
+        }
+    }
+    return null;
+}
+
+// batchUpdate requests that swap the rules a previous upload added to this
+// tab for the new ones. Sheets keeps no owner on a rule, so a fingerprint of
+// each rule we add is stored in the tab's developer metadata under
+// metadataKey; rules matching one are ours to replace, anything else
+// (including our rules edited by hand) is left alone.
+// sheet: the tab from spreadsheets.get with conditionalFormats and
+// developerMetadata. Returns { requests, added, replaced } or { error }.
+export function conditionalFormatRequests(sheet, headers, rules, metadataKey) {
+    const sheetId = sheet.properties.sheetId;
+
+    const newRules = [];
+    for (const rule of rules) {
+        const built = buildConditionalRule(rule, headers, sheetId);
+        if (built.error) {
+            return { error: built.error };
+        }
+        newRules.push(built.rule);
+    }
+
+    const metadata = (sheet.developerMetadata || []).find(entry => entry.metadataKey === metadataKey);
+    const previous = new Map();
+    for (const fingerprint of parseFingerprints(metadata?.metadataValue)) {
+        previous.set(fingerprint, (previous.get(fingerprint) || 0) + 1);
+    }
+
+    const ours = [];
+    (sheet.conditionalFormats || []).forEach((rule, index) => {
+        const fingerprint = ruleFingerprint(rule);
+        if (previous.get(fingerprint) > 0) {
+            previous.set(fingerprint, previous.get(fingerprint) - 1);
+            ours.push(index);
+        }
+    });
+
+    const requests = [];
+
+    // Bottom-up so the remaining indexes stay valid
+    for (const index of ours.reverse()) {
+        requests.push({ deleteConditionalFormatRule: { sheetId, index } });
+    }
+
+    // Ours go first, ahead of rules added by hand
+    newRules.forEach((rule, index) => {
+        requests.push({ addConditionalFormatRule: { rule, index } });
+    });
+
+    const metadataValue = JSON.stringify(newRules.map(ruleFingerprint));
+    if (metadata) {
+        requests.push({
+            updateDeveloperMetadata: {
+                dataFilters: [{ developerMetadataLookup: { metadataId: metadata.metadataId } }],
+                developerMetadata: { metadataValue },
+                fields: 'metadataValue'
+            }
+        });
+    } else if (newRules.length > 0) {
+        requests.push({
+            createDeveloperMetadata: {
+                developerMetadata: {
+                    metadataKey,
+                    metadataValue,
+                    location: { sheetId },
+                    visibility: 'DOCUMENT'
+                }
+            }
+        });
+    }
+
+    return {
+        requests,
+        added: newRules.length,
+        replaced: ours.length
+    };
+}
+
+function buildConditionalRule(rule, headers, sheetId) {
+    const index = Number.isInteger(rule.column)
+        ? rule.column
+        : headers.findIndex(header => normalizeColumnName(header) === normalizeColumnName(rule.column));
+    if (index < 0) {
+        return { error: `Conditional format column not found: ${rule.column}` };
+    }
+
+    // Data rows, open-ended so rows appended later are covered
+    const columnRange = { sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 };
+
+    if (rule.type === 'colorScale') {
+        const gradientRule = {
+            minpoint: { color: toColor(rule.minColor || DEFAULT_SCALE.minColor), type: 'MIN' },
+            maxpoint: { color: toColor(rule.maxColor || DEFAULT_SCALE.maxColor), type: 'MAX' }
+        };
+        if (rule.midColor) {
+            gradientRule.midpoint = { color: toColor(rule.midColor), type: 'PERCENTILE', value: '50' };
+        }
+        return { rule: { ranges: [columnRange], gradientRule } };
+    }
+
+    const range = rule.wholeRow
+        ? { sheetId, startRowIndex: 1, startColumnIndex: 0, endColumnIndex: Math.max(headers.length, index + 1) }
+        : columnRange;
+
+    return {
+        rule: {
+            ranges: [range],
+            booleanRule: {
+                condition: rule.wholeRow ? rowCondition(rule, `$${columnLetter(index + 1)}2`) : cellCondition(rule, `${columnLetter(index + 1)}2`),
+                format: cellFormat(rule.format || (rule.type === 'negative' ? NEGATIVE_RULE_FORMAT : DEFAULT_RULE_FORMAT))
+            }
+        }
+    };
+}
+
+// Built-in conditions, so the rules read naturally in the Sheets sidebar.
+// cell is the range's first data cell, which custom formulas are relative to.
+function cellCondition(rule, cell) {
+    const values = (...items) => items.map(item => ({ userEnteredValue: String(item) }));
+    const numeric = Number.isFinite(Number(rule.value)) && String(rule.value).trim() !== '';
+
+    switch (rule.type) {
+        case 'equals':
+            return { type: numeric ? 'NUMBER_EQ' : 'TEXT_EQ', values: values(rule.value) };
+        case 'notEquals':
+            return numeric
+                ? { type: 'NUMBER_NOT_EQ', values: values(rule.value) }
+                : { type: 'CUSTOM_FORMULA', values: values(`=${cell}<>${formulaLiteral(rule.value)}`) };
+        case 'contains':
+            return { type: 'TEXT_CONTAINS', values: values(rule.value) };
+        case 'greaterThan':
+            return { type: 'NUMBER_GREATER', values: values(rule.value) };
+        case 'lessThan':
+            return { type: 'NUMBER_LESS', values: values(rule.value) };
+        case 'between':
+            return { type: 'NUMBER_BETWEEN', values: values(rule.min, rule.max) };
+        case 'blank':
+            return { type: 'BLANK' };
+        case 'notBlank':
+            return { type: 'NOT_BLANK' };
+        case 'negative':
+            return { type: 'NUMBER_LESS', values: values(0) };
+        default:
+            return { type: 'CUSTOM_FORMULA', values: values(rule.formula) };
+    }
+}
+
+// Whole-row rules test one column from every cell of the row, which only a
+// custom formula with an absolute column ($C2) can do
+function rowCondition(rule, cell) {
+    const literal = formulaLiteral(rule.value);
+    const formulas = {
+        equals: `=${cell}=${literal}`,
+        notEquals: `=${cell}<>${literal}`,
+        contains: `=ISNUMBER(SEARCH(${literal},${cell}))`,
+        greaterThan: `=${cell}>${Number(rule.value)}`,
+        lessThan: `=${cell}<${Number(rule.value)}`,
+        between: `=AND(ISNUMBER(${cell}),${cell}>=${Number(rule.min)},${cell}<=${Number(rule.max)})`,
+        blank: `=ISBLANK(${cell})`,
+        notBlank: `=NOT(ISBLANK(${cell}))`,
+        negative: `=AND(ISNUMBER(${cell}),${cell}<0)`,
+        formula: rule.formula
+    };
+    return { type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: formulas[rule.type] }] };
+}
+
+function formulaLiteral(value) {
+    const text = String(value ?? '');
+    return Number.isFinite(Number(text)) && text.trim() !== '' ? text : `"${text.replace(/"/g, '""')}"`;
+}
+
+function cellFormat(format) {
+    const textFormat = {};
+    if (format.textColor) {
+        textFormat.foregroundColor = toColor(format.textColor);
+    }
+    for (const style of ['bold', 'italic', 'strikethrough']) {
+        if (format[style] !== undefined) {
+            textFormat[style] = Boolean(format[style]);
+        }
+    }
+
+    const result = {};
+    if (format.backgroundColor) {
+        result.backgroundColor = toColor(format.backgroundColor);
+    }
+    if (Object.keys(textFormat).length > 0) {
+        result.textFormat = textFormat;
+    }
+    return result;
+}
+
+function toColor(hex) {
+    const value = hex.replace('#', '');
+    return {
+        red: parseInt(value.slice(0, 2), 16) / 255,
+        green: parseInt(value.slice(2, 4), 16) / 255,
+        blue: parseInt(value.slice(4, 6), 16) / 255
+    };
+}
+
+// Identify a rule by what Sheets echoes back unchanged: its ranges and its
+// condition (or gradient point types) - not colors, which come back reshaped
+function ruleFingerprint(rule) {
+    const ranges = (rule.ranges || []).map(range => [
+        range.startRowIndex || 0,
+        range.endRowIndex ?? null,
+        range.startColumnIndex || 0,
+        range.endColumnIndex ?? null
+    ]);
+    const condition = rule.booleanRule
+        ? [rule.booleanRule.condition?.type, (rule.booleanRule.condition?.values || []).map(value => value.userEnteredValue)]
+        : ['GRADIENT', ['minpoint', 'midpoint', 'maxpoint'].map(point => rule.gradientRule?.[point]?.type || null)];
+    return createHash('sha1').update(JSON.stringify([ranges, condition])).digest('hex');
+}
+
+function parseFingerprints(value) {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// ===== FORMAT PRESETS =====
+
+// Presets are stored by name per user; saving an existing name replaces it
+export async function saveFormatPreset(supabase, userId, name, options) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Preset name is required');
+    }
+    if (!options || typeof options !== 'object') {
+        throw new Error('Preset options are required');
+    }
+    const optionsError = formatOptionsError(options);
+    if (optionsError) {
+        throw new Error(optionsError);
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('format_presets')
+        .upsert({
+            user_id: userId,
+            name: name.trim(),
+            options,
+            updated_at: now
+        }, { onConflict: 'user_id,name' })
+        .select('name, options, created_at, updated_at')
+        .single();
+
+    if (error) {
+        throw new Error('Failed to save format preset: ' + error.message);
+    }
+    return data;
+}
+
+export async function listFormatPresets(supabase, userId) {
+    const { data, error } = await supabase
+        .from('format_presets')
+        .select('name, options, created_at, updated_at')
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+    if (error) {
+        throw new Error('Failed to list format presets: ' + error.message);
+    }
+    return data;
+}
+
+export async function deleteFormatPreset(supabase, userId, name) {
+    const { data } = await supabase
+        .from('format_presets')
+        .delete()
+        .eq('user_id', userId)
+        .eq('name', name)
+        .select('name');
+
+    return !!data?.length;
+}
+
+// The saved options of a preset; throws when the user has none by that name
+export async function loadFormatPreset(supabase, userId, name) {
+    const { data } = await supabase
+        .from('format_presets')
+        .select('options')
+        .eq('user_id', userId)
+        .eq('name', name)
+        .single();
+
+    if (!data) {
+        throw new Error(`Format preset not found: ${name}`);
+    }
+    return data.options;
+}
+
+// Format options for an upload: autoFormat and formatPreset as sent, with the
+// preset loaded and both validated. Throws with a message for the caller.
+export async function uploadFormatOptions(supabase, userId, autoFormat, formatPreset) {
+    const optionsError = formatOptionsError(autoFormat);
+    if (optionsError) {
+        throw new Error(optionsError);
+    }
+    const presetOptions = formatPreset ? await loadFormatPreset(supabase, userId, formatPreset) : null;
+    return resolveFormatOptions(autoFormat, presetOptions);
+}
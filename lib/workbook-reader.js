@@ -0,0 +1,700 @@
+// Workbook reader for .xlsx (Office Open XML) and .ods (OpenDocument) files.
+// Worksheets come back as rows of strings the CSV pipeline can take as they
+// are: numbers without float noise, dates and times as ISO text, booleans as
+// TRUE/FALSE and formula cells as their last calculated value.
+import { inflateRawSync } from 'zlib';
+
+export const WORKBOOK_FORMATS = ['xlsx', 'ods'];
+
+// Everything inflated from one workbook shares this cap, so a small upload
+// can't expand into gigabytes of XML
+const MAX_INFLATED_BYTES = 48 * 1024 * 1024;
+
+// Cell references past Excel's sheet size are refused, and so are sheets
+// with more cells (blanks padding out sparse rows included) than a Google
+// Sheet can hold
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+const MAX_CELLS = 10000000;
+
+// Empty rows and cells repeated this many times in a row are trimmed -
+// OpenDocument pads sheets to their full size with one repeated element
+const MAX_EMPTY_REPEAT = 10000;
+
+const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+// Built-in Excel number formats that show dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 22, 27, 30, 36, 50, 57]);
+const TIME_FORMAT_IDS = new Set([18, 19, 20, 21, 45, 46, 47]);
+const PERCENT_FORMAT_IDS = new Set([9, 10]);
+
+// 'xlsx', 'ods' or null when the bytes aren't a workbook we can read
+export function detectWorkbookFormat(bytes) {
+    if (bytes.length < 4 || bytes.readUInt32LE(0) !== 0x04034b50) {
+        return null;
+    }
+    let entries;
+    try {
+        entries = readZipDirectory(bytes);
+    } catch (error) {
+        return null;
+    }
+    if (entries.has('xl/workbook.xml')) {
+        return 'xlsx';
+    }
+    if (entries.has('content.xml') && entries.has('mimetype') &&
+        unzipEntry(bytes, entries.get('mimetype'), inflateBudget()).toString('utf8').trim() === ODS_MIMETYPE) {
+        return 'ods';
+    }
+    return null;
+}
+
+// Open a workbook: { format, sheetNames, readSheet(index) -> rows }. Throws
+// when the file is not a readable workbook.
+export function openWorkbook(bytes) {
+    const format = detectWorkbookFormat(bytes);
+    if (!format) {
+        throw new Error('Not an .xlsx or .ods workbook');
+    }
+    const entries = readZipDirectory(bytes);
+    const budget = inflateBudget();
+    const read = (name) => entries.has(name) ? unzipEntry(bytes, entries.get(name), budget).toString('utf8') : null;
+    return format === 'xlsx' ? openXlsx(read) : openOds(read);
+}
+
+// ===== XLSX =====
+
+function openXlsx(read) {
+    const workbook = read('xl/workbook.xml');
+    const relationships = new Map();
+    for (const { attributes } of xmlElements(read('xl/_rels/workbook.xml.rels') || '', 'Relationship')) {
+        relationships.set(attributes.Id, attributes.Target);
+    }
+
+    const sheets = [];
+    let date1904 = false;
+    for (const { name, attributes } of xmlElements(workbook, ['sheet', 'workbookPr'])) {
+        if (name === 'workbookPr') {
+            date1904 = attributes.date1904 === '1' || attributes.date1904 === 'true';
+            continue;
+        }
+        const relationshipId = Object.entries(attributes).find(([key]) => key.endsWith(':id'))?.[1];
+        const target = relationships.get(relationshipId) || '';
+        sheets.push({
+            name: decodeXml(attributes.name || ''),
+            path: target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`
+        });
+    }
+
+    let sharedStrings = null;
+    let styles = null;
+
+    return {
+        format: 'xlsx',
+        sheetNames: sheets.map(sheet => sheet.name),
+
+        readSheet(index) {
+            sharedStrings = sharedStrings || readSharedStrings(read('xl/sharedStrings.xml'));
+            styles = styles || readCellFormats(read('xl/styles.xml'));
+            const xml = read(sheets[index].path);
+            if (xml === null) {
+                throw new Error(`Worksheet "${sheets[index].name}" is missing from the workbook`);
+            }
+            return readXlsxRows(xml, sharedStrings, styles, date1904);
+        }
+    };
+}
+
+function readXlsxRows(xml, sharedStrings, styles, date1904) {
+    const rows = [];
+    const cells = cellCounter();
+    let row = null;
+    let cell = null;
+    let inValue = false;
+    let inInlineText = false;
+
+    for (const event of xmlEvents(xml)) {
+        if (event.type === 'open') {
+            switch (event.name) {
+                case 'row': {
+                    const rowNumber = Number(event.attributes.r) || rows.length + 1;
+                    if (!Number.isInteger(rowNumber) || rowNumber < 1 || rowNumber > MAX_ROWS) {
+                        throw new Error(`Corrupt workbook: row ${event.attributes.r} is out of range`);
+                    }
+                    padRows(rows, rowNumber - 1);
+                    row = [];
+                    rows[rowNumber - 1] = row;
+                    if (event.selfClosing) {
+                        row = null;
+                    }
+                    break;
+                }
+                case 'c':
+                    cell = {
+                        column: event.attributes.r ? columnIndex(event.attributes.r) : row?.length ?? 0,
+                        type: event.attributes.t || 'n',
+                        style: Number(event.attributes.s) || 0,
+                        value: '',
+                        text: ''
+                    };
+                    if (cell.column < 0 || cell.column >= MAX_COLUMNS) {
+                        throw new Error(`Corrupt workbook: cell ${event.attributes.r} is out of range`);
+                    }
+                    if (event.selfClosing) {
+                        cell = null;
+                    }
+                    break;
+                case 'v':
+                    inValue = !event.selfClosing;
+                    break;
+                case 't':
+                    inInlineText = Boolean(cell) && !event.selfClosing;
+                    break;
+            }
+        } else if (event.type === 'text') {
+            if (inValue) {
+                cell.value += event.text;
+            } else if (inInlineText) {
+                cell.text += event.text;
+            }
+        } else {
+            switch (event.name) {
+                case 'row':
+                    row = null;
+                    break;
+                case 'c':
+                    if (row && cell) {
+                        const value = xlsxCellValue(cell, sharedStrings, styles, date1904);
+                        if (value !== '') {
+                            cells.add(cell.column + 1 - row.length);
+                            padCells(row, cell.column);
+                            row[cell.column] = value;
+                        }
+                    }
+                    cell = null;
+                    break;
+                case 'v':
+                    inValue = false;
+                    break;
+                case 't':
+                    inInlineText = false;
+                    break;
+            }
+        }
+    }
+
+    return rows.map(cells => cells || []);
+}
+
+function xlsxCellValue(cell, sharedStrings, styles, date1904) {
+    const raw = decodeXml(cell.value);
+    switch (cell.type) {
+        case 's':
+            return sharedStrings[Number(raw)] ?? '';
+        case 'inlineStr':
+            return unescapeOoxml(decodeXml(cell.text));
+        case 'str':
+        case 'e':
+            return unescapeOoxml(raw);
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        case 'd':
+            return isoDateText(raw);
+    }
+
+    if (raw === '') {
+        return '';
+    }
+    const number = Number(raw);
+    if (!Number.isFinite(number)) {
+        return raw;
+    }
+
+    const format = styles[cell.style] || 'general';
+    if (format === 'date' || format === 'time' || format === 'datetime') {
+        const days = date1904 ? number + 1462 : number;
+        return serialToText(days, format);
+    }
+    if (format === 'percent') {
+        return `${cleanNumber(number * 100)}%`;
+    }
+    return cleanNumber(number);
+}
+
+// Shared strings, with rich-text runs joined and phonetic hints left out
+function readSharedStrings(xml) {
+    const strings = [];
+    if (!xml) {
+        return strings;
+    }
+    let current = null;
+    let inText = false;
+    let inPhonetic = false;
+    for (const event of xmlEvents(xml)) {
+        if (event.type === 'open') {
+            if (event.name === 'si') {
+                current = '';
+                if (event.selfClosing) {
+                    strings.push('');
+                    current = null;
+                }
+            } else if (event.name === 'rPh') {
+                inPhonetic = !event.selfClosing;
+            } else if (event.name === 't') {
+                inText = !event.selfClosing;
+            }
+        } else if (event.type === 'text') {
+            if (inText && !inPhonetic && current !== null) {
+                current += event.text;
+            }
+        } else if (event.name === 'si') {
+            strings.push(unescapeOoxml(decodeXml(current || '')));
+            current = null;
+        } else if (event.name === 'rPh') {
+            inPhonetic = false;
+        } else if (event.name === 't') {
+            inText = false;
+        }
+    }
+    return strings;
+}
+
+// What each cell style shows its number as: date, time, datetime, percent
+// or general
+function readCellFormats(xml) {
+    if (!xml) {
+        return [];
+    }
+    const customFormats = new Map();
+    for (const { attributes } of xmlElements(xml, 'numFmt')) {
+        customFormats.set(Number(attributes.numFmtId), decodeXml(attributes.formatCode || ''));
+    }
+
+    const cellXfs = xml.match(/<(?:\w+:)?cellXfs\b[\s\S]*?<\/(?:\w+:)?cellXfs>/);
+    if (!cellXfs) {
+        return [];
+    }
+    return xmlElements(cellXfs[0], 'xf').map(({ attributes }) => {
+        const formatId = Number(attributes.numFmtId) || 0;
+        if (customFormats.has(formatId)) {
+            return formatKind(customFormats.get(formatId));
+        }
+        if (DATE_FORMAT_IDS.has(formatId)) {
+            return formatId === 22 ? 'datetime' : 'date';
+        }
+        if (TIME_FORMAT_IDS.has(formatId)) {
+            return 'time';
+        }
+        return PERCENT_FORMAT_IDS.has(formatId) ? 'percent' : 'general';
+    });
+}
+
+function formatKind(code) {
+    // Quoted text, escaped characters and [Red]/[$-409] style sections don't count
+    const bare = code.split(';')[0].replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '').toLowerCase();
+    const hasDate = /[dy]/.test(bare) || (/m/.test(bare) && !/[hs]/.test(bare));
+    const hasTime = /[hs]/.test(bare);
+    if (hasDate && hasTime) {
+        return 'datetime';
+    }
+    if (hasDate) {
+        return 'date';
+    }
+    if (hasTime) {
+        return 'time';
+    }
+    return bare.includes('%') ? 'percent' : 'general';
+}
+
+// Days since 1899-12-30 as ISO text. Excel's 1900 system counts a
+// 29 February 1900 that never was, so serials before it are a day off.
+function serialToText(serial, kind) {
+    const days = serial < 60 ? serial + 1 : serial;
+    const milliseconds = Math.round(days * 86400) * 1000;
+    const date = new Date(Date.UTC(1899, 11, 30) + milliseconds);
+    const iso = date.toISOString();
+    if (kind === 'time') {
+        return iso.slice(11, 19);
+    }
+    if (kind === 'date' && milliseconds % 86400000 === 0) {
+        return iso.slice(0, 10);
+    }
+    return `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+// ===== ODS =====
+
+function openOds(read) {
+    const xml = read('content.xml');
+    const tables = [];
+    const pattern = /<table:table\b([^>]*?)(\/?)>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        const name = decodeXml(parseAttributes(match[1])['table:name'] || `Sheet${tables.length + 1}`);
+        if (match[2] === '/') {
+            tables.push({ name, start: match.index, end: pattern.lastIndex });
+            continue;
+        }
+        const end = xml.indexOf('</table:table>', pattern.lastIndex);
+        tables.push({ name, start: match.index, end: end < 0 ? xml.length : end });
+        pattern.lastIndex = end < 0 ? xml.length : end;
+    }
+
+    return {
+        format: 'ods',
+        sheetNames: tables.map(table => table.name),
+
+        readSheet(index) {
+            return readOdsRows(xml.slice(tables[index].start, tables[index].end));
+        }
+    };
+}
+
+function readOdsRows(xml) {
+    const rows = [];
+    const cells = cellCounter();
+    let emptyRows = 0;
+    let row = null;
+    let rowRepeat = 1;
+    let emptyCells = 0;
+    let cell = null;
+    let paragraph = null;
+    // Cell comments have paragraphs of their own that aren't the cell's text
+    let inAnnotation = false;
+
+    const addCell = (value, repeat) => {
+        if (value === '') {
+            emptyCells += repeat;
+            return;
+        }
+        padOdsCells(row, emptyCells);
+        emptyCells = 0;
+        for (let n = 0; n < Math.min(repeat, MAX_EMPTY_REPEAT); n++) {
+            row.push(value);
+        }
+        if (row.length > MAX_COLUMNS) {
+            throw new Error('Workbook is too large to read');
+        }
+    };
+
+    for (const event of xmlEvents(xml)) {
+        if (event.type === 'open') {
+            switch (event.name) {
+                case 'table-row':
+                    row = [];
+                    emptyCells = 0;
+                    rowRepeat = Number(event.attributes['table:number-rows-repeated']) || 1;
+                    if (event.selfClosing) {
+                        emptyRows += rowRepeat;
+                        row = null;
+                    }
+                    break;
+                case 'table-cell':
+                case 'covered-table-cell':
+                    cell = {
+                        attributes: event.attributes,
+                        repeat: Number(event.attributes['table:number-columns-repeated']) || 1,
+                        paragraphs: []
+                    };
+                    if (event.selfClosing) {
+                        addCell(odsCellValue(cell), cell.repeat);
+                        cell = null;
+                    }
+                    break;
+                case 'annotation':
+                    inAnnotation = !event.selfClosing;
+                    break;
+                case 'p':
+                    if (cell && !inAnnotation) {
+                        paragraph = '';
+                        if (event.selfClosing) {
+                            cell.paragraphs.push('');
+                            paragraph = null;
+                        }
+                    }
+                    break;
+                case 's':
+                    if (paragraph !== null) {
+                        paragraph += ' '.repeat(Number(event.attributes['text:c']) || 1);
+                    }
+                    break;
+                case 'tab':
+                    if (paragraph !== null) {
+                        paragraph += '\t';
+                    }
+                    break;
+                case 'line-break':
+                    if (paragraph !== null) {
+                        paragraph += '\n';
+                    }
+                    break;
+            }
+        } else if (event.type === 'text') {
+            if (paragraph !== null) {
+                paragraph += decodeXml(event.text);
+            }
+        } else {
+            switch (event.name) {
+                case 'annotation':
+                    inAnnotation = false;
+                    break;
+                case 'p':
+                    if (cell && paragraph !== null) {
+                        cell.paragraphs.push(paragraph);
+                    }
+                    paragraph = null;
+                    break;
+                case 'table-cell':
+                case 'covered-table-cell':
+                    if (cell) {
+                        addCell(odsCellValue(cell), cell.repeat);
+                    }
+                    cell = null;
+                    break;
+                case 'table-row':
+                    if (row && row.length > 0) {
+                        padRows(rows, rows.length + Math.min(emptyRows, MAX_EMPTY_REPEAT));
+                        emptyRows = 0;
+                        const copies = Math.min(rowRepeat, MAX_EMPTY_REPEAT);
+                        cells.add(row.length * copies);
+                        if (rows.length + copies > MAX_ROWS) {
+                            throw new Error('Workbook is too large to read');
+                        }
+                        for (let n = 0; n < copies; n++) {
+                            rows.push(n === 0 ? row : [...row]);
+                        }
+                    } else if (row) {
+                        emptyRows += rowRepeat;
+                    }
+                    row = null;
+                    break;
+            }
+        }
+    }
+
+    return rows.map(cells => cells || []);
+}
+
+function odsCellValue(cell) {
+    const attributes = cell.attributes;
+    switch (attributes['office:value-type']) {
+        case 'float':
+        case 'currency':
+            return cleanNumber(Number(attributes['office:value']));
+        case 'percentage':
+            return `${cleanNumber(Number(attributes['office:value']) * 100)}%`;
+        case 'date':
+            return isoDateText(attributes['office:date-value'] || '');
+        case 'time':
+            return durationText(attributes['office:time-value'] || '');
+        case 'boolean':
+            return attributes['office:boolean-value'] === 'true' ? 'TRUE' : 'FALSE';
+    }
+    return cell.paragraphs.join('\n');
+}
+
+// PT13H05M00S -> 13:05:00
+function durationText(value) {
+    const match = value.match(/^-?P(?:(\d+)D)?T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+    if (!match) {
+        return value;
+    }
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${pad(days * 24 + hours)}:${pad(minutes)}:${pad(Math.round(seconds))}`;
+}
+
+// ===== VALUES =====
+
+// 0.1 + 0.2 is stored as 0.30000000000000004; show it the way Excel does
+function cleanNumber(number) {
+    return Number.isFinite(number) ? String(Number(number.toPrecision(15))) : '';
+}
+
+// 2024-03-01T00:00:00 -> 2024-03-01, 2024-03-01T10:30:00.000 -> 2024-03-01 10:30:00
+function isoDateText(value) {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}(?::\d{2})?))?/);
+    if (!match) {
+        return value;
+    }
+    const time = match[2] ? (match[2].length === 5 ? `${match[2]}:00` : match[2]) : null;
+    return time && time !== '00:00:00' ? `${match[1]} ${time}` : match[1];
+}
+
+// Excel writes characters XML can't hold as _xHHHH_
+function unescapeOoxml(text) {
+    return text.replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function padRows(rows, length) {
+    if (length > MAX_ROWS) {
+        throw new Error('Workbook is too large to read');
+    }
+    while (rows.length < length) {
+        rows.push([]);
+    }
+}
+
+function padCells(row, length) {
+    while (row.length < length) {
+        row.push('');
+    }
+}
+
+function padOdsCells(row, count) {
+    for (let n = 0; n < Math.min(count, MAX_EMPTY_REPEAT); n++) {
+        row.push('');
+    }
+}
+
+// Running total of the cells a sheet has produced, blanks included
+function cellCounter() {
+    let total = 0;
+    return {
+        add(count) {
+            total += Math.max(count, 0);
+            if (total > MAX_CELLS) {
+                throw new Error('Workbook is too large to read');
+            }
+        }
+    };
+}
+
+// B12 -> 1
+function columnIndex(ref) {
+    let index = 0;
+    for (const char of ref.toUpperCase()) {
+        if (char < 'A' || char > 'Z') {
+            break;
+        }
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+// ===== XML =====
+
+// Just enough of a pull parser for spreadsheet XML: open/close tags by local
+// name (namespace prefix dropped), raw attributes and undecoded text
+function* xmlEvents(xml) {
+    const pattern = /<(\/?)([\w.-]+:)?([\w.-]+)([^>]*?)(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        if (match[7] !== undefined) {
+            yield { type: 'text', text: match[7] };
+        } else if (match[6] !== undefined) {
+            yield { type: 'text', text: encodeCdata(match[6]) };
+        } else if (match[3] !== undefined) {
+            if (match[1]) {
+                yield { type: 'close', name: match[3] };
+            } else {
+                yield { type: 'open', name: match[3], attributes: parseAttributes(match[4]), selfClosing: match[5] === '/' };
+            }
+        }
+    }
+}
+
+function xmlElements(xml, names) {
+    const wanted = new Set([].concat(names));
+    const elements = [];
+    for (const event of xmlEvents(xml)) {
+        if (event.type === 'open' && wanted.has(event.name)) {
+            elements.push(event);
+        }
+    }
+    return elements;
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = match[2] ?? match[3];
+    }
+    return attributes;
+}
+
+// CDATA text is handed on like normal text, so it goes back through decodeXml
+function encodeCdata(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9A-Fa-f]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+        switch (code) {
+            case 'amp': return '&';
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'quot': return '"';
+            case 'apos': return '\'';
+        }
+        return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    });
+}
+
+// ===== ZIP =====
+
+// Central directory entries by name: { method, compressedSize, offset }
+function readZipDirectory(bytes) {
+    const minimum = Math.max(0, bytes.length - 65557);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= minimum; i--) {
+        if (bytes.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Corrupt workbook: zip directory not found');
+    }
+
+    const entries = new Map();
+    const count = bytes.readUInt16LE(end + 10);
+    let position = bytes.readUInt32LE(end + 16);
+    for (let n = 0; n < count; n++) {
+        if (bytes.readUInt32LE(position) !== 0x02014b50) {
+            throw new Error('Corrupt workbook: bad zip directory entry');
+        }
+        const nameLength = bytes.readUInt16LE(position + 28);
+        const extraLength = bytes.readUInt16LE(position + 30);
+        const commentLength = bytes.readUInt16LE(position + 32);
+        const name = bytes.toString('utf8', position + 46, position + 46 + nameLength);
+        entries.set(name, {
+            method: bytes.readUInt16LE(position + 10),
+            compressedSize: bytes.readUInt32LE(position + 20),
+            offset: bytes.readUInt32LE(position + 42)
+        });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Bytes still allowed to be inflated from one workbook
+function inflateBudget() {
+    return { remaining: MAX_INFLATED_BYTES };
+}
+
+function unzipEntry(bytes, entry, budget) {
+    const header = entry.offset;
+    const start = header + 30 + bytes.readUInt16LE(header + 26) + bytes.readUInt16LE(header + 28);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`Unsupported zip compression method: ${entry.method}`);
+    }
+    let content = data;
+    if (entry.method === 8) {
+        try {
+            content = inflateRawSync(data, { maxOutputLength: Math.max(budget.remaining, 1) });
+        } catch (error) {
+            throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+                ? 'Workbook is too large to read'
+                : 'Corrupt workbook: ' + error.message);
+        }
+    }
+    if (content.length > budget.remaining) {
+        throw new Error('Workbook is too large to read');
+    }
+    budget.remaining -= content.length;
+    return content;
+}
@@ -0,0 +1,383 @@
+// Minimal XLSX writer - typed cells, a styled and frozen header row with a
+// filter, and any number of sheets, packed into a zip with zlib. The whole
+// workbook is built in memory, so callers bound what they put in it.
+import { deflateRawSync } from 'zlib';
+import { columnLetter } from './columns.js';
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Rows per worksheet, header included
+export const XLSX_MAX_ROWS = 1048576;
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+// Excel keeps 15 significant digits; longer digit runs (IDs, card numbers)
+// and zero-padded codes stay text so nothing is rounded or trimmed
+const MAX_NUMBER_DIGITS = 15;
+const LEADING_ZERO = /^[-+]?0\d/;
+// Plain decimals only - Number() would also take 0x1A, 0o17, 0b11 and Infinity
+const DECIMAL_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const ISO_DATETIME = /^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const PERCENT = /^([-+]?\d+(?:\.\d+)?)\s?%$/;
+
+// Built-in number formats Excel knows by id; anything else gets a custom id
+const BUILTIN_FORMATS = { '#,##0': 3, '#,##0.00': 4, '0.00%': 10 };
+const FIRST_CUSTOM_FORMAT = 164;
+
+const NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// sheets: [{ name, rows, columns }] where rows[0] is the header row and
+// columns describes each column as { type, currencySymbol?, maxLength? }
+// (types as inferred for auto-formatting). Cells that don't parse as their
+// column's type are written as text. Returns { content, sheetNames }: the
+// .xlsx file as a Buffer and the sheet names as written, after uniqueSheetName.
+export function buildXlsx(sheets) {
+    const styles = createStyleRegistry();
+    const names = new Set();
+    const worksheets = sheets.map(sheet => ({
+        name: uniqueSheetName(sheet.name, names),
+        xml: worksheetXml(sheet, styles)
+    }));
+
+    const files = [
+        { name: '[Content_Types].xml', data: contentTypesXml(worksheets.length) },
+        { name: '_rels/.rels', data: rootRelsXml() },
+        { name: 'xl/workbook.xml', data: workbookXml(worksheets, sheets) },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRelsXml(worksheets.length) },
+        { name: 'xl/styles.xml', data: styles.xml() },
+        ...worksheets.map((worksheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: worksheet.xml }))
+    ];
+
+    return {
+        content: zipFiles(files),
+        sheetNames: worksheets.map(worksheet => worksheet.name)
+    };
+}
+
+// ===== WORKSHEETS =====
+
+function worksheetXml(sheet, styles) {
+    const rows = sheet.rows;
+    const columns = sheet.columns || [];
+    const columnCount = rows.reduce((width, row) => Math.max(width, row.length), 0);
+    const lastCell = `${columnLetter(Math.max(columnCount, 1))}${Math.max(rows.length, 1)}`;
+
+    const rowXml = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${columnLetter(columnIndex + 1)}${rowIndex + 1}`;
+            return rowIndex === 0
+                ? textCell(ref, value, styles.header)
+                : typedCell(ref, value, columns[columnIndex], styles);
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const widths = [];
+    for (let index = 0; index < columnCount; index++) {
+        const headerLength = String(rows[0]?.[index] ?? '').length;
+        const width = Math.min(Math.max(headerLength, columns[index]?.maxLength || 0, 8) + 2, MAX_COLUMN_WIDTH);
+        widths.push(`<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`);
+    }
+
+    return XML_HEADER +
+        `<worksheet xmlns="${NAMESPACE}" xmlns:r="${RELATIONSHIPS}">` +
+        '<sheetViews><sheetView workbookViewId="0">' +
+        (rows.length > 1 ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' : '') +
+        '</sheetView></sheetViews>' +
+        (widths.length > 0 ? `<cols>${widths.join('')}</cols>` : '') +
+        `<sheetData>${rowXml.join('')}</sheetData>` +
+        (columnCount > 0 ? `<autoFilter ref="A1:${lastCell}"/>` : '') +
+        '</worksheet>';
+}
+
+// A cell typed by its column, falling back to text when it doesn't parse
+function typedCell(ref, value, column, styles) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text === '') {
+        return '';
+    }
+
+    switch (column?.type) {
+        case 'integer':
+        case 'number': {
+            const number = parseNumber(text);
+            if (number !== null) {
+                return numberCell(ref, number, styles.format(column.type === 'integer' ? '#,##0' : '#,##0.00'));
+            }
+            break;
+        }
+        case 'currency': {
+            const number = parseNumber(text.replace(/[$€£¥\s]/g, ''));
+            if (number !== null) {
+                return numberCell(ref, number, styles.format(`"${column.currencySymbol || '$'}"#,##0.00`));
+            }
+            break;
+        }
+        case 'percent': {
+            const match = text.match(PERCENT);
+            if (match) {
+                return numberCell(ref, Number(match[1]) / 100, styles.format('0.00%'));
+            }
+            break;
+        }
+        case 'date':
+        case 'datetime': {
+            const serial = dateSerial(text);
+            if (serial !== null) {
+                return numberCell(ref, serial, styles.format(Number.isInteger(serial) ? 'yyyy-mm-dd' : 'yyyy-mm-dd hh:mm:ss'));
+            }
+            break;
+        }
+        case 'boolean': {
+            const lower = text.toLowerCase();
+            if (lower === 'true' || lower === 'false') {
+                return `<c r="${ref}" t="b"><v>${lower === 'true' ? 1 : 0}</v></c>`;
+            }
+            break;
+        }
+    }
+    return textCell(ref, value, 0);
+}
+
+function textCell(ref, value, style) {
+    const text = sanitizeXmlText(String(value ?? ''));
+    if (text === '') {
+        return '';
+    }
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function numberCell(ref, number, style) {
+    return `<c r="${ref}" s="${style}"><v>${number}</v></c>`;
+}
+
+function parseNumber(text) {
+    const plain = text.replace(/,/g, '');
+    if (!DECIMAL_NUMBER.test(plain) || LEADING_ZERO.test(plain) || plain.replace(/[^\d]/g, '').length > MAX_NUMBER_DIGITS) {
+        return null;
+    }
+    const number = Number(plain);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Days since 1899-12-30 (Excel's day zero), with the time as a fraction.
+// Only ISO dates: the day/month order of 03/04/2024 can't be known here.
+export function dateSerial(text) {
+    const match = text.match(ISO_DATETIME) || text.match(ISO_DATE);
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+    const time = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const check = new Date(time);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+    return (time - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+// ===== STYLES =====
+
+// Cell style 0 is the default and 1 the header; number formats get a style
+// each the first time they are used
+function createStyleRegistry() {
+    const customFormats = [];
+    const cellStyles = [
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+        '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>'
+    ];
+    const styleByFormat = new Map();
+
+    return {
+        header: 1,
+
+        format(code) {
+            if (!styleByFormat.has(code)) {
+                let formatId = BUILTIN_FORMATS[code];
+                if (formatId === undefined) {
+                    formatId = FIRST_CUSTOM_FORMAT + customFormats.length;
+                    customFormats.push(`<numFmt numFmtId="${formatId}" formatCode="${escapeXml(code)}"/>`);
+                }
+                cellStyles.push(`<xf numFmtId="${formatId}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`);
+                styleByFormat.set(code, cellStyles.length - 1);
+            }
+            return styleByFormat.get(code);
+        },
+
+        xml() {
+            return XML_HEADER +
+                `<styleSheet xmlns="${NAMESPACE}">` +
+                (customFormats.length > 0 ? `<numFmts count="${customFormats.length}">${customFormats.join('')}</numFmts>` : '') +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+                '<fill><patternFill patternType="solid"><fgColor rgb="FFE6E6E6"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                `<cellXfs count="${cellStyles.length}">${cellStyles.join('')}</cellXfs>` +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>';
+        }
+    };
+}
+
+// ===== PACKAGE PARTS =====
+
+function contentTypesXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    );
+    return XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.join('') +
+        '</Types>';
+}
+
+function rootRelsXml() {
+    return XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>';
+}
+
+function workbookXml(worksheets, sheets) {
+    // Excel expects the autoFilter ranges as hidden defined names too
+    const filters = worksheets.map((worksheet, index) => {
+        const rows = sheets[index].rows;
+        const columnCount = rows.reduce((width, row) => Math.max(width, row.length), 0);
+        if (columnCount === 0) {
+            return '';
+        }
+        const quoted = `'${worksheet.name.replace(/'/g, '\'\'')}'`;
+        return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">` +
+            `${escapeXml(quoted)}!$A$1:$${columnLetter(columnCount)}$${Math.max(rows.length, 1)}</definedName>`;
+    }).join('');
+
+    return XML_HEADER +
+        `<workbook xmlns="${NAMESPACE}" xmlns:r="${RELATIONSHIPS}"><sheets>` +
+        worksheets.map((worksheet, index) =>
+            `<sheet name="${escapeXml(worksheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+        ).join('') +
+        '</sheets>' +
+        (filters ? `<definedNames>${filters}</definedNames>` : '') +
+        '</workbook>';
+}
+
+function workbookRelsXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    );
+    return XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.join('') +
+        `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>';
+}
+
+// Excel rejects []:*?/\ in sheet names, names over 31 characters and
+// duplicates (case-insensitively)
+function uniqueSheetName(name, taken) {
+    const base = (String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, MAX_SHEET_NAME_LENGTH);
+    let candidate = base;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function escapeXml(text) {
+    return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+// Control characters other than tab and line breaks aren't allowed in XML
+function sanitizeXmlText(text) {
+    return text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+}
+
+// ===== ZIP =====
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Deflated entries, a central directory and the end record - no zip64, so
+// the workbook has to stay under 4 GB, far above what we build in memory
+function zipFiles(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.from(file.data, 'utf8');
+        const compressed = deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileColumnMapping } from '../lib/column-mapping.js';
+
+const headers = ['First', 'Last', 'Zip', 'Qty', 'Unit Price'];
+const row = ['Ann', 'Lee', '12345-6789', '3', '2.5'];
+
+test('compileColumnMapping renames, reorders and adds constant and template columns', () => {
+    const mapping = compileColumnMapping({
+        columns: [
+            { source: 'last_name', name: 'Surname' },
+            { source: 'Last' },
+            { name: 'Region', value: 'EMEA' },
+            { name: 'Full Name', template: '{First} {Last}' },
+            { name: 'Qty', source: 3 }
+        ]
+    }, headers);
+    assert.deepEqual(mapping.errors, ['Column Surname: source column "last_name" not found']);
+    assert.deepEqual(mapping.headers, ['Surname', 'Last', 'Region', 'Full Name', 'Qty']);
+    assert.deepEqual(mapping.mapRow(row).slice(1), ['Lee', 'EMEA', 'Ann Lee', '3']);
+});
+
+test('compileColumnMapping keeps unmapped columns minus the dropped ones', () => {
+    const mapping = compileColumnMapping({ columns: [{ source: 'Zip' }], includeUnmapped: true, drop: ['unit price'] }, headers);
+    assert.deepEqual(mapping.headers, ['Zip', 'First', 'Last', 'Qty']);
+});
+
+test('substring takes a length or an end, counting negative positions from the end', () => {
+    const mapping = compileColumnMapping({
+        columns: [
+            { name: 'Zip5', source: 'Zip', substring: { start: 0, length: 5 } },
+            { name: 'Plus4', source: 'Zip', substring: { start: -4 } },
+            { name: 'Middle', source: 'Zip', substring: { start: 2, end: -5 } },
+            { name: 'Tail', source: 'Zip', substring: { start: -4, length: 2 } }
+        ]
+    }, headers);
+    assert.deepEqual(mapping.errors, []);
+    assert.deepEqual(mapping.mapRow(row), ['12345', '6789', '345', '67']);
+
+    const invalid = compileColumnMapping({ columns: [{ name: 'Zip', source: 'Zip', substring: { start: 1.5, length: 2, end: 3 } }] }, headers);
+    assert.deepEqual(invalid.errors, [
+        'Column Zip: substring.start must be an integer',
+        'Column Zip: substring takes a length or an end, not both'
+    ]);
+});
+
+test('expressions evaluate arithmetic over columns, including .5 literals', () => {
+    const mapping = compileColumnMapping({
+        columns: [
+            { name: 'Total', expression: '{Qty} * {Unit Price}' },
+            { name: 'Half', expression: '{Qty} * .5 + (1 - 0.25)' },
+            { name: 'Ratio', expression: '{3} / 0' },
+            { name: 'Floats', expression: '0.1 + 0.2' }
+        ]
+    }, headers);
+    assert.deepEqual(mapping.errors, []);
+    assert.deepEqual(mapping.mapRow(row), ['7.5', '2.25', '', '0.3']);
+    assert.deepEqual(mapping.mapRow(['Ann', 'Lee', '', 'n/a', '2']).slice(0, 1), ['']);
+});
+
+test('expression errors name the offending token', () => {
+    const compile = expression => compileColumnMapping({ columns: [{ name: 'X', expression }] }, headers).errors;
+    assert.match(compile('substring({Zip}, 0, 5)')[0], /^Column X: Unknown "substring" in expression/);
+    assert.deepEqual(compile('({Qty} + 1'), ['Column X: Missing closing parenthesis']);
+    assert.deepEqual(compile('{Qty} 2'), ['Column X: Unexpected "2" in expression']);
+    assert.deepEqual(compile('{Price}'), ['Column X: source column "Price" not found']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    classifyValue,
+    columnLetter,
+    createColumnTypeTracker,
+    inferColumnType,
+    normalizeColumnName
+} from '../lib/columns.js';
+
+test('columnLetter converts 1-based column numbers to A1 letters', () => {
+    assert.equal(columnLetter(1), 'A');
+    assert.equal(columnLetter(26), 'Z');
+    assert.equal(columnLetter(27), 'AA');
+    assert.equal(columnLetter(16384), 'XFD');
+});
+
+test('normalizeColumnName ignores case, spacing and separators', () => {
+    assert.equal(normalizeColumnName('first_name'), normalizeColumnName('First Name'));
+    assert.equal(normalizeColumnName(' Order-ID '), normalizeColumnName('order.id'));
+    assert.equal(normalizeColumnName('Ｎａｍｅ'), 'name');
+    assert.equal(normalizeColumnName(null), '');
+});
+
+test('classifyValue recognizes the inferred types', () => {
+    assert.equal(classifyValue('1,234'), 'integer');
+    assert.equal(classifyValue('-3.5'), 'number');
+    assert.equal(classifyValue('12.5%'), 'percent');
+    assert.equal(classifyValue('$1,200.00'), 'currency');
+    assert.equal(classifyValue('2024-03-01'), 'date');
+    assert.equal(classifyValue('2024-03-01 10:30'), 'datetime');
+    assert.equal(classifyValue('yes'), 'boolean');
+    assert.equal(classifyValue('a@b.co'), 'email');
+    assert.equal(classifyValue('hello'), 'text');
+});
+
+test('inferColumnType merges integers into numbers and dates into datetimes', () => {
+    assert.equal(inferColumnType({ integer: 3, number: 1 }, 4).type, 'number');
+    assert.equal(inferColumnType({ date: 1, datetime: 1 }, 2).type, 'datetime');
+    assert.deepEqual(inferColumnType({}, 0), { type: 'empty', confidence: 1 });
+});
+
+test('createColumnTypeTracker types columns and skips null tokens', () => {
+    const tracker = createColumnTypeTracker();
+    tracker.setHeaders(['Amount', 'Share']);
+    tracker.add(['€5.00', '10%']);
+    tracker.add(['€12.50', 'n/a']);
+    assert.deepEqual(tracker.columns(2), [
+        { name: 'Amount', type: 'currency', maxLength: 6, currencySymbol: '€' },
+        { name: 'Share', type: 'percent', maxLength: 3, currencySymbol: null }
+    ]);
+});
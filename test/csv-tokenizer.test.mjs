@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCSVTokenizer, detectDelimiter } from '../lib/csv-tokenizer.js';
+
+test('detectDelimiter ignores delimiters inside quotes', () => {
+    const result = detectDelimiter('"Name, Full";Amount\n"Doe, Jane";10\n"Roe, Rick";20\n');
+    assert.equal(result.delimiter, ';');
+    assert.equal(result.columns, 2);
+});
+
+test('detectDelimiter does not pick ":" from time values', () => {
+    const sample = 'id,started,ended\n1,09:00:00,17:30:00\n2,08:15:00,16:45:00\n3,10:00:00,18:00:00\n';
+    assert.equal(detectDelimiter(sample).delimiter, ',');
+});
+
+test('detectDelimiter prefers the delimiter that splits the header on a tie', () => {
+    // Both split three of the four rows alike; only the comma splits the header
+    const sample = 'name,code\na^b^c,1\nd^e^f,2\ng^h^i,3,x\n';
+    const result = detectDelimiter(sample);
+    assert.equal(result.delimiter, ',');
+    assert.equal(result.candidates[0].delimiter, '^');
+});
+
+test('detectDelimiter picks a doubled delimiter over its single character', () => {
+    assert.equal(detectDelimiter('a||b||c\n1||2||3\n4||5||6\n').delimiter, '||');
+    assert.equal(detectDelimiter('a|b|c\n1|2|3\n4|5|6\n').delimiter, '|');
+});
+
+test('detectDelimiter falls back to a comma for single-column content', () => {
+    assert.deepEqual(detectDelimiter('name\nalpha\nbeta\n'), { delimiter: ',', confidence: 0, candidates: [] });
+});
+
+// Feed content in pieces of the given size and collect every row
+function tokenize(content, options, chunkSize = content.length || 1) {
+    const tokenizer = createCSVTokenizer(options);
+    const rows = [];
+    for (let i = 0; i < content.length; i += chunkSize) {
+        rows.push(...tokenizer.write(content.slice(i, i + chunkSize)));
+    }
+    rows.push(...tokenizer.end());
+    return rows;
+}
+
+test('createCSVTokenizer reads quoted delimiters, doubled quotes and line breaks', () => {
+    const content = 'name,note\r\n"Lee, Ann","said ""hi""\r\nthen left"\r\n  "padded" , plain \rlast,row';
+    assert.deepEqual(tokenize(content), [
+        ['name', 'note'],
+        ['Lee, Ann', 'said "hi"\nthen left'],
+        ['padded', 'plain'],
+        ['last', 'row']
+    ]);
+});
+
+test('createCSVTokenizer gives the same rows at every chunk boundary', () => {
+    const content = 'a||b||c\r\n"x""y"||"1\r\n2"||z\r\n\r\nq||r||s\r\n';
+    const expected = tokenize(content, { delimiter: '||' });
+    assert.deepEqual(expected, [['a', 'b', 'c'], ['x"y', '1\n2', 'z'], ['q', 'r', 's']]);
+    for (let size = 1; size < content.length; size++) {
+        assert.deepEqual(tokenize(content, { delimiter: '||' }, size), expected, `chunks of ${size}`);
+    }
+});
+
+test('createCSVTokenizer honours escape, trim and empty-row options', () => {
+    assert.deepEqual(tokenize('"a\\"b", c \n\n', { escapeChar: '\\' }), [['a"b', 'c']]);
+    assert.deepEqual(tokenize(' a ,b\n\nc,d', { trimWhitespace: false, skipEmptyRows: false }), [[' a ', 'b'], [''], ['c', 'd']]);
+    assert.deepEqual(tokenize('a,""\n'), [['a', '']]);
+});
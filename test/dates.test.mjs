@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDateColumn, formatDate, parseDateString, resolveDateFormat, toSheetsDatePattern } from '../lib/dates.js';
+
+test('parseDateString reads ISO, month-name and datetime values', () => {
+    assert.deepEqual(parseDateString('2024-03-15'), { ambiguous: false, year: 2024, month: 3, day: 15, time: null });
+    assert.equal(parseDateString('March 5th, 2024').month, 3);
+    assert.equal(parseDateString('5 Mar 2024').day, 5);
+    assert.deepEqual(parseDateString('2024-03-15T14:30:00Z').time, { hours: 14, minutes: 30, seconds: 0, offsetMinutes: 0 });
+    assert.equal(parseDateString('03/04/2024 2:15 pm').time.hours, 14);
+});
+
+test('parseDateString leaves day/month order open for numeric dates', () => {
+    assert.deepEqual(parseDateString('03/04/2024'), { ambiguous: true, year: 2024, first: 3, second: 4, time: null });
+});
+
+test('parseDateString rejects impossible dates and plain text', () => {
+    assert.equal(parseDateString('2023-02-29'), null);
+    assert.equal(parseDateString('13/13/2024'), null);
+    assert.equal(parseDateString('20240315'), null);
+    assert.equal(parseDateString('hello world'), null);
+});
+
+test('detectDateColumn settles day/month order from the values', () => {
+    const column = detectDateColumn(['03/04/2024', '25/04/2024'], 'Date');
+    assert.equal(column.order, 'DMY');
+    assert.equal(column.ambiguous, false);
+});
+
+test('detectDateColumn flags an order taken from options.dateOrder', () => {
+    const column = detectDateColumn(['03/04/2024', '05/06/2024'], 'Date', { dateOrder: 'DMY' });
+    assert.equal(column.order, 'DMY');
+    assert.equal(column.ambiguous, true);
+});
+
+test('detectDateColumn reads numbers as dates only under a date header word', () => {
+    assert.equal(detectDateColumn([45000, 45001], 'invoice_date').kind, 'excel');
+    assert.equal(detectDateColumn([1700000000], 'createdAt').kind, 'unix');
+    assert.equal(detectDateColumn([1700000000], 'paid_at').kind, 'unix');
+    for (const header of ['timeout_ms', 'runtime', 'daily_total', 'holiday_count', 'Amount']) {
+        assert.equal(detectDateColumn([45000, 45001], header), null, header);
+    }
+});
+
+test('formatDate writes a column in the resolved output format', () => {
+    const column = detectDateColumn(['2024-03-15T14:30:00+02:00'], 'When');
+    const format = resolveDateFormat(column, { dateFormat: 'DD/MM/YYYY' });
+    assert.equal(format, 'DD/MM/YYYY HH:mm:ss');
+    assert.equal(formatDate('2024-03-15T14:30:00+02:00', column, format), '15/03/2024 12:30:00');
+    assert.equal(formatDate(45000, { kind: 'excel' }), '2023-03-15');
+    assert.equal(toSheetsDatePattern(format), 'dd/mm/yyyy hh:mm:ss');
+});
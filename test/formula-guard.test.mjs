@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFormulaGuard, formulaPolicyError, isFormulaLike, unescapeFormula } from '../lib/formula-guard.js';
+
+test('isFormulaLike flags = and operator-led formulas', () => {
+    assert.equal(isFormulaLike('=1+1'), true);
+    assert.equal(isFormulaLike('  =A1'), true);
+    assert.equal(isFormulaLike('+SUM(A1:A3)'), true);
+    assert.equal(isFormulaLike('+SUM (A1)'), true);
+    assert.equal(isFormulaLike('-A1*2'), true);
+    assert.equal(isFormulaLike('@cmd|\'/c calc\'!A0'), true);
+});
+
+test('isFormulaLike leaves signed numbers, phone numbers and handles alone', () => {
+    assert.equal(isFormulaLike('-42.5'), false);
+    assert.equal(isFormulaLike('+44 20 7946 0958'), false);
+    assert.equal(isFormulaLike('@handle'), false);
+    assert.equal(isFormulaLike('-'), false);
+    assert.equal(isFormulaLike(12), false);
+});
+
+test('escape policy prefixes formulas so USER_ENTERED keeps a visible quote', () => {
+    const guard = createFormulaGuard('escape');
+    assert.deepEqual(guard.row(['=HYPERLINK("x")', 'plain']), ['\'\'=HYPERLINK("x")', 'plain']);
+    assert.deepEqual(createFormulaGuard('escape', { raw: true }).row(['=1']), ['\'=1']);
+    assert.deepEqual(guard.report(), { policy: 'escape', neutralized: 1 });
+});
+
+test('whitelist keeps formulas that call only listed functions', () => {
+    const guard = createFormulaGuard({ mode: 'whitelist', functions: ['sum'] });
+    assert.deepEqual(guard.row(['=SUM(A1:A3)', '=IMPORTXML("u","//a")', '=SUM(IMPORTXML("u","//a"))']),
+        ['=SUM(A1:A3)', '\'\'=IMPORTXML("u","//a")', '\'\'=SUM(IMPORTXML("u","//a"))']);
+});
+
+test('whitelist does not pass formulas without a function call', () => {
+    const guard = createFormulaGuard({ mode: 'whitelist', functions: ['SUM'] });
+    assert.deepEqual(guard.row(['=A1', '=Sheet2!A1:Z999', '=A1&B1']), ['\'\'=A1', '\'\'=Sheet2!A1:Z999', '\'\'=A1&B1']);
+});
+
+test('whitelisted columns are matched by header name', () => {
+    const guard = createFormulaGuard({ mode: 'whitelist', columns: ['total_formula'] });
+    guard.setHeaders(['Item', 'Total Formula']);
+    assert.deepEqual(guard.row(['=A1', '=A1']), ['\'\'=A1', '=A1']);
+});
+
+test('formulaPolicyError rejects unknown modes and empty whitelists', () => {
+    assert.equal(formulaPolicyError('escape'), null);
+    assert.match(formulaPolicyError('strip'), /Invalid formulaPolicy/);
+    assert.match(formulaPolicyError({ mode: 'whitelist' }), /needs functions or columns/);
+});
+
+test('unescapeFormula strips the escape a guarded cell is stored with', () => {
+    assert.equal(unescapeFormula('\'=SUM(A1)'), '=SUM(A1)');
+    assert.equal(unescapeFormula('\'+A1*2'), '+A1*2');
+    assert.equal(unescapeFormula('\'quoted text'), '\'quoted text');
+    assert.equal(unescapeFormula('=A1'), '=A1');
+    assert.equal(unescapeFormula(42), 42);
+});
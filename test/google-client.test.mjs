@@ -0,0 +1,55 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { googleErrorResponse, googleFetch, gridPropertiesFor, SHEETS_CELL_LIMIT } from '../lib/google-client.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+// Answers with the given statuses in turn; Retry-After: 0 keeps retries fast
+function mockFetch(statuses) {
+    const calls = [];
+    globalThis.fetch = async (url, options) => {
+        calls.push({ url, method: options.method || 'GET' });
+        const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+        return new Response('{}', { status, headers: { 'retry-after': '0' } });
+    };
+    return calls;
+}
+
+test('googleFetch retries a 5xx for idempotent calls', async () => {
+    const calls = mockFetch([503, 200]);
+    const response = await googleFetch('https://sheets.googleapis.com/v4/spreadsheets/s', { headers: { Authorization: 'Bearer a' } });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+});
+
+test('googleFetch does not repeat a non-idempotent POST after a 5xx', async () => {
+    const calls = mockFetch([503, 200]);
+    const response = await googleFetch('https://sheets.googleapis.com/v4/spreadsheets/s/values/A1:append', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer a' }
+    });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+});
+
+test('googleFetch retries a 429 for any call', async () => {
+    const calls = mockFetch([429, 200]);
+    const response = await googleFetch('https://sheets.googleapis.com/v4/spreadsheets', { method: 'POST' });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+});
+
+test('googleErrorResponse maps auth and not-found statuses', () => {
+    assert.equal(googleErrorResponse(403).body.needsReauth, true);
+    assert.equal(googleErrorResponse(404, 'Gone').body.error, 'Gone');
+    assert.equal(googleErrorResponse(500), null);
+});
+
+test('gridPropertiesFor defaults the grid and enforces the cell limit', () => {
+    assert.deepEqual(gridPropertiesFor(), { gridProperties: { rowCount: 1000, columnCount: 26 } });
+    assert.deepEqual(gridPropertiesFor(10, 60), { gridProperties: { rowCount: 10, columnCount: 60 } });
+    assert.match(gridPropertiesFor(SHEETS_CELL_LIMIT, 2).error, /exceeds the Google Sheets limit/);
+});
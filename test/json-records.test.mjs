@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsonToRows } from '../lib/json-records.js';
+
+test('jsonToRows flattens nested objects into dotted columns', () => {
+    const { rows, recordCount } = jsonToRows('[{"id":1,"customer":{"name":"Ann","address":{"city":"Oslo"}}},{"id":2,"note":null}]', 'json');
+    assert.equal(recordCount, 2);
+    assert.deepEqual(rows, [
+        ['id', 'customer.name', 'customer.address.city', 'note'],
+        ['1', 'Ann', 'Oslo', ''],
+        ['2', '', '', '']
+    ]);
+});
+
+test('jsonToRows reads NDJSON and reports the bad line', () => {
+    assert.deepEqual(jsonToRows('{"a":1}\n\n{"a":2}\n', 'ndjson').rows, [['a'], ['1'], ['2']]);
+    assert.throws(() => jsonToRows('{"a":1}\n{oops}\n', 'ndjson'), /line 2/);
+});
+
+test('jsonToRows applies each array strategy', () => {
+    const text = '[{"id":1,"tags":["x","y"]}]';
+    assert.deepEqual(jsonToRows(text, 'json').rows, [['id', 'tags'], ['1', 'x; y']]);
+    assert.deepEqual(jsonToRows(text, 'json', { arrays: 'index' }).rows, [['id', 'tags.0', 'tags.1'], ['1', 'x', 'y']]);
+    assert.deepEqual(jsonToRows(text, 'json', { arrays: 'expand' }).rows, [['id', 'tags'], ['1', 'x'], ['1', 'y']]);
+    assert.deepEqual(jsonToRows(text, 'json', { arrays: 'json' }).rows, [['id', 'tags'], ['1', '["x","y"]']]);
+});
+
+test('jsonToRows finds records under recordsPath', () => {
+    assert.deepEqual(jsonToRows('{"data":{"items":[{"a":1}]}}', 'json', { recordsPath: 'data.items' }).rows, [['a'], ['1']]);
+    assert.throws(() => jsonToRows('{"data":{}}', 'json', { recordsPath: 'data.items' }), /not found/);
+});
+
+test('jsonToRows gives an empty record a blank row, not a value column', () => {
+    assert.deepEqual(jsonToRows('[{"a":1},{},{"a":2}]', 'json').rows, [['a'], ['1'], [''], ['2']]);
+    assert.deepEqual(jsonToRows('[{"id":1,"items":[{"sku":"A"},{}]}]', 'json', { arrays: 'expand' }).rows,
+        [['id', 'items.sku'], ['1', 'A'], ['1', '']]);
+});
+
+test('jsonToRows rejects a dotted key that collides with a nested one', () => {
+    assert.throws(() => jsonToRows('[{"a.b":1,"a":{"b":2}}]', 'json'), /collides/);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { detectWorkbookFormat, openWorkbook } from '../lib/workbook-reader.js';
+
+// Minimal zip archive of deflated entries - the reader doesn't check CRCs
+function zip(files) {
+    const locals = [];
+    const directory = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const data = deflateRawSync(Buffer.from(text));
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(Buffer.byteLength(text), 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(Buffer.byteLength(text), 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, data);
+        directory.push(entry, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+    const directoryBytes = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directoryBytes.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directoryBytes, end]);
+}
+
+function xlsx(sheetXml, { sharedStrings, styles, date1904 = false } = {}) {
+    return zip({
+        'xl/workbook.xml': `<workbook xmlns:r="r">${date1904 ? '<workbookPr date1904="1"/>' : ''}<sheets><sheet name="Q&amp;A" r:id="rId1"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`,
+        ...(sharedStrings ? { 'xl/sharedStrings.xml': sharedStrings } : {}),
+        ...(styles ? { 'xl/styles.xml': styles } : {})
+    });
+}
+
+test('openWorkbook reads xlsx strings, numbers, booleans and styled dates', () => {
+    const bytes = xlsx(
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>line_x000A_two</t></is></c></row>' +
+        '<row r="3"><c r="A3" s="1"><v>45352</v></c><c r="B3" s="2"><v>0.125</v></c><c r="C3" t="b"><v>1</v></c><c r="D3"><v>0.30000000000000004</v></c></row>',
+        {
+            sharedStrings: '<sst><si><r><t>Rich </t></r><r><t>text</t></r><rPh><t>hint</t></rPh></si></sst>',
+            styles: '<styleSheet><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="10"/></cellXfs></styleSheet>'
+        }
+    );
+    assert.equal(detectWorkbookFormat(bytes), 'xlsx');
+    const workbook = openWorkbook(bytes);
+    assert.deepEqual(workbook.sheetNames, ['Q&A']);
+    assert.deepEqual(workbook.readSheet(0), [
+        ['Rich text', '', 'line\ntwo'],
+        [],
+        ['2024-03-01', '12.5%', 'TRUE', '0.3']
+    ]);
+});
+
+test('openWorkbook applies the 1904 date system', () => {
+    const bytes = xlsx('<row r="1"><c r="A1" s="1"><v>0</v></c></row>', {
+        styles: '<styleSheet><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+        date1904: true
+    });
+    assert.deepEqual(openWorkbook(bytes).readSheet(0), [['1904-01-01']]);
+});
+
+test('openWorkbook reads ods cells with repeats and typed values', () => {
+    const content = '<office:document-content><office:body><office:spreadsheet>' +
+        '<table:table table:name="First"><table:table-row>' +
+        '<table:table-cell office:value-type="string"><text:p>a<text:s text:c="2"/>b</text:p></table:table-cell>' +
+        '<table:table-cell table:number-columns-repeated="2"/>' +
+        '<table:table-cell office:value-type="float" office:value="1.5"><text:p>1,5</text:p></table:table-cell>' +
+        '</table:table-row>' +
+        '<table:table-row table:number-rows-repeated="2"><table:table-cell office:value-type="date" office:date-value="2024-03-01T10:30:00"/></table:table-row>' +
+        '<table:table-row table:number-rows-repeated="1000"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>' +
+        '</table:table><table:table table:name="Second"/></office:spreadsheet></office:body></office:document-content>';
+    const bytes = zip({ mimetype: 'application/vnd.oasis.opendocument.spreadsheet', 'content.xml': content });
+    assert.equal(detectWorkbookFormat(bytes), 'ods');
+    const workbook = openWorkbook(bytes);
+    assert.deepEqual(workbook.sheetNames, ['First', 'Second']);
+    assert.deepEqual(workbook.readSheet(0), [
+        ['a  b', '', '', '1.5'],
+        ['2024-03-01 10:30:00'],
+        ['2024-03-01 10:30:00']
+    ]);
+    assert.deepEqual(workbook.readSheet(1), []);
+});
+
+test('openWorkbook rejects files that are not workbooks', () => {
+    assert.equal(detectWorkbookFormat(Buffer.from('a,b\n1,2\n')), null);
+    assert.equal(detectWorkbookFormat(zip({ 'word/document.xml': '<w/>' })), null);
+    assert.throws(() => openWorkbook(Buffer.from('PK\u0003\u0004 truncated')), /Not an \.xlsx or \.ods workbook/);
+});
+
+test('openWorkbook rejects cell references outside the sheet grid', () => {
+    const wide = xlsx('<row r="1"><c r="XFE1"><v>1</v></c></row>');
+    assert.throws(() => openWorkbook(wide).readSheet(0), /cell XFE1 is out of range/);
+    const tall = xlsx('<row r="1048577"><c><v>1</v></c></row>');
+    assert.throws(() => openWorkbook(tall).readSheet(0), /row 1048577 is out of range/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildXlsx, dateSerial } from '../lib/xlsx-writer.js';
+import { openWorkbook } from '../lib/workbook-reader.js';
+
+test('buildXlsx writes typed cells that read back', () => {
+    const { content } = buildXlsx([{
+        name: 'Orders',
+        rows: [['Item', 'Qty', 'Price'], ['Tea', '3', '$4.50'], ['Cake', 'n/a', '$12.00']],
+        columns: [{ type: 'text' }, { type: 'integer' }, { type: 'currency', currencySymbol: '$' }]
+    }]);
+    const workbook = openWorkbook(content);
+    assert.equal(workbook.format, 'xlsx');
+    assert.deepEqual(workbook.sheetNames, ['Orders']);
+    assert.deepEqual(workbook.readSheet(0), [['Item', 'Qty', 'Price'], ['Tea', '3', '4.5'], ['Cake', 'n/a', '12']]);
+});
+
+test('buildXlsx reports the sheet names it actually wrote', () => {
+    const { content, sheetNames } = buildXlsx([
+        { name: 'Q1/Q2: [draft]', rows: [['a']] },
+        { name: 'A very long sheet name that Excel will not accept', rows: [['a']] },
+        { name: 'sales', rows: [['a']] },
+        { name: 'Sales', rows: [['a']] },
+        { name: '', rows: [['a']] }
+    ]);
+    assert.deepEqual(sheetNames, ['Q1 Q2   draft', 'A very long sheet name that Exc', 'sales', 'Sales (2)', 'Sheet']);
+    assert.deepEqual(openWorkbook(content).sheetNames, sheetNames);
+});
+
+test('buildXlsx only converts plain decimal text to numbers', () => {
+    const { content } = buildXlsx([{
+        name: 'S',
+        rows: [['n'], ['0x1A'], ['1e3'], ['Infinity'], ['.5']],
+        columns: [{ type: 'number' }]
+    }]);
+    assert.deepEqual(openWorkbook(content).readSheet(0), [['n'], ['0x1A'], ['1000'], ['Infinity'], ['0.5']]);
+});
+
+test('dateSerial converts dates to Excel serial days', () => {
+    assert.equal(dateSerial('1900-03-01'), 61);
+    assert.equal(dateSerial('2024-01-01'), 45292);
+    assert.equal(dateSerial('not a date'), null);
+});